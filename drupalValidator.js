@@ -116,7 +116,9 @@
  *
  *    What you will not find here:
  *
- *     - There are no error messages at this level.
+ *     - There are no error messages at this level. Rules do pass their own
+ *       parameters (such as min and max) up, so messages from layer 2 may
+ *       use them as placeholders. @see formatMessage()
  *     - No specific elements/classes/etc should be defined here.
  *       (See layers 1 or 2).
  *     - No markup (HTML) is found here (see layer 4)
@@ -125,6 +127,43 @@
  */
 
 
+  /**
+   * Read the value a field's rules should check.
+   *
+   * For a field with an input mask, this is the value without the mask's
+   * separators: '123456789' for '123-45-6789'. For a group of radios or
+   * checkboxes, and a multiple select, it is the values chosen, separated
+   * by commas.
+   *
+   * @see Drupal.drupalValidatorBasics.bindMask()
+   *
+   * @param {element} element
+   *   The field, or a group's wrapper.
+   *
+   * @return {string}
+   *   The field's value.
+   */
+  Drupal.drupalValidator.fieldValue = function (element) {
+    var value = $(element).val(),
+        mask = $(element).data('drupalValidatorMask');
+
+    if (!$(element).is(':input')) {
+      value = Drupal.drupalValidator.groupInputs(element).filter(':checked').map(function () {
+        return this.value;
+      }).get();
+    }
+
+    if (Array.isArray(value)) {
+      value = value.join(',');
+    }
+    else if (value === undefined || value === null) {
+      value = '';
+    }
+
+    return mask ? Drupal.drupalValidatorBasics.unmask(value, mask) : value;
+  }
+
+
   /**
    * Confirm input_element contains a valid ssn format.
    * If not, set an error on the field.
@@ -141,7 +180,7 @@
    *   TRUE if we passed. Otherwise, FALSE.
    */
   Drupal.drupalValidator.validateSSNField = function (input_element, error_message, error_on_blank) {
-    return Drupal.drupalValidator.bindValidationError(input_element, Drupal.drupalValidatorBasics.ssnValid($(input_element).val(), error_on_blank), error_message);
+    return Drupal.drupalValidator.bindValidationError(input_element, Drupal.drupalValidatorBasics.ssnValid(Drupal.drupalValidator.fieldValue(input_element), error_on_blank), error_message, null, 'ssn');
   }
 
 
@@ -149,21 +188,114 @@
    * Confirm input_element contains a valid phone format.
    * If not, set an error on the field.
    *
+   * Without a country, the number must be a 10 digit US number. With one, any
+   * international or national format for that country is accepted.
+   *
    * @param {element} input_element
    *   The primary phone field.
    * @param {string} error_message
    *   A message that should be displayed if validation fails. This will be displayed below the field.
    * @param {boolean} error_on_blank
    *   Should we still error if the field is blank?
+   * @param {string|Array|object} country
+   *   (optional) A country code, or an array of them, or an object of options
+   *   for Drupal.drupalValidator.countryOptions(), such as
+   *   {countries: ['US', 'CA'], country_field: '#edit-country', reject_repeated: false}.
    *
    * @return {boolean}
    *   TRUE if we passed. Otherwise, FALSE.
    */
-  Drupal.drupalValidator.validatePhoneField = function (input_element, error_message, error_on_blank) {
-    return Drupal.drupalValidator.bindValidationError(input_element, Drupal.drupalValidatorBasics.phoneValid($(input_element).val(),error_on_blank), error_message);
+  Drupal.drupalValidator.validatePhoneField = function (input_element, error_message, error_on_blank, country) {
+    var options = Drupal.drupalValidator.countryOptions(country);
+
+    if (options === null) {
+      return Drupal.drupalValidator.bindValidationError(input_element, Drupal.drupalValidatorBasics.phoneValid(Drupal.drupalValidator.fieldValue(input_element),error_on_blank), error_message, null, 'phone');
+    }
+
+    Drupal.drupalValidator.reportUnknownCountries(options.countries, window.drupalValidatorRules.phoneMetadata, 'phone');
+
+    return Drupal.drupalValidator.bindValidationError(input_element, Drupal.drupalValidatorBasics.phoneValidInternational(Drupal.drupalValidator.fieldValue(input_element), error_on_blank, options), error_message, null, 'phone');
+  }
+
+
+  /**
+   * Resolve the country setting passed to a country-aware validator.
+   *
+   * When a country_field is given, and has a value, its value replaces the
+   * configured list of countries. So a sibling country select limits the
+   * field to the selected country, and falls back to the list while empty.
+   *
+   * @param {string|Array|object} country
+   *   A country code, an array of them, or an object containing:
+   *     - countries: A country code, or an array of them.
+   *     - country_field: (optional) A country select, or its selector.
+   *   Any other keys are passed along to the rule untouched.
+   *
+   * @return {object|null}
+   *   The options, with countries as an array. NULL if no country was given.
+   */
+  Drupal.drupalValidator.countryOptions = function (country) {
+    if (country === undefined || country === null || country === false) {
+      return null;
+    }
+
+    var options = (typeof country === 'string' || Array.isArray(country)) ? {countries: country} : $.extend({}, country);
+
+    if (typeof options.countries === 'string') {
+      options.countries = [options.countries];
+    }
+
+    if (options.country_field) {
+      var selected = $(options.country_field).val();
+
+      if (selected) {
+        options.countries = [selected];
+      }
+    }
+
+    if (!options.countries || options.countries.length <= 0) {
+      return null;
+    }
+
+    return options;
   }
 
 
+  /**
+   * Countries which have already been reported as unknown, keyed by rule and
+   * country code.
+   */
+  Drupal.drupalValidator.unknownCountries = {};
+
+
+  /**
+   * Report any country a rule has no format for, such as a typo in settings.
+   *
+   * Values never match a country missing from the rule's metadata, so its
+   * field can never pass for that country alone. Each country is reported
+   * once per rule.
+   *
+   * @param {array} countries
+   *   Country codes, as passed to the rule.
+   * @param {object} metadata
+   *   The rule's formats, keyed by country code, such as
+   *   drupalValidatorRules.phoneMetadata.
+   * @param {string} rule
+   *   The rule's name, for the error.
+   */
+  Drupal.drupalValidator.reportUnknownCountries = function (countries, metadata, rule) {
+    for (var i = 0; i < countries.length; i++) {
+      var country = String(countries[i]).toUpperCase(),
+          key = rule + ':' + country;
+
+      if (!metadata[country] && !Drupal.drupalValidator.unknownCountries[key]) {
+        Drupal.drupalValidator.unknownCountries[key] = true;
+        Drupal.throwError(new Error('The ' + rule + ' rule has no format for country "' + country + '", so no value matches it. Add it to drupalValidatorRules, or check the settings for a typo.'));
+      }
+    }
+  };
+
+
   /**
    * Confirm input_element contains a valid email format.
    * If not, set an error on the field.
@@ -179,31 +311,54 @@
    *   TRUE if we passed. Otherwise, FALSE.
    */
   Drupal.drupalValidator.validateEmailField = function (input_element, error_message, error_on_blank) {
-    return Drupal.drupalValidator.bindValidationError(input_element, Drupal.drupalValidatorBasics.emailValid($(input_element).val(),error_on_blank), error_message);
+    return Drupal.drupalValidator.bindValidationError(input_element, Drupal.drupalValidatorBasics.emailValid(Drupal.drupalValidator.fieldValue(input_element),error_on_blank), error_message, null, 'email');
   }
 
 
   /**
    * Confirm input_element passes rules set for a zip-code field.
    *
+   * Without a country, the value must be a 5 digit US ZIP. With one, it must
+   * be a postal code of that country.
+   *
    * @param {element} input_element
    *   The primary ssntin field.
-   * @param {string} error_message
+   * @param {string|object} error_message
    *   A message that should be displayed if validation fails. This will be displayed below the field.
+   *   Or, a message per rule, keyed by: numeric, length. With a country, the
+   *   only rule is: postal_code.
    * @param {boolean} error_on_blank
    *   Should we still error if the field is blank?
+   * @param {string|Array|object} country
+   *   (optional) A country code, or an array of them, or an object of options
+   *   for Drupal.drupalValidator.countryOptions(), such as
+   *   {countries: ['US', 'CA'], country_field: '#edit-country', zip_plus_four: true}.
    *
    * @return {boolean}
    *   TRUE if we passed. Otherwise, FALSE.
    */
-  Drupal.drupalValidator.validateZipField = function (input_element, error_message, error_on_blank) {
+  Drupal.drupalValidator.validateZipField = function (input_element, error_message, error_on_blank, country) {
+    var options = Drupal.drupalValidator.countryOptions(country);
+
+    if (options !== null) {
+      return Drupal.drupalValidator.bindFieldValidationArray(input_element, [
+        {id: 'postal_code', callback: function () {
+          return Drupal.drupalValidatorBasics.postalCodeValid(Drupal.drupalValidator.fieldValue(input_element), error_on_blank, options);
+        }}
+      ], error_message);
+    }
+
     var rules = new Array(
 
       // Only numeric values.
-      Drupal.drupalValidatorBasics.containsOnlyNumeric($(input_element).val()),
+      {id: 'numeric', callback: function () {
+        return Drupal.drupalValidatorBasics.containsOnlyNumeric(Drupal.drupalValidator.fieldValue(input_element));
+      }},
 
       // Must be 5 characters.
-      Drupal.drupalValidatorBasics.lengthValid($(input_element).val(), 5, 5, error_on_blank)
+      {id: 'length', params: {min: 5, max: 5}, callback: function () {
+        return Drupal.drupalValidatorBasics.lengthValid(Drupal.drupalValidator.fieldValue(input_element), 5, 5, error_on_blank);
+      }}
     );
 
     return Drupal.drupalValidator.bindFieldValidationArray(input_element, rules, error_message);
@@ -221,32 +376,77 @@
    * @param  {element} user_id_field
    *   The input containing the value of the userID. We need this for
    *   a password validation rule.
-   * @param  {string} error_message
-   *   The error message to display if even one of these rules fail.
+   * @param  {string|object} error_message
+   *   The error message to display if even one of these rules fail. Or, a
+   *   message per rule, keyed by: length, mixed_case, number, user_id.
    *
    * @return {boolean}
    *   The result of the validation.
    */
   Drupal.drupalValidator.validatePasswordField = function (input_element, user_id_element, error_message) {
+    return Drupal.drupalValidator.bindFieldValidationArray(input_element, Drupal.drupalValidator.passwordRules(input_element, user_id_element), error_message);
+  }
+
+
+  /**
+   * Show a live checklist of the password rules, as the user types.
+   *
+   * This does not set an error on the field. Pair it with
+   * validatePasswordField() on blur for that.
+   *
+   * @param  {element} input_element
+   *   The password field.
+   * @param  {element} user_id_element
+   *   The input containing the value of the userID.
+   * @param  {object} labels
+   *   The checklist text for each rule, keyed by: length, mixed_case, number,
+   *   user_id. Rules without a label are left off the checklist.
+   *
+   * @return {boolean}
+   *   TRUE if every rule passed. Otherwise, FALSE.
+   */
+  Drupal.drupalValidator.validatePasswordPopup = function (input_element, user_id_element, labels) {
+    return Drupal.drupalValidator.bindFieldValidationPopup(input_element, Drupal.drupalValidator.passwordRules(input_element, user_id_element), labels);
+  }
+
+
+  /**
+   * Build the password ruleset.
+   *
+   * @param  {element} input_element
+   *   The password field.
+   * @param  {element} user_id_element
+   *   The input containing the value of the userID.
+   *
+   * @return {array(object)}
+   *   The rules, with the ids: length, mixed_case, number, user_id.
+   */
+  Drupal.drupalValidator.passwordRules = function (input_element, user_id_element) {
 
     // Given an array of validators, execute each one.
     // We want to know the result of the validator.
     // Associate the result with an error message.
-    var rules = new Array(
+    return new Array(
       // Must be at least 8 characters.
-      Drupal.drupalValidatorBasics.lengthValid($(input_element).val(), 8, 128, true),
+      {id: 'length', params: {min: 8, max: 128}, callback: function () {
+        return Drupal.drupalValidatorBasics.lengthValid($(input_element).val(), 8, 128, true);
+      }},
 
       // Must contain both a lower and upper case latter.
-      Drupal.drupalValidatorBasics.containsLowerAndUppercase($(input_element).val()),
+      {id: 'mixed_case', callback: function () {
+        return Drupal.drupalValidatorBasics.containsLowerAndUppercase($(input_element).val());
+      }},
 
       // Must contain a Number
-      Drupal.drupalValidatorBasics.containsNumber($(input_element).val()),
+      {id: 'number', callback: function () {
+        return Drupal.drupalValidatorBasics.containsNumber($(input_element).val());
+      }},
 
       // Cannot contain the user ID.
-      Drupal.drupalValidatorBasics.doesNotContainValue($(user_id_element).val(), $(input_element).val(), false)
+      {id: 'user_id', callback: function () {
+        return Drupal.drupalValidatorBasics.doesNotContainValue($(user_id_element).val(), $(input_element).val(), false);
+      }}
     );
-
-    return Drupal.drupalValidator.bindFieldValidationArray(input_element, rules, error_message);
   }
 
 
@@ -259,17 +459,22 @@
    * @param  {element} linked_element
    *   The input containing the value of the linked field. This should be tested
    *   to not match our input_element.
-   * @param  {string} error_message
-   *   The error message to display if even one of these rules fail.
+   * @param  {string|object} error_message
+   *   The error message to display if even one of these rules fail. Or, a
+   *   message per rule, keyed by: length, linked.
    *
    */
   Drupal.drupalValidator.validateSecurityField = function (input_element, linked_element, error_message, error_on_blank) {
     var rules = new Array(
       // Length must be 3+ characters.
-      Drupal.drupalValidatorBasics.lengthValid($(input_element).val(), 4, 512, error_on_blank),
+      {id: 'length', params: {min: 4, max: 512}, callback: function () {
+        return Drupal.drupalValidatorBasics.lengthValid($(input_element).val(), 4, 512, error_on_blank);
+      }},
 
       // Cannot contain the linked field's value.
-      Drupal.drupalValidatorBasics.doesNotContainValue($(linked_element).val(), $(input_element).val(), error_on_blank)
+      {id: 'linked', callback: function () {
+        return Drupal.drupalValidatorBasics.doesNotContainValue($(linked_element).val(), $(input_element).val(), error_on_blank);
+      }}
     );
 
     return Drupal.drupalValidator.bindFieldValidationArray(input_element, rules, error_message);
@@ -293,7 +498,158 @@
    *   TRUE if we passed. Otherwise, FALSE.
    */
   Drupal.drupalValidator.validateConfirmField = function (primary_field, confirm_field, error_on_blank, error_message) {
-    return Drupal.drupalValidator.bindValidationError(confirm_field, Drupal.drupalValidatorBasics.fieldsMatch(primary_field, confirm_field, error_on_blank), error_message);
+    return Drupal.drupalValidator.bindValidationError(confirm_field, Drupal.drupalValidatorBasics.fieldsMatch(primary_field, confirm_field, error_on_blank), error_message, null, 'confirm');
+  };
+
+
+  /**
+   * The date format used when a date validator isn't given one. Matches the
+   * Date module's default popup format.
+   */
+  Drupal.drupalValidator.dateFormat = 'm/d/Y';
+
+
+  /**
+   * Messages for a date rule which validateDateField() was given no message
+   * for. Layer 2 may replace these.
+   */
+  Drupal.drupalValidator.dateMessages = {
+    format: Drupal.t('Enter a date like @example.'),
+    min: Drupal.t('Enter a date on or after @min.'),
+    max: Drupal.t('Enter a date on or before @max.'),
+    age: Drupal.t('Enter a date of birth within the ages allowed.')
+  };
+
+
+  /**
+   * Confirm input_element contains a valid date, within any bounds given.
+   *
+   * @param {element} input_element
+   *   The date field. For a Date popup, the popup's text input.
+   * @param {string|object} error_message
+   *   A message that should be displayed if validation fails. This will be displayed below the field.
+   *   Or, a message per rule, keyed by: format, min, max, age, and a 'default'
+   *   message for any rule without one. Rules with neither, or any rule when
+   *   no message is given at all, use Drupal.drupalValidator.dateMessages. Messages may use @format and
+   *   @example, @min and @max (in the field's format), and @min_age and
+   *   @max_age.
+   * @param {boolean} error_on_blank
+   *   Should we still error if the field is blank?
+   * @param {object} options
+   *   (optional) Containing any of:
+   *     - format: The PHP date() format, as set on the Date field's widget.
+   *       Defaults to Drupal.drupalValidator.dateFormat.
+   *     - min, max: The earliest and latest dates allowed. A Date, 'today',
+   *       or a string in the format or Y-m-d.
+   *     - min_age, max_age: Bounds, in whole years, for a date of birth.
+   *
+   * @return {boolean}
+   *   TRUE if we passed. Otherwise, FALSE.
+   */
+  Drupal.drupalValidator.validateDateField = function (input_element, error_message, error_on_blank, options) {
+    options = options || {};
+
+    var format = options.format || Drupal.drupalValidator.dateFormat,
+        rules = new Array(
+
+      // Must be a real date, in the field's format.
+      {id: 'format', params: {format: format, example: Drupal.drupalValidatorBasics.formatDate(new Date(), format)}, callback: function () {
+        return Drupal.drupalValidatorBasics.dateValid(Drupal.drupalValidator.fieldValue(input_element), format, error_on_blank);
+      }}
+    );
+
+    if (options.min !== undefined && options.min !== null) {
+      rules.push({id: 'min', params: {min: Drupal.drupalValidator.displayDate(options.min, format)}, callback: function () {
+        return Drupal.drupalValidatorBasics.dateInRange(Drupal.drupalValidator.fieldValue(input_element), format, options.min, null);
+      }});
+    }
+
+    if (options.max !== undefined && options.max !== null) {
+      rules.push({id: 'max', params: {max: Drupal.drupalValidator.displayDate(options.max, format)}, callback: function () {
+        return Drupal.drupalValidatorBasics.dateInRange(Drupal.drupalValidator.fieldValue(input_element), format, null, options.max);
+      }});
+    }
+
+    if (options.min_age !== undefined || options.max_age !== undefined) {
+      rules.push({id: 'age', params: {min_age: options.min_age, max_age: options.max_age}, callback: function () {
+        return Drupal.drupalValidatorBasics.ageValid(Drupal.drupalValidator.fieldValue(input_element), format, options.min_age, options.max_age);
+      }});
+    }
+
+    // Unless there is a single message for every rule, each rule without a
+    // message of its own gets the default.
+    if (!(typeof error_message === 'string' && error_message.length > 0) && error_message !== false) {
+      var messages = (error_message && typeof error_message === 'object') ? error_message : {};
+
+      for (var i = 0; i < rules.length; i++) {
+        rules[i].message = messages[rules[i].id] || messages['default'] || Drupal.drupalValidator.dateMessages[rules[i].id];
+      }
+      error_message = true;
+    }
+
+    return Drupal.drupalValidator.bindFieldValidationArray(input_element, rules, error_message);
+  };
+
+
+  /**
+   * Confirm an end date comes after its start date. If not, set an error on
+   * the end field.
+   *
+   * Blank or invalid dates pass here, and are left to each field's own
+   * validateDateField() or required check.
+   *
+   * @param {element} start_element
+   *   The start date field.
+   * @param {element} end_element
+   *   The end date field.
+   * @param {string} error_message
+   *   A message that should be displayed if validation fails. This will be displayed below the end field.
+   *   It may use @start, the start date.
+   * @param {object} options
+   *   (optional) Containing any of:
+   *     - format: The PHP date() format of both fields. Defaults to
+   *       Drupal.drupalValidator.dateFormat.
+   *     - allow_same: Allow the end date to equal the start.
+   *
+   * @return {boolean}
+   *   TRUE if we passed. Otherwise, FALSE.
+   */
+  Drupal.drupalValidator.validateDateRangeField = function (start_element, end_element, error_message, options) {
+    options = options || {};
+
+    var format = options.format || Drupal.drupalValidator.dateFormat,
+        start = $(start_element).val();
+
+    return Drupal.drupalValidator.bindFieldValidationArray(end_element, [
+      {id: 'range', params: {start: start}, callback: function () {
+        return Drupal.drupalValidatorBasics.dateRangeValid(start, $(end_element).val(), format, options.allow_same === true);
+      }}
+    ], error_message);
+  };
+
+
+  /**
+   * Display a date bound in a field's format, for an error message.
+   *
+   * @param {Date|string} bound
+   *   A Date, 'today', or a string in format or Y-m-d.
+   * @param {string} format
+   *   The field's PHP date() format.
+   *
+   * @return {string}
+   *   The formatted date, or the bound as given if it couldn't be read.
+   */
+  Drupal.drupalValidator.displayDate = function (bound, format) {
+    var date = bound;
+
+    if (bound === 'today') {
+      date = new Date();
+    }
+    else if (typeof bound === 'string') {
+      date = Drupal.drupalValidatorBasics.parseDate(bound, format) || Drupal.drupalValidatorBasics.parseDate(bound, 'Y-m-d');
+    }
+
+    return date ? Drupal.drupalValidatorBasics.formatDate(date, format) : String(bound);
   };
 
 
@@ -309,7 +665,7 @@
    *   TRUE if we passed. Otherwise, FALSE.
    */
   Drupal.drupalValidator.validateRequiredField = function (field, error_message) {
-    return Drupal.drupalValidator.bindValidationError(field, Drupal.drupalValidatorBasics.fieldNotEmpty($(field).val()), error_message);
+    return Drupal.drupalValidator.bindValidationError(field, Drupal.drupalValidatorBasics.fieldNotEmpty(Drupal.drupalValidator.fieldValue(field)), error_message, null, 'required');
   }
 
 
@@ -327,321 +683,4057 @@
    *   TRUE if we passed. Otherwise, FALSE.
    */
   Drupal.drupalValidator.validateRequiredOneForAllField = function(field, all_fields, error_message) {
-    return Drupal.drupalValidator.bindValidationError(field, Drupal.drupalValidatorBasics.NotEmptyIfAnyFieldsNotEmpty(field, all_fields), error_message);
+    return Drupal.drupalValidator.bindValidationError(field, Drupal.drupalValidatorBasics.NotEmptyIfAnyFieldsNotEmpty(field, all_fields), error_message, null, 'required_one_for_all');
   }
 
+
   /**
-   * Confirm input_element contains a Company ID format.
-   * If not, set an error on the field.
+   * Find the element a group of radios or checkboxes reports its errors on.
    *
-   * @param {element} input_element
-   *   The company id field.
-   * @param {string} error_message
-   *   A message that should be displayed if validation fails. This will be displayed below the field.
-   * @param {boolean} error_on_blank
-   *   Should we still error if the field is blank?
+   * This is the group's fieldset, when the fieldset holds nothing else (as
+   * Drupal 8+ renders radios and checkboxes), or else Drupal's .form-radios
+   * or .form-checkboxes container.
    *
-   * @return {boolean}
-   *   TRUE if we passed. Otherwise, FALSE.
+   * @param {element} element
+   *   One of the group's radios or checkboxes, or the group itself.
+   *
+   * @return {element}
+   *   The group's wrapper. Element itself, if it isn't in a group.
    */
-  Drupal.drupalValidator.validateCompanyIdField = function (input_element, error_message, error_on_blank) {
-
-    var rules = new Array(
+  Drupal.drupalValidator.groupElement = function (element) {
+    var group = $(element).closest('.form-radios, .form-checkboxes');
 
-        // Length must be 4 characters.
-        Drupal.drupalValidatorBasics.lengthValid($(input_element).val(), 4, 4, error_on_blank),
+    if (group.length <= 0) {
+      group = $(element).closest('fieldset');
+    }
 
-        // Only coantins alphanumeric characters.
-        Drupal.drupalValidatorBasics.containsOnlyAlphaNumeric($(input_element).val())
-    );
+    if (group.length <= 0) {
+      return $(element).get(0);
+    }
 
-    return Drupal.drupalValidator.bindFieldValidationArray(input_element, rules, error_message);
-  }
+    var fieldset = group.closest('fieldset');
 
+    if (fieldset.length > 0 && fieldset.find(':input').not(group.find(':input')).length <= 0) {
+      group = fieldset;
+    }
 
+    return group.get(0);
+  };
 
-/**
- * Layer 3.B:
- *
- *    Validation Behavior
- *    ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
- *    Same as above, but handling for groups of errors.
- */
 
+  /**
+   * Find the radios and checkboxes in a group.
+   *
+   * @param {element} group
+   *   The group's wrapper. @see Drupal.drupalValidator.groupElement()
+   *
+   * @return {jQuery}
+   *   The group's radios and checkboxes.
+   */
+  Drupal.drupalValidator.groupInputs = function (group) {
+    return $(group).find(':radio, :checkbox');
+  };
 
 
   /**
-   * Attach a validation function to a field.
-   *
-   * This attaches a validation callback to a field, and sets error_message on
-   * field if the callback returns false.
+   * Confirm one of a group's radios is picked. If not, set an error on the
+   * group.
    *
-   * @param {element} field
-   *   An input element we should attach an error to.
-   * @param {function} callback
-   *   A complete callback, preloaded with any parameters, which we should
-   *   execute. We expect a boolean result.
+   * @param {element} group
+   *   The group's wrapper, or one of its radios.
    * @param {string} error_message
-   *   A plain text error message, which we should set if our callback
-   *   returns false.
+   *   A message that should be displayed if validation fails. This will be displayed below the group.
    *
    * @return {boolean}
-   *   TRUE on success. Otherwise, FALSE, which implies an error was set
-   *   on the field.
+   *   TRUE if we passed. Otherwise, FALSE.
    */
-  Drupal.drupalValidator.bindValidationError = function (field, callback, error_message) {
-    if (callback === false) {
-      Drupal.drupalValidator.setErrorState(field, error_message);
-      return false;
-    }
+  Drupal.drupalValidator.validateRadiosField = function (group, error_message) {
+    group = Drupal.drupalValidator.groupElement(group);
 
-    return true;
-  };
+    var count = Drupal.drupalValidator.groupInputs(group).filter(':checked').length;
+
+    return Drupal.drupalValidator.bindValidationError(group, Drupal.drupalValidatorBasics.checkedCountValid(count), error_message, null, 'required');
+  }
 
 
   /**
-   * Attach an array of validation functions to a field. Whenever all validation
-   * on that field passes, the field recovers from it's error state.
+   * Confirm the number of a group's checkboxes checked is within bounds. If
+   * not, set an error on the group.
    *
-   * @param  {element}   field
-   *   An input element we should attach an error to.
-   * @param  {function} validation_callbacks
-   *   An array of complete callbacks, preloaded with any parameters,
-   *   which we should execute. We expect a boolean result from each callback.
-   * @param {boolean|string) report_error_message
-   *   If a string is passed, we assume this is a generic error message to
-   *   display of any validation fails. Otherwise, we assume a boolean. If TRUE,
-   *   then we will gather error messages for all validation failures, concat
-   *   them, and display the sum as an error message upon failure. If FALSE,
-   *   no error message will be display.
+   * @param {element} group
+   *   The group's wrapper, or one of its checkboxes.
+   * @param {string|object} error_message
+   *   A message that should be displayed if validation fails. This will be displayed below the group.
+   *   Or, a message per rule, keyed by: min, max.
+   * @param {integer} min
+   *   (optional) The fewest to check. Defaults to 1.
+   * @param {integer} max
+   *   (optional) The most to check. Defaults to no limit.
    *
    * @return {boolean}
-   *   TRUE on success. Otherwise, FALSE, which implies an error was set
-   *   on the field.
+   *   TRUE if we passed. Otherwise, FALSE.
    */
-  Drupal.drupalValidator.bindFieldValidationArray = function(field, validaton_callbacks, report_error_message) {
+  Drupal.drupalValidator.validateCheckboxesField = function (group, error_message, min, max) {
+    group = Drupal.drupalValidator.groupElement(group);
 
-    var error_message = '';
+    var count = Drupal.drupalValidator.groupInputs(group).filter(':checked').length;
 
-    // We allow a single error message to be passed, representing one message
-    // if there are any vaildation failures.
-    //
-    // Either way, make sure that we force report_error_message to a boolean.
-    if (typeof report_error_message === 'string' || report_error_message instanceof String) {
-      error_message = report_error_message;
-      report_error_message = false;
-    }
-    else if (report_error_message !== false) {
-      report_error_message = true;
-    }
+    min = (min === undefined || min === null) ? 1 : min;
 
-    // Execute all rules, and get a result, or array of errors.
-    var results = Drupal.drupalValidator.runValidationRuleset(validaton_callbacks, false, true);
+    var rules = new Array(
 
-    // If error-free, recover error state.
-    if ((report_error_message === false && results === true)) {
-      Drupal.drupalValidator.recoverErrorState(field);
-      return true;
-    }
+      // Enough checked.
+      {id: 'min', params: {min: min, max: max}, callback: function () {
+        return Drupal.drupalValidatorBasics.checkedCountValid(count, min);
+      }},
 
-    if (results === false && report_error_message === false) {
-      Drupal.drupalValidator.setErrorState(field, error_message);
-    }
+      // And not too many.
+      {id: 'max', params: {min: min, max: max}, callback: function () {
+        return Drupal.drupalValidatorBasics.checkedCountValid(count, 0, max);
+      }}
+    );
 
-    return false;
-  };
+    return Drupal.drupalValidator.bindFieldValidationArray(group, rules, error_message);
+  }
 
 
   /**
-   * Evaluate a passed ruleset of validation callbacks, and assemble a result.
-   *
-   * The result will be a boolean true/false of the total success, or an array
-   * of results, if the return_errors flag was set.
-   *
-   * This function DOES NOT DO ERROR HANDLING DIRECTLY. While callbacks passed
-   * to this function may handle errors, this function simply executes them,
-   * and does not handle error setting or recovery itself.
-   *
-   * @see
-   *   bindFieldValidationArray(),
-   *   bindFieldValidationPopup(),
-   *   which call this directly.
+   * Confirm a select isn't left on its placeholder option. If it is, set an
+   * error on the field.
    *
-   * @param  {array(functions)} validation_callbacks
-   *   An array of complete callbacks, preloaded with any parameters,
-   *   which we should execute. We expect a boolean result from each callback.
-   * @param  {boolean} return_errors
-   *   Should we return an array of errors instead of a boolean success? This is
-   *   used when a set of rule results will be assembled into a validator UI,
-   *   such as the password popup validator.
+   * @param {element} input_element
+   *   The select.
+   * @param {string} error_message
+   *   A message that should be displayed if validation fails. This will be displayed below the field.
+   * @param {array} placeholders
+   *   (optional) Values of the placeholder options. Defaults to '' and
+   *   '_none'.
    *
-   * @return {boolean|array(string)}
-   *   By default, a true/false will be returned, signifying if ALL RULES
-   *   PASSED. If return_errors was set to TRUE, then an array of results will
-   *   be returned instead.
+   * @return {boolean}
+   *   TRUE if we passed. Otherwise, FALSE.
    */
-  Drupal.drupalValidator.runValidationRuleset = function (validation_callbacks, return_errors, halt_on_error) {
-
-    var error_array = new Array();
-    var errors = false;
+  Drupal.drupalValidator.validateSelectField = function (input_element, error_message, placeholders) {
+    return Drupal.drupalValidator.bindValidationError(input_element, Drupal.drupalValidatorBasics.optionChosen($(input_element).val(), placeholders), error_message, null, 'required');
+  }
 
-    // Execute all callbacks, and assemble their results.
-    if (Array.isArray(validation_callbacks) && validation_callbacks.length > 0) {
-      for (var i = 0; i < validation_callbacks.length; i++) {
-        var my_result = validation_callbacks[i];
 
-        // If halt on false, the exit.
-        if (halt_on_error === true && my_result === false) {
-          return false;
-        }
+  /**
+   * Confirm input_element contains a Company ID format.
+   * If not, set an error on the field.
+   *
+   * @param {element} input_element
+   *   The company id field.
+   * @param {string|object} error_message
+   *   A message that should be displayed if validation fails. This will be displayed below the field.
+   *   Or, a message per rule, keyed by: length, alphanumeric.
+   * @param {boolean} error_on_blank
+   *   Should we still error if the field is blank?
+   *
+   * @return {boolean}
+   *   TRUE if we passed. Otherwise, FALSE.
+   */
+  Drupal.drupalValidator.validateCompanyIdField = function (input_element, error_message, error_on_blank) {
+
+    var rules = new Array(
+
+        // Length must be 4 characters.
+        {id: 'length', params: {min: 4, max: 4}, callback: function () {
+          return Drupal.drupalValidatorBasics.lengthValid(Drupal.drupalValidator.fieldValue(input_element), 4, 4, error_on_blank);
+        }},
+
+        // Only coantins alphanumeric characters.
+        {id: 'alphanumeric', callback: function () {
+          return Drupal.drupalValidatorBasics.containsOnlyAlphaNumeric(Drupal.drupalValidator.fieldValue(input_element));
+        }}
+    );
+
+    return Drupal.drupalValidator.bindFieldValidationArray(input_element, rules, error_message);
+  }
+
+
+  /**
+   * Confirm input_element contains a card number of an accepted brand, which
+   * passes the Luhn checksum.
+   *
+   * @param {element} input_element
+   *   The card number field.
+   * @param {string|object} error_message
+   *   A message that should be displayed if validation fails. This will be displayed below the field.
+   *   Or, a message per rule, keyed by: brand, number.
+   * @param {boolean} error_on_blank
+   *   Should we still error if the field is blank?
+   * @param {array} brands
+   *   (optional) Ids of the accepted brands, from
+   *   Drupal.drupalValidatorBasics.cardBrands. Defaults to all of them.
+   *
+   * @return {boolean}
+   *   TRUE if we passed. Otherwise, FALSE.
+   */
+  Drupal.drupalValidator.validateCardNumberField = function (input_element, error_message, error_on_blank, brands) {
+    // Read the card when the rules run, as a ruleset may be run again later.
+    var card = function () {
+      var value = Drupal.drupalValidator.fieldValue(input_element),
+          brand = Drupal.drupalValidatorBasics.cardBrand(value);
+
+      return {
+        value: value,
+        accepted: brand !== null && (!brands || brands.length == 0 || brands.indexOf(brand.id) !== -1),
+        blank: value.replace(/[\s-]+/g, '').length == 0 && !error_on_blank
+      };
+    };
+
+    var rules = new Array(
+
+      // A brand we take.
+      {id: 'brand', callback: function () {
+        var number = card();
+        return number.blank || number.accepted;
+      }},
+
+      // The brand's length, and a valid checksum.
+      {id: 'number', callback: function () {
+        var number = card();
+        return number.blank || !number.accepted || Drupal.drupalValidatorBasics.cardNumberValid(number.value, error_on_blank);
+      }}
+    );
+
+    return Drupal.drupalValidator.bindFieldValidationArray(input_element, rules, error_message);
+  }
+
+
+  /**
+   * Confirm a card's expiry date has not passed. If not, set an error on the
+   * year field, or the month field when it holds both. If so, clear any error
+   * from both fields.
+   *
+   * @param {element} month_element
+   *   The expiry month field. Or, with no year_element, a single field
+   *   holding MM/YY or MM/YYYY.
+   * @param {element} year_element
+   *   (optional) The expiry year field.
+   * @param {string} error_message
+   *   A message that should be displayed if validation fails. This will be displayed below the field.
+   * @param {boolean} error_on_blank
+   *   Should we still error if the fields are blank?
+   *
+   * @return {boolean}
+   *   TRUE if we passed. Otherwise, FALSE.
+   */
+  Drupal.drupalValidator.validateCardExpiryField = function (month_element, year_element, error_message, error_on_blank) {
+    var month = $(month_element).val() || '',
+        year = '',
+        field = month_element;
+
+    if (year_element && $(year_element).length > 0) {
+      year = $(year_element).val() || '';
+      field = year_element;
+    }
+    else {
+      var parts = month.replace(/\s+/g, '').split('/');
+      month = parts[0];
+      year = parts.length > 1 ? parts[1] : '';
+    }
+
+    var valid = (month.length == 0 && year.length == 0 && !error_on_blank) || Drupal.drupalValidatorBasics.cardExpiryValid(month, year);
+
+    // The error is set on the year field, but callers only recover the field
+    // they validated, so a pass clears both.
+    if (valid === true && field !== month_element) {
+      Drupal.drupalValidator.recoverErrorState(month_element);
+      Drupal.drupalValidator.recoverErrorState(field);
+    }
+
+    return Drupal.drupalValidator.bindValidationError(field, valid, error_message, null, 'card_expiry');
+  }
+
+
+  /**
+   * Confirm input_element contains a security code of the right length for
+   * the card number's brand.
+   *
+   * @param {element} input_element
+   *   The security code field.
+   * @param {element} card_element
+   *   The card number field.
+   * @param {string} error_message
+   *   A message that should be displayed if validation fails. This will be displayed below the field.
+   *   It may use @digits, the number of digits expected.
+   * @param {boolean} error_on_blank
+   *   Should we still error if the field is blank?
+   *
+   * @return {boolean}
+   *   TRUE if we passed. Otherwise, FALSE.
+   */
+  Drupal.drupalValidator.validateCvvField = function (input_element, card_element, error_message, error_on_blank) {
+    var brand = Drupal.drupalValidatorBasics.cardBrand($(card_element).val() || '');
+
+    return Drupal.drupalValidator.bindFieldValidationArray(input_element, [
+      {id: 'cvv', params: {digits: brand ? brand.cvv : '3-4'}, callback: function () {
+        return Drupal.drupalValidatorBasics.cvvValid(Drupal.drupalValidator.fieldValue(input_element), brand ? brand.id : null, error_on_blank);
+      }}
+    ], error_message);
+  }
+
+
+  /**
+   * Confirm input_element contains a valid IBAN.
+   * If not, set an error on the field.
+   *
+   * @param {element} input_element
+   *   The IBAN field.
+   * @param {string} error_message
+   *   A message that should be displayed if validation fails. This will be displayed below the field.
+   * @param {boolean} error_on_blank
+   *   Should we still error if the field is blank?
+   *
+   * @return {boolean}
+   *   TRUE if we passed. Otherwise, FALSE.
+   */
+  Drupal.drupalValidator.validateIbanField = function (input_element, error_message, error_on_blank) {
+    return Drupal.drupalValidator.bindValidationError(input_element, Drupal.drupalValidatorBasics.ibanValid(Drupal.drupalValidator.fieldValue(input_element), error_on_blank), error_message, null, 'iban');
+  }
+
+
+  /**
+   * Confirm input_element contains a valid US ABA routing number.
+   * If not, set an error on the field.
+   *
+   * @param {element} input_element
+   *   The routing number field.
+   * @param {string} error_message
+   *   A message that should be displayed if validation fails. This will be displayed below the field.
+   * @param {boolean} error_on_blank
+   *   Should we still error if the field is blank?
+   *
+   * @return {boolean}
+   *   TRUE if we passed. Otherwise, FALSE.
+   */
+  Drupal.drupalValidator.validateRoutingNumberField = function (input_element, error_message, error_on_blank) {
+    return Drupal.drupalValidator.bindValidationError(input_element, Drupal.drupalValidatorBasics.routingNumberValid(Drupal.drupalValidator.fieldValue(input_element), error_on_blank), error_message, null, 'routing_number');
+  }
+
+
+  /**
+   * Find the extensions Drupal allows for a file field.
+   *
+   * Drupal 7 lists these in Drupal.settings.file.elements, keyed by the
+   * field's selector. Otherwise, any extensions in the field's accept
+   * attribute are used.
+   *
+   * @param {element} input_element
+   *   The file field.
+   *
+   * @return {string}
+   *   The extensions, separated by spaces. Empty if there are none.
+   */
+  Drupal.drupalValidator.fileExtensions = function (input_element) {
+    var extensions = '',
+        elements = (Drupal.settings.file && Drupal.settings.file.elements) || {};
+
+    jQuery.each(elements, function (selector, allowed) {
+      if ($(input_element).is(selector)) {
+        extensions = allowed;
+      }
+    });
+
+    if (extensions.length == 0 && $(input_element).attr('accept')) {
+      extensions = jQuery.map($(input_element).attr('accept').split(','), function (type) {
+        type = type.replace(/^\s+|\s+$/g, '');
+        return type.charAt(0) === '.' ? type.slice(1) : null;
+      }).join(' ');
+    }
+
+    return extensions;
+  };
+
+
+  /**
+   * Confirm the files chosen in input_element are allowed, before they are
+   * uploaded. If not, set an error on the field.
+   *
+   * These are the checks of Drupal's file_validate_extensions(),
+   * file_validate_size() and file_validate_image_resolution(). Image
+   * dimensions are read asynchronously, so a promise may be returned.
+   *
+   * @param {element} input_element
+   *   The file field.
+   * @param {string|object} error_message
+   *   A message that should be displayed if validation fails. This will be displayed below the field.
+   *   Or, a message per rule, keyed by: extensions, size, min_resolution,
+   *   max_resolution. Messages may use @filename, @extensions, @size,
+   *   @max_size, @min and @max.
+   * @param {object} options
+   *   (optional) Containing any of:
+   *     - extensions: Allowed extensions, such as 'png gif jpg'. Defaults to
+   *       Drupal.drupalValidator.fileExtensions().
+   *     - max_size: The largest file allowed, such as '2 MB'.
+   *     - min_resolution: The smallest image allowed, such as '640x480'.
+   *     - max_resolution: The largest image allowed. Drupal scales larger
+   *       images down where it can, so only set this to refuse them.
+   *     - checking: A message to display while images are read.
+   *
+   * @return {boolean|promise}
+   *   TRUE if we passed. Otherwise, FALSE. A promise of the same while image
+   *   dimensions are read.
+   */
+  Drupal.drupalValidator.validateFileField = function (input_element, error_message, options) {
+    options = options || {};
+
+    var files = jQuery.makeArray($(input_element).prop('files') || []),
+        extensions = (options.extensions !== undefined) ? options.extensions : Drupal.drupalValidator.fileExtensions(input_element),
+        max_size = Drupal.drupalValidatorBasics.parseSize(options.max_size || 0),
+        wrong_type = jQuery.grep(files, function (file) {
+          return !Drupal.drupalValidatorBasics.fileExtensionValid(file.name, extensions);
+        }),
+        too_large = jQuery.grep(files, function (file) {
+          return !Drupal.drupalValidatorBasics.fileSizeValid(file.size, max_size);
+        });
+
+    // Check the dimensions of every image, and pass only if they all do.
+    var resolution = function (min, max) {
+      var deferred = jQuery.Deferred(),
+          remaining = files.length,
+          passed = true;
+
+      if (remaining == 0) {
+        return true;
+      }
+
+      jQuery.each(files, function (i, file) {
+        Drupal.drupalValidatorBasics.imageFileResolutionValid(file, min, max).done(function (result) {
+          passed = passed && result;
+          remaining--;
+          if (remaining == 0) {
+            deferred.resolve(passed);
+          }
+        });
+      });
+
+      return deferred.promise();
+    };
+
+    var rules = new Array(
+
+      // An allowed extension.
+      {id: 'extensions', params: {extensions: extensions, filename: wrong_type.length > 0 ? wrong_type[0].name : ''}, callback: function () {
+        return wrong_type.length == 0;
+      }},
+
+      // No larger than the limit.
+      {id: 'size', params: {max_size: Drupal.drupalValidatorBasics.formatSize(max_size), size: too_large.length > 0 ? Drupal.drupalValidatorBasics.formatSize(too_large[0].size) : '', filename: too_large.length > 0 ? too_large[0].name : ''}, callback: function () {
+        return too_large.length == 0;
+      }}
+    );
+
+    if (options.min_resolution) {
+      rules.push({id: 'min_resolution', params: {min: options.min_resolution}, checking: options.checking, callback: function () {
+        return resolution(options.min_resolution, null);
+      }});
+    }
+
+    if (options.max_resolution) {
+      rules.push({id: 'max_resolution', params: {max: options.max_resolution}, checking: options.checking, callback: function () {
+        return resolution(null, options.max_resolution);
+      }});
+    }
+
+    return Drupal.drupalValidator.bindFieldValidationArray(input_element, rules, error_message);
+  }
+
+
+
+
+  /**
+   * Confirm input_element passes a server-side check, such as "is this email
+   * already registered".
+   *
+   * @see Drupal.drupalValidatorBasics.remoteValid()
+   *
+   * @param {element} input_element
+   *   The field being validated.
+   * @param {string} url
+   *   The Drupal AJAX callback which validates the value.
+   * @param {string} error_message
+   *   A message that should be displayed if validation fails. This will be displayed below the field.
+   * @param {boolean} error_on_blank
+   *   Should we still error if the field is blank?
+   * @param {string} checking_message
+   *   A message to display while we wait on the server.
+   * @param {integer} delay
+   *   (optional) Milliseconds to wait for the user to stop typing. Use this
+   *   when validating on keyup. Defaults to 0.
+   *
+   * @return {boolean|promise}
+   *   TRUE if we passed. Otherwise, FALSE. A promise of the same if we are
+   *   still waiting on the server.
+   */
+  Drupal.drupalValidator.validateRemoteField = function (input_element, url, error_message, error_on_blank, checking_message, delay) {
+    var rules = new Array(
+      {id: 'remote', message: error_message, checking: checking_message, callback: function () {
+        return Drupal.drupalValidator.debounceRule(input_element, url, delay || 0, function () {
+          return Drupal.drupalValidatorBasics.remoteValid(url, $(input_element).val(), error_on_blank);
+        });
+      }}
+    );
+
+    return Drupal.drupalValidator.bindFieldValidationArray(input_element, rules, true);
+  }
+
+
+
+/**
+ * Layer 3.B:
+ *
+ *    Validation Behavior
+ *    ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ *    Same as above, but handling for groups of errors.
+ */
+
+
+
+  /**
+   * Attach a validation function to a field.
+   *
+   * This attaches a validation callback to a field, and sets error_message on
+   * field if the callback returns false.
+   *
+   * @param {element} field
+   *   An input element we should attach an error to.
+   * @param {function} callback
+   *   A complete callback, preloaded with any parameters, which we should
+   *   execute. We expect a boolean result, or a promise of one.
+   * @param {string} error_message
+   *   A plain text error message, which we should set if our callback
+   *   returns false. @see formatMessage()
+   * @param {string} checking_message
+   *   (optional) A message to display while a promise is unresolved.
+   * @param {string} rule_id
+   *   (optional) The rule's id, recorded in the form's state. Defaults to
+   *   'default'.
+   *
+   * @return {boolean|promise}
+   *   TRUE on success. Otherwise, FALSE, which implies an error was set
+   *   on the field. If callback was an unresolved promise, a promise of
+   *   the same.
+   */
+  Drupal.drupalValidator.bindValidationError = function (field, callback, error_message, checking_message, rule_id) {
+    if (Drupal.drupalValidator.skipInactiveField(field)) {
+      return true;
+    }
+
+    rule_id = rule_id || 'default';
+
+    if (Drupal.drupalValidator.isPromise(callback)) {
+      return Drupal.drupalValidator.bindFieldValidationArray(field, [
+        {id: rule_id, callback: callback, message: error_message, checking: checking_message}
+      ], true);
+    }
+
+    var message = (callback === false) ? Drupal.drupalValidator.formatMessage(error_message, field) : '';
+
+    Drupal.drupalValidator.recordResults(field, [
+      {rule: rule_id, passed: callback !== false, message: message, params: {}, field: null}
+    ]);
+
+    if (callback === false) {
+      Drupal.drupalValidator.setErrorState(field, message);
+      return false;
+    }
+
+    return true;
+  };
+
+
+  /**
+   * The default message mode for bindFieldValidationArray().
+   *
+   * 'all' displays every failing rule's message, while 'first' displays only
+   * the first. Sites may override this with
+   * Drupal.settings.drupalValidator.messageMode.
+   */
+  Drupal.drupalValidator.messageMode = 'all';
+
+
+  /**
+   * Attach an array of validation functions to a field. Whenever all validation
+   * on that field passes, the field recovers from it's error state.
+   *
+   * @param  {element}   field
+   *   An input element we should attach an error to.
+   * @param  {array} validation_callbacks
+   *   A ruleset of booleans, deferred callbacks or rule objects.
+   *   @see runValidationRuleset()
+   * @param {boolean|string|object} report_error_message
+   *   If a string is passed, we assume this is a generic error message to
+   *   display of any validation fails, filled in with the first failing
+   *   rule's params. If an object is passed, we assume it
+   *   holds a message per rule, keyed by rule id, and treat it as TRUE.
+   *   Otherwise, we assume a boolean. If TRUE, then we will gather error
+   *   messages for all validation failures, concat them, and display the sum
+   *   as an error message upon failure. If FALSE, no error message will
+   *   be display.
+   * @param {string} message_mode
+   *   (optional) When gathering messages, 'all' to display every failure, or
+   *   'first' to display only the first. Defaults to
+   *   Drupal.drupalValidator.messageMode.
+   *
+   * @return {boolean|promise}
+   *   TRUE on success. Otherwise, FALSE, which implies an error was set
+   *   on the field. If any rule is still waiting on a promise, a promise
+   *   of the same, which is rejected if a newer validation of the field
+   *   replaces it.
+   */
+  Drupal.drupalValidator.bindFieldValidationArray = function(field, validaton_callbacks, report_error_message, message_mode) {
+
+    var error_message = '';
+
+    // Fields the user can't see or fill in always pass.
+    if (Drupal.drupalValidator.skipInactiveField(field)) {
+      return true;
+    }
+
+    message_mode = message_mode || Drupal.drupalValidator.messageMode;
+
+    // We allow a single error message to be passed, representing one message
+    // if there are any vaildation failures.
+    //
+    // Either way, make sure that we force report_error_message to a boolean.
+    if (typeof report_error_message === 'string' || report_error_message instanceof String) {
+      error_message = report_error_message;
+      report_error_message = false;
+    }
+    else if (report_error_message && typeof report_error_message === 'object') {
+      validaton_callbacks = Drupal.drupalValidator.attachRuleMessages(validaton_callbacks, report_error_message);
+      report_error_message = true;
+    }
+    else if (report_error_message !== false) {
+      report_error_message = true;
+    }
+
+    // Execute all rules, and get an array of results. We only need to go past
+    // the first failure if we are displaying every failure's message.
+    var halt_on_error = (report_error_message === false || message_mode === 'first');
+
+    var outermost = Drupal.drupalValidator.beginValidation(field),
+        run = jQuery(field).data('drupalValidatorRun');
+    var results = Drupal.drupalValidator.runValidationRuleset(validaton_callbacks, true, halt_on_error);
+    Drupal.drupalValidator.endValidation(field);
+
+    // Wait for any asynchronous rules before reporting.
+    for (var i = 0; i < results.length; i++) {
+      if (results[i].pending !== undefined) {
+        var deferred = jQuery.Deferred();
+
+        Drupal.drupalValidator.waitForResults(field, results).then(function (results) {
+          deferred.resolve(Drupal.drupalValidator.reportRulesetResults(field, results, report_error_message, error_message, run));
+        }, function (reason) {
+          deferred.reject(reason);
+        });
+
+        return deferred.promise();
+      }
+    }
+
+    // Any checks still running for this field are now out of date.
+    if (outermost) {
+      Drupal.drupalValidator.recoverCheckingState(field);
+    }
+
+    return Drupal.drupalValidator.reportRulesetResults(field, results, report_error_message, error_message, run);
+  };
+
+
+  /**
+   * Set or recover a field's error state, from a ruleset's results.
+   *
+   * @see bindFieldValidationArray()
+   *
+   * @param  {element} field
+   *   An input element we should attach an error to.
+   * @param  {array(object)} results
+   *   Result objects, from runValidationRuleset().
+   * @param  {boolean} report_error_message
+   *   TRUE to display the failing rules' messages. FALSE to display
+   *   error_message instead.
+   * @param  {string} error_message
+   *   A generic error message. It may use the first failing rule's params.
+   * @param  {object} run
+   *   (optional) The validation run the results belong to.
+   *   @see Drupal.drupalValidator.recordResults()
+   *
+   * @return {boolean}
+   *   TRUE on success. Otherwise, FALSE, which implies an error was set
+   *   on the field.
+   */
+  Drupal.drupalValidator.reportRulesetResults = function (field, results, report_error_message, error_message, run) {
+
+    var messages = new Array();
+    var recorded = new Array();
+    var errors = false;
+    var params = {};
+
+    for (var i = 0; i < results.length; i++) {
+      var message = '';
+
+      if (results[i].passed === false) {
+
+        // A single message for the ruleset takes the first failure's params.
+        if (errors === false) {
+          params = results[i].params;
+        }
+        errors = true;
+
+        if (report_error_message === false) {
+          message = Drupal.drupalValidator.formatMessage(error_message, field, params);
+        }
+        else if (results[i].message.length > 0) {
+          message = Drupal.drupalValidator.formatMessage(results[i].message, field, results[i].params);
+          messages.push(message);
+        }
+      }
+
+      // The form's state keeps each failure's message as displayed.
+      recorded.push(jQuery.extend({}, results[i], {message: message}));
+    }
+
+    Drupal.drupalValidator.recordResults(field, recorded, run);
+
+    // If error-free, recover error state.
+    if (errors === false) {
+      Drupal.drupalValidator.recoverErrorState(field);
+      return true;
+    }
+
+    if (report_error_message === false) {
+      Drupal.drupalValidator.setErrorState(field, Drupal.drupalValidator.formatMessage(error_message, field, params));
+    }
+    // Rules without messages (such as nested validate*Field() calls) have
+    // set their own errors, so only overwrite them if we have something
+    // to say.
+    else if (messages.length > 0) {
+      Drupal.drupalValidator.setErrorState(field, Drupal.drupalValidator.errorMessageList(messages));
+    }
+
+    return false;
+  };
+
+
+  /**
+   * Attach a message to each rule in a ruleset, by rule id.
+   *
+   * Rules which already carry their own message keep it.
+   *
+   * @param  {array} validation_callbacks
+   *   A ruleset of booleans, deferred callbacks or rule objects.
+   * @param  {object} messages
+   *   Messages keyed by rule id. Rules without an id are keyed by their index.
+   *
+   * @return {array(object)}
+   *   A copy of the ruleset, as rule objects.
+   */
+  Drupal.drupalValidator.attachRuleMessages = function (validation_callbacks, messages) {
+    var ruleset = new Array();
+
+    for (var i = 0; i < validation_callbacks.length; i++) {
+      var rule = validation_callbacks[i];
+
+      if (rule === null || typeof rule !== 'object') {
+        rule = {callback: rule};
+      }
+
+      var id = (rule.id !== undefined) ? rule.id : i;
+
+      ruleset.push(jQuery.extend({}, rule, {
+        id: id,
+        message: rule.message || messages[id] || ''
+      }));
+    }
+
+    return ruleset;
+  };
+
+
+  /**
+   * Attach a ruleset to a checklist popup beside a field.
+   *
+   * Every rule is evaluated, and the popup shows one row per rule, marked as
+   * passed or failed. This is the validator UI used for password fields, so
+   * users can see which requirements they have met while they type.
+   *
+   * The field's own error state is left alone.
+   *
+   * @param  {element} field
+   *   The field the popup belongs to.
+   * @param  {array} validation_callbacks
+   *   A ruleset of rule objects. @see runValidationRuleset()
+   * @param  {object} labels
+   *   The checklist text for each rule, keyed by rule id. Rules without a
+   *   label are evaluated, but left off the checklist. @see formatMessage()
+   *
+   * @return {boolean}
+   *   TRUE if every rule passed. Otherwise, FALSE.
+   */
+  Drupal.drupalValidator.bindFieldValidationPopup = function (field, validation_callbacks, labels) {
+    if (!Drupal.drupalValidator.fieldIsActive(field)) {
+      Drupal.drupalValidator.hidePopupState(field);
+      return true;
+    }
+
+    var results = Drupal.drupalValidator.runValidationRuleset(validation_callbacks, true, false);
+    var rows = new Array();
+    var passed = true;
+
+    for (var i = 0; i < results.length; i++) {
+      if (results[i].passed === false) {
+        passed = false;
+      }
+
+      if (labels[results[i].rule]) {
+        rows.push({
+          label: Drupal.drupalValidator.formatMessage(labels[results[i].rule], field, results[i].params),
+          passed: results[i].passed !== false
+        });
+      }
+    }
+
+    Drupal.drupalValidator.setPopupState(field, rows);
+
+    return passed;
+  };
+
+
+  /**
+   * Fill in the placeholders of a message.
+   *
+   * Messages should already have been passed through Drupal.t() by layer 2,
+   * (or t() if they came from PHP) with their placeholders left in place.
+   * The message is passed through Drupal.t() once more with its arguments,
+   * so a raw template still has the chance to be translated.
+   *
+   * Available placeholders are @label, the field's label, and one for each
+   * of the rule's params, such as @min and @max. The % and ! prefixes work
+   * as they do for Drupal.t().
+   *
+   * @param {string} message
+   *   The message template.
+   * @param {element} field
+   *   The field the message belongs to.
+   * @param {object} params
+   *   (optional) The rule's parameters.
+   *
+   * @return {string}
+   *   The formatted message.
+   */
+  Drupal.drupalValidator.formatMessage = function (message, field, params) {
+    var args = {};
+
+    if (!message) {
+      return '';
+    }
+
+    jQuery.each(params || {}, function (key, value) {
+      args['@' + key] = args['%' + key] = args['!' + key] = value;
+    });
+
+    var label = Drupal.drupalValidator.fieldLabel(field);
+    args['@label'] = args['%label'] = args['!label'] = label;
+
+    return Drupal.t(message, args);
+  };
+
+
+  /**
+   * Evaluate a passed ruleset of validation callbacks, and assemble a result.
+   *
+   * The result will be a boolean true/false of the total success, or an array
+   * of results, if the return_errors flag was set.
+   *
+   * Each rule in the ruleset may be:
+   *   - A boolean, for a rule which was already evaluated by the caller.
+   *   - A function, which will be called (with no arguments) only when the
+   *     ruleset reaches it, and should return a boolean, or a promise of one.
+   *   - A promise of a boolean.
+   *   - A rule object, containing:
+   *       - id: A name for the rule, such as 'length'.
+   *       - callback: A function, as above, or a boolean.
+   *       - message: (optional) The message which belongs to this rule.
+   *       - params: (optional) The rule's parameters, such as {min: 8}, which
+   *         its message may use as placeholders.
+   *       - field: (optional) The element this rule validates.
+   *       - checking: (optional) A message to display while a promise
+   *         is unresolved.
+   *
+   * Since functions are only called as they are reached, halt_on_error will
+   * skip any rules after the first failure.
+   *
+   * This function DOES NOT DO ERROR HANDLING DIRECTLY. While callbacks passed
+   * to this function may handle errors, this function simply executes them,
+   * and does not handle error setting or recovery itself.
+   *
+   * @see
+   *   bindFieldValidationArray(),
+   *   bindFieldValidationPopup(),
+   *   which call this directly.
+   *
+   * @param  {array} validation_callbacks
+   *   An array of rules, as described above.
+   * @param  {boolean} return_errors
+   *   Should we return an array of results instead of a boolean success? This
+   *   is used when a set of rule results will be assembled into a validator UI,
+   *   such as the password popup validator.
+   * @param  {boolean} halt_on_error
+   *   Should we stop evaluating rules at the first failure?
+   *
+   * @return {boolean|array(object)}
+   *   By default, a true/false will be returned, signifying if ALL RULES
+   *   PASSED. If return_errors was set to TRUE, then an array of result
+   *   objects will be returned instead, one per evaluated rule, each
+   *   containing:
+   *     - rule: The rule's id, or its index in the ruleset if it had none.
+   *     - passed: TRUE if the rule passed. Otherwise, FALSE.
+   *     - message: The rule's message, or an empty string.
+   *     - params: The rule's parameters, or an empty object.
+   *     - field: The rule's field, or NULL.
+   *     - pending: Only set if the rule returned an unresolved promise, which
+   *       is held here. passed will be NULL until it resolves, and will not
+   *       halt the ruleset.
+   *     - checking: Only set with pending. A message to display meanwhile.
+   */
+  Drupal.drupalValidator.runValidationRuleset = function (validation_callbacks, return_errors, halt_on_error) {
+
+    var error_array = new Array();
+    var errors = false;
+
+    // Execute all callbacks, and assemble their results.
+    if (Array.isArray(validation_callbacks) && validation_callbacks.length > 0) {
+      for (var i = 0; i < validation_callbacks.length; i++) {
+        var my_result = Drupal.drupalValidator.evaluateRule(validation_callbacks[i], i);
+
+        error_array.push(my_result);
+
+        // If we recieved a failure, flag this ruleset as failed.
+        if (my_result.passed === false) {
+          errors = true;
+
+          // If halt on false, the exit.
+          if (halt_on_error === true) {
+            break;
+          }
+        }
+      }
+    }
+
+    // Return the errors array if requested.
+    if (return_errors === true) {
+      return error_array;
+    }
+
+    // Otherwise return TRUE if no errors were detected.
+    return !errors;
+  };
+
+
+  /**
+   * Evaluate a single rule from a ruleset.
+   *
+   * @see runValidationRuleset()
+   *
+   * @param {boolean|function|object} rule
+   *   A boolean, deferred function or rule object.
+   * @param {string|integer} default_id
+   *   The id to report if the rule doesn't have one.
+   *
+   * @return {object}
+   *   A result object, as described in runValidationRuleset().
+   */
+  Drupal.drupalValidator.evaluateRule = function (rule, default_id) {
+
+    // Bare booleans and functions become rule objects with no message.
+    if (rule === null || typeof rule !== 'object') {
+      rule = {callback: rule};
+    }
+
+    // A rule whose condition isn't met passes, without being evaluated.
+    if (rule.condition !== undefined && !Drupal.drupalValidator.conditionMet(rule.condition, rule.field)) {
+      return {
+        rule: (rule.id !== undefined) ? rule.id : default_id,
+        passed: true,
+        skipped: true,
+        message: rule.message || '',
+        params: rule.params || {},
+        field: rule.field || null
+      };
+    }
+
+    var callback = rule.callback;
+
+    // Only evaluate deferred rules now, as they are reached.
+    if (typeof callback === 'function') {
+      callback = callback();
+    }
+
+    var result = {
+      rule: (rule.id !== undefined) ? rule.id : default_id,
+      passed: callback !== false,
+      message: rule.message || '',
+      params: rule.params || {},
+      field: rule.field || null
+    };
+
+    if (Drupal.drupalValidator.isPromise(callback)) {
+      result.passed = Drupal.drupalValidator.settledResult(callback);
+
+      if (result.passed === null) {
+        result.pending = callback;
+        result.checking = rule.checking || '';
+      }
+    }
+
+    return result;
+  };
+
+
+  /**
+   * Determine if a rule's result is a promise.
+   *
+   * @param {mixed} result
+   *   The result of a rule.
+   *
+   * @return {boolean}
+   *   TRUE if result is a promise. Otherwise, FALSE.
+   */
+  Drupal.drupalValidator.isPromise = function (result) {
+    return !!result && typeof result.then === 'function';
+  };
+
+
+  /**
+   * Read the result of a promise which has already settled.
+   *
+   * Only jQuery promises can be read this way. Rejected promises count as a
+   * pass, since a check which could not run is left to the server.
+   *
+   * @param {promise} promise
+   *   The promise of a boolean.
+   *
+   * @return {boolean|null}
+   *   The promised boolean, or NULL if it is still pending.
+   */
+  Drupal.drupalValidator.settledResult = function (promise) {
+    var passed = null;
+
+    if (typeof promise.state !== 'function') {
+      return null;
+    }
+
+    if (promise.state() === 'rejected') {
+      return true;
+    }
+
+    // done() runs immediately on a resolved jQuery promise.
+    promise.done(function (result) {
+      passed = (result !== false);
+    });
+
+    return passed;
+  };
+
+
+  /**
+   * Mark the start of a field's validation.
+   *
+   * Validation may be nested, such as a layer 2 ruleset made of layer 3
+   * validate*Field() calls. Only the outermost validation of a field starts a
+   * new run, which makes any results still pending from earlier runs stale.
+   *
+   * @param {element} field
+   *   The field being validated.
+   *
+   * @return {boolean}
+   *   TRUE if this is the outermost validation of the field.
+   */
+  Drupal.drupalValidator.beginValidation = function (field) {
+    var depth = jQuery(field).data('drupalValidatorDepth') || 0;
+
+    if (depth === 0) {
+      jQuery(field).data('drupalValidatorRun', {});
+    }
+
+    jQuery(field).data('drupalValidatorDepth', depth + 1);
+
+    return depth === 0;
+  };
+
+
+  /**
+   * Mark the end of a field's validation.
+   *
+   * @see beginValidation()
+   *
+   * @param {element} field
+   *   The field being validated.
+   */
+  Drupal.drupalValidator.endValidation = function (field) {
+    jQuery(field).data('drupalValidatorDepth', jQuery(field).data('drupalValidatorDepth') - 1);
+  };
+
+
+  /**
+   * Validate a field in a single run, such as a chain of validate*Field()
+   * calls.
+   *
+   * Each call would otherwise report to the form's state by itself, so a
+   * field which passes its first rule and fails its last would briefly be
+   * valid. Within a run, the results of every call are gathered, and
+   * reported once the callback is done, or once any rule it is still
+   * waiting on is.
+   *
+   * @param {element} field
+   *   The field being validated.
+   * @param {function} callback
+   *   Validates the field, which it is passed.
+   *
+   * @return {boolean|promise}
+   *   The callback's result.
+   */
+  Drupal.drupalValidator.runValidation = function (field, callback) {
+    var outermost = Drupal.drupalValidator.beginValidation(field),
+        run = jQuery(field).data('drupalValidatorRun'),
+        result;
+
+    // A callback which throws mustn't leave the field in a run for good.
+    try {
+      result = callback(field);
+    }
+    finally {
+      Drupal.drupalValidator.endValidation(field);
+    }
+
+    var pending = Drupal.drupalValidator.isPromise(result) && result.state() === 'pending';
+
+    if (outermost && !pending && run.results) {
+      Drupal.drupalValidator.recordResults(field, [], run);
+    }
+
+    return result;
+  };
+
+
+  /**
+   * Wait for the pending results of a ruleset to resolve.
+   *
+   * The field is put into its checking state meanwhile. If the field is
+   * validated again before we are done, these results are out of date, and
+   * the returned promise will be rejected instead.
+   *
+   * @param {element} field
+   *   The field the results belong to.
+   * @param {array(object)} results
+   *   Result objects, from runValidationRuleset().
+   *
+   * @return {promise}
+   *   A promise of the results, with every passed value filled in.
+   */
+  Drupal.drupalValidator.waitForResults = function (field, results) {
+    var deferred = jQuery.Deferred(),
+        run = jQuery(field).data('drupalValidatorRun'),
+        pending = jQuery.grep(results, function (result) {
+          return result.pending !== undefined;
+        }),
+        remaining = pending.length;
+
+    var settle = function () {
+      remaining--;
+      if (remaining > 0) {
+        return;
+      }
+
+      if (jQuery(field).data('drupalValidatorRun') !== run) {
+        deferred.reject('stale');
+        return;
+      }
+
+      Drupal.drupalValidator.recoverCheckingState(field);
+      deferred.resolve(results);
+    };
+
+    Drupal.drupalValidator.setCheckingState(field, Drupal.drupalValidator.formatMessage(pending[0].checking, field));
+
+    jQuery.each(pending, function (key, result) {
+      result.pending.then(function (passed) {
+        result.passed = (passed !== false);
+        delete result.pending;
+        settle();
+      }, function () {
+        result.passed = true;
+        delete result.pending;
+        settle();
+      });
+    });
+
+    return deferred.promise();
+  };
+
+
+  /**
+   * Delay a rule until a field's value has stopped changing.
+   *
+   * Each call for the same field and key replaces the last: its timer is
+   * cleared, any request it started is aborted, and its promise is rejected.
+   * A result which arrives after the field's value has changed is also
+   * rejected, as it no longer applies.
+   *
+   * A value the last call already settled gets that result straight away,
+   * and a field being validated for a submit runs the rule without delay,
+   * so a submit never waits on a timer.
+   *
+   * @param {element} field
+   *   The field being validated.
+   * @param {string} key
+   *   Identifies the rule, such as its url, so different rules on one field
+   *   don't cancel each other.
+   * @param {integer} delay
+   *   Milliseconds to wait. 0 runs the rule immediately.
+   * @param {function} callback
+   *   The rule, returning a promise of a boolean. If that promise has an
+   *   abort() method, it is used to cancel the rule.
+   *
+   * @return {promise}
+   *   A promise of the rule's result.
+   */
+  Drupal.drupalValidator.debounceRule = function (field, key, delay, callback) {
+    var entries = jQuery(field).data('drupalValidatorDebounce') || {},
+        previous = entries[key],
+        entry = {deferred: jQuery.Deferred(), value: jQuery(field).val()};
+
+    // The value has already been checked.
+    if (previous && previous.value === entry.value && previous.deferred.state() === 'resolved') {
+      return previous.deferred.promise();
+    }
+
+    if (previous && previous.deferred.state() === 'pending') {
+      clearTimeout(previous.timer);
+      if (previous.request && typeof previous.request.abort === 'function') {
+        previous.request.abort();
+      }
+      previous.deferred.reject('stale');
+    }
+
+    var resolve = function (passed) {
+      if (jQuery(field).val() !== entry.value) {
+        entry.deferred.reject('stale');
+      }
+      else {
+        entry.deferred.resolve(passed);
+      }
+    };
+    var reject = function (reason) {
+      entry.deferred.reject(reason);
+    };
+
+    var run = function () {
+      entry.request = callback();
+
+      // jQuery's done() settles at once for a cached result, where then()
+      // would wait a tick, and leave the field checking.
+      if (typeof entry.request.done === 'function') {
+        entry.request.done(resolve).fail(reject);
+      }
+      else {
+        entry.request.then(resolve, reject);
+      }
+    };
+
+    entries[key] = entry;
+    jQuery(field).data('drupalValidatorDebounce', entries);
+
+    // A submit doesn't wait for the user to stop typing.
+    if (delay > 0 && !jQuery(field).data('drupalValidatorSubmitting')) {
+      entry.timer = setTimeout(run, delay);
+    }
+    else {
+      run();
+    }
+
+    return entry.deferred.promise();
+  };
+
+
+
+/**
+ * Layer 3.C:
+ *
+ *    Form Validation
+ *    ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ *    Registering a field's validation with its form, so every registered
+ *    field can be validated again when the form is submitted.
+ *
+ *    Submit buttons with a formnovalidate attribute, or the class
+ *    drupal-validator-skip, will submit without validation.
+ *
+ *    Part of a form, such as one step of a multi-step form, may be validated
+ *    on its own with validateContainer().
+ *
+ *    Layer 1 code should bind its fields with bindFields(), which binds each
+ *    element once, however often Drupal attaches behaviors, and finds the
+ *    new deltas of multi-value fields through name patterns. Everything it
+ *    binds is released again when Drupal detaches behaviors from an AJAX
+ *    rebuilt part of the page.
+ */
+
+
+  /**
+   * Find fields within context, by selector or name pattern.
+   *
+   * A name pattern is a field's name, with [*] in place of its delta, such
+   * as 'field_phone[und][*][value]'. It matches every delta of the field,
+   * including those added later with "Add another item".
+   *
+   * @param {element|jQuery} context
+   *   The context passed to the behavior, or a form.
+   * @param {string} selector
+   *   A jQuery selector, or a name pattern.
+   *
+   * @return {jQuery}
+   *   The matching fields, including context itself if it matches.
+   */
+  Drupal.drupalValidator.findFields = function (context, selector) {
+    if (selector.indexOf('[*]') === -1) {
+      return $(context).find(selector).addBack(selector);
+    }
+
+    var pattern = new RegExp('^' + selector.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\\\[\\\*\\\]/g, '\\[\\d+\\]') + '$');
+
+    return $(context).find(':input[name]').addBack(':input[name]').filter(function () {
+      return pattern.test(this.name);
+    });
+  };
+
+
+  /**
+   * Bind a field definition to elements, once per element.
+   *
+   * Handlers are namespaced, and everything bound here is released by
+   * detachField().
+   *
+   * @param {element|jQuery} elements
+   *   The fields to bind, usually from findFields().
+   * @param {object} definition
+   *   Containing any of:
+   *     - events: Handlers keyed by event names, such as
+   *       {'focus': recover, 'keyup blur': validate}.
+   *     - validate: The field's validation, to register with its form.
+   *       @see Drupal.drupalValidator.registerField()
+   *     - mask: An input mask. @see Drupal.drupalValidatorBasics.bindMask()
+   *     - conditions: Rule conditions to check the field again on.
+   *       @see Drupal.drupalValidator.watchCondition()
+   *     - once: (optional) The once() id, for code binding the same elements
+   *       twice. Defaults to 'drupal-validator-bind'.
+   *
+   * @return {jQuery}
+   *   The elements bound by this call.
+   */
+  Drupal.drupalValidator.bindFields = function (elements, definition) {
+    var id = definition.once || 'drupal-validator-bind';
+
+    return $(elements).once(id).each(function () {
+      var element = this,
+          ids = $(element).data('drupalValidatorOnce') || new Array();
+
+      ids.push(id);
+      $(element).data('drupalValidatorOnce', ids).addClass('drupal-validator-bound');
+
+      if (definition.mask) {
+        Drupal.drupalValidatorBasics.bindMask(element, definition.mask);
+      }
+
+      jQuery.each(definition.events || {}, function (events, handler) {
+        $(element).on(events.split(' ').join('.drupalValidator ') + '.drupalValidator', handler);
+      });
+
+      if (definition.validate) {
+        Drupal.drupalValidator.registerField(element, definition.validate);
+      }
+
+      jQuery.each(definition.conditions || [], function (i, condition) {
+        Drupal.drupalValidator.watchCondition(element, condition);
+      });
+    });
+  };
+
+
+  /**
+   * Release every field within context bound by the library.
+   *
+   * @param {element|jQuery} context
+   *   The part of the page being detached.
+   */
+  Drupal.drupalValidator.detachFields = function (context) {
+    var selector = '.drupal-validator-field, .drupal-validator-bound, .drupal-validator-masked';
+
+    $(context).find(selector).addBack(selector).each(function () {
+      Drupal.drupalValidator.detachField(this);
+    });
+  };
+
+
+  /**
+   * Release a field: its error messages, handlers, mask, pending checks and
+   * registration with its form. It may then be bound again from scratch.
+   *
+   * @param {element} element
+   *   The field.
+   */
+  Drupal.drupalValidator.detachField = function (element) {
+    var $element = $(element);
+
+    Drupal.drupalValidator.releaseField(element);
+
+    // Drupal 7 leaves an empty message behind after recovering.
+    $('#' + Drupal.drupalValidator.errorMessageId(element)).remove();
+
+    // Stop any checks still waiting on a timer or the server.
+    jQuery.each($element.data('drupalValidatorDebounce') || {}, function (key, entry) {
+      if (entry.deferred.state() === 'pending') {
+        clearTimeout(entry.timer);
+        if (entry.request && typeof entry.request.abort === 'function') {
+          entry.request.abort();
+        }
+        entry.deferred.reject('stale');
+      }
+    });
+
+    jQuery.each($element.data('drupalValidatorWatchers') || [], function (i, watcher) {
+      $(document).off('change', watcher.selector, watcher.handler);
+    });
+
+    jQuery.each(($element.data('drupalValidatorOnce') || []).concat(['drupal-validator-mask']), function (i, id) {
+      $element.removeOnce(id);
+    });
+
+    $element.off('.drupalValidator')
+      .removeData('drupalValidatorCallbacks drupalValidatorMask drupalValidatorComposing drupalValidatorWatchers drupalValidatorOnce drupalValidatorChecked drupalValidatorDebounce drupalValidatorServerError')
+      .removeClass('drupal-validator-field drupal-validator-bound drupal-validator-masked');
+  };
+
+
+  /**
+   * Release the fields in any part of the page Drupal unloads, such as the
+   * wrapper an AJAX response replaces.
+   */
+  Drupal.behaviors.drupalValidatorLifecycle = {
+    detach: function (context, settings, trigger) {
+      if (trigger === undefined || trigger === 'unload') {
+        Drupal.drupalValidator.detachFields(context);
+      }
+    }
+  };
+
+
+  /**
+   * Register a field's validation with its form.
+   *
+   * Layer 1 code should call this with the same layer 2 logic it binds to the
+   * field's events, so the field is also validated on submit.
+   * Registering the same callback twice, such as from a behavior which
+   * attaches again, has no further effect.
+   *
+   * @param {element|jQuery} elements
+   *   The field(s) to register.
+   * @param {function} callback
+   *   The field's validation. It receives the element, and should return a
+   *   boolean, or a promise of one, setting any errors itself.
+   */
+  Drupal.drupalValidator.registerField = function (elements, callback) {
+    $(elements).each(function () {
+      var callbacks = $(this).data('drupalValidatorCallbacks') || new Array();
+
+      if (jQuery.inArray(callback, callbacks) === -1) {
+        callbacks.push(callback);
+      }
+      $(this).data('drupalValidatorCallbacks', callbacks).addClass('drupal-validator-field');
+
+      Drupal.drupalValidator.bindFormSubmit($(this).closest('form'));
+    });
+  };
+
+
+  /**
+   * Validate every registered field in a form.
+   *
+   * If any field fails, the first invalid field is scrolled to and focused.
+   *
+   * @param {element} form
+   *   The form to validate.
+   *
+   * @return {boolean}
+   *   TRUE if every field passed. Otherwise, FALSE.
+   */
+  Drupal.drupalValidator.validateForm = function (form) {
+    return Drupal.drupalValidator.validateFields($(form).find('.drupal-validator-field'));
+  };
+
+
+  /**
+   * Validate every registered field within part of a form, such as a
+   * fieldset, a vertical tab, or the current page of a multi-step form, so
+   * the user can be stopped before moving on to the next.
+   *
+   * If any field fails, the first invalid field is scrolled to and focused,
+   * opening the tab or fieldset it is in.
+   *
+   * @param {element|jQuery} container
+   *   The part of the form to validate.
+   *
+   * @return {boolean}
+   *   TRUE if every field in the container passed. Otherwise, FALSE.
+   */
+  Drupal.drupalValidator.validateContainer = function (container) {
+    var selector = '.drupal-validator-field';
+
+    return Drupal.drupalValidator.validateFields($(container).find(selector).addBack(selector));
+  };
+
+
+  /**
+   * Validate a set of registered fields.
+   *
+   * If any field fails, the first invalid field is scrolled to and focused.
+   *
+   * @param {jQuery} fields
+   *   The registered fields.
+   *
+   * @return {boolean}
+   *   TRUE if every field passed. Otherwise, FALSE.
+   */
+  Drupal.drupalValidator.validateFields = function (fields) {
+    var first_error = null;
+
+    $(fields).each(function () {
+      if (Drupal.drupalValidator.validateRegisteredField(this) === false && first_error === null) {
+        first_error = this;
+      }
+    });
+
+    if (first_error !== null) {
+      Drupal.drupalValidator.focusErrorField(first_error);
+      return false;
+    }
+
+    return true;
+  };
+
+
+  /**
+   * Run every validation callback registered on a field.
+   *
+   * Callbacks run in the order they were registered, each in its own run,
+   * and stop at the first failure. A callback still waiting on a promise
+   * counts as a failure, and its promise is kept for holdSubmit().
+   *
+   * @see runValidation()
+   *
+   * @param {element} element
+   *   The registered field.
+   *
+   * @return {boolean}
+   *   TRUE on success. Otherwise, FALSE.
+   */
+  Drupal.drupalValidator.validateRegisteredField = function (element) {
+    var callbacks = $(element).data('drupalValidatorCallbacks') || new Array();
+
+    // Start from a clean slate, as our callbacks only ever set errors.
+    Drupal.drupalValidator.recoverErrorState(element);
+    $(element).removeData('drupalValidatorPending');
+
+    if (Drupal.drupalValidator.skipInactiveField(element)) {
+      return true;
+    }
+
+    for (var i = 0; i < callbacks.length; i++) {
+      $(element).data('drupalValidatorSubmitting', true);
+      var result = Drupal.drupalValidator.runValidation(element, callbacks[i]);
+      $(element).removeData('drupalValidatorSubmitting');
+
+      // A field which is still being checked can't be submitted yet. Once the
+      // check is done, its result is cached, so the next submit goes through.
+      // @see holdSubmit()
+      if (Drupal.drupalValidator.isPromise(result)) {
+        var promise = result;
+
+        result = Drupal.drupalValidator.settledResult(promise);
+        if (result === null) {
+          $(element).data('drupalValidatorPending', promise);
+          return false;
+        }
+      }
+
+      if (result === false) {
+        return false;
+      }
+    }
+
+    return true;
+  };
+
+
+  /**
+   * Validate a form when it is submitted, and stop the submit if it fails.
+   *
+   * This covers both plain submits, and Drupal AJAX submit buttons. A file
+   * field's upload button only validates the file, so a bad file is caught
+   * before it is uploaded, without holding up good ones for the rest of the
+   * form. A submit stopped only by checks still running is repeated once
+   * they pass.
+   *
+   * @see holdSubmit()
+   *
+   * @param {jQuery} form
+   *   The form to bind.
+   */
+  Drupal.drupalValidator.bindFormSubmit = function (form) {
+
+    form.once('drupal-validator-submit').each(function () {
+
+      // Remember which button submitted the form.
+      $(this).on('click', ':submit, input:image', function () {
+        $(this).closest('form').data('drupalValidatorButton', this);
+      });
+
+      $(this).on('submit', function (event) {
+        var button = $(this).data('drupalValidatorButton');
+
+        // Forget the button, and any submit held before this one.
+        $(this).removeData('drupalValidatorButton drupalValidatorHold');
+
+        if (!Drupal.drupalValidator.submitValidates(button)) {
+          return;
+        }
+
+        var passed = Drupal.drupalValidator.validateForm(this);
+        Drupal.drupalValidator.reportSubmit(this, passed);
+
+        if (passed === false) {
+          event.preventDefault();
+          event.stopImmediatePropagation();
+
+          var form = this;
+
+          Drupal.drupalValidator.holdSubmit(form, function () {
+            if (button) {
+              $(button).trigger('click');
+            }
+            else {
+              $(form).trigger('submit');
+            }
+          });
+        }
+      });
+    });
+
+    // AJAX submit buttons never fire the form's submit event. Instead, catch
+    // them before their form is serialized, which cancels the request.
+    if (Drupal.ajax && !Drupal.drupalValidator.ajaxBound) {
+      var beforeSerialize = Drupal.ajax.prototype.beforeSerialize;
+
+      Drupal.ajax.prototype.beforeSerialize = function (element, options) {
+        if (this.form && $(this.element).is(':submit, input:image') && Drupal.drupalValidator.submitValidates(this.element)) {
+          var upload = Drupal.drupalValidator.uploadFields(this.element);
+
+          if (upload !== null) {
+            if (Drupal.drupalValidator.validateFields(upload) === false) {
+              return false;
+            }
+          }
+          else {
+            $(this.form).removeData('drupalValidatorHold');
+
+            var passed = Drupal.drupalValidator.validateForm(this.form);
+            Drupal.drupalValidator.reportSubmit(this.form, passed);
+
+            if (passed === false) {
+              var ajax = this;
+
+              Drupal.drupalValidator.holdSubmit(this.form, function () {
+                $(ajax.element).trigger(ajax.event);
+              });
+              return false;
+            }
+          }
+        }
+
+        return beforeSerialize.apply(this, arguments);
+      };
+
+      Drupal.drupalValidator.ajaxBound = true;
+    }
+  };
+
+
+  /**
+   * Submit a form again once the checks which stopped its submit have passed.
+   *
+   * A field still being checked, such as by the server, stops the submit,
+   * as its outcome isn't known yet. Rather than leave the user to submit
+   * again, without being told why, the submit is repeated as soon as every
+   * such check passes. If any field failed outright, or a check fails, the
+   * submit stays stopped. A later submit replaces a held one.
+   *
+   * @param {element} form
+   *   The form whose submit was stopped.
+   * @param {function} resubmit
+   *   Repeats the submit.
+   */
+  Drupal.drupalValidator.holdSubmit = function (form, resubmit) {
+    var hold = {},
+        pending = new Array();
+
+    $(form).data('drupalValidatorHold', hold);
+
+    if (Drupal.drupalValidator.getRenderer().invalidFields(form).length > 0) {
+      return;
+    }
+
+    $(form).find('.drupal-validator-field').each(function () {
+      var promise = $(this).data('drupalValidatorPending');
+
+      if (promise && promise.state() === 'pending') {
+        pending.push(promise);
+      }
+    });
+
+    if (pending.length <= 0) {
+      return;
+    }
+
+    jQuery.when.apply(jQuery, pending).done(function () {
+      if ($(form).data('drupalValidatorHold') !== hold) {
+        return;
+      }
+      $(form).removeData('drupalValidatorHold');
+
+      for (var i = 0; i < arguments.length; i++) {
+        if (arguments[i] === false) {
+          return;
+        }
+      }
+
+      resubmit();
+    });
+  };
+
+
+  /**
+   * Find the file fields a managed file's upload button will upload.
+   *
+   * @param {element} button
+   *   An AJAX submit button.
+   *
+   * @return {jQuery|null}
+   *   The registered file fields beside the button, or NULL if it isn't an
+   *   upload button.
+   */
+  Drupal.drupalValidator.uploadFields = function (button) {
+    if (!$(button).is('[name$="_upload_button"]')) {
+      return null;
+    }
+
+    return $(button).closest('.form-managed-file, .js-form-managed-file').find('input:file.drupal-validator-field');
+  };
+
+
+  /**
+   * Determine if a submit button should validate its form.
+   *
+   * @param {element} button
+   *   The submit button. May be empty, if the form was submitted another way.
+   *
+   * @return {boolean}
+   *   TRUE if we should validate. Otherwise, FALSE.
+   */
+  Drupal.drupalValidator.submitValidates = function (button) {
+    return !$(button).is('[formnovalidate], .drupal-validator-skip');
+  };
+
+
+
+/**
+ * Layer 3.D:
+ *
+ *    Conditional Validation
+ *    ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ *    Fields hidden, disabled or removed (usually by Drupal's #states) are not
+ *    validated, and lose any error they had. Rules may also declare their own
+ *    condition, using the same syntax as #states:
+ *
+ *      {id: 'required', condition: {'#edit-contact-method': {value: 'phone'}}, callback: ...}
+ *
+ *    Conditions support value (a value, or an array of them), checked, filled
+ *    and empty. Several selectors, or several keys for one selector, must all
+ *    be met. A function may be used instead, which receives the field.
+ */
+
+
+  /**
+   * Determine if the user can see and fill in a field.
+   *
+   * This avoids jQuery's :visible, which relies on layout, and checks the
+   * things #states changes instead.
+   *
+   * @param {element} element
+   *   The field.
+   *
+   * @return {boolean}
+   *   FALSE if the field is detached, disabled, of type hidden, or hidden by
+   *   itself or an ancestor. A group is also inactive once every one of its
+   *   radios or checkboxes is disabled. Otherwise, TRUE, including for fields
+   *   in a closed tab or collapsed fieldset. @see paneIsClosed()
+   */
+  Drupal.drupalValidator.fieldIsActive = function (element) {
+    var node = jQuery(element).get(0);
+
+    if (!node || !node.ownerDocument || !jQuery.contains(node.ownerDocument.documentElement, node)) {
+      return false;
+    }
+
+    if (node.type === 'hidden' || jQuery(node).is(':disabled')) {
+      return false;
+    }
+
+    var inputs = Drupal.drupalValidator.groupInputs(node);
+    if (!jQuery(node).is(':input') && inputs.length > 0 && inputs.not(':disabled').length <= 0) {
+      return false;
+    }
+
+    for (; node && node.nodeType === 1; node = node.parentNode) {
+      if ((node.hidden || jQuery(node).css('display') === 'none') && !Drupal.drupalValidator.paneIsClosed(node)) {
+        return false;
+      }
+    }
+
+    return jQuery(element).css('visibility') !== 'hidden';
+  };
+
+
+  /**
+   * Recover an inactive field, and report that it should be skipped.
+   *
+   * Active fields are marked as checked, so a change to a condition they
+   * depend on knows to check them again.
+   *
+   * @see Drupal.drupalValidator.watchCondition()
+   *
+   * @param {element} field
+   *   The field about to be validated.
+   *
+   * @return {boolean}
+   *   TRUE if the field is inactive, and validation should be skipped.
+   */
+  Drupal.drupalValidator.skipInactiveField = function (field) {
+    if (Drupal.drupalValidator.fieldIsActive(field)) {
+      jQuery(field).data('drupalValidatorChecked', true);
+      return false;
+    }
+
+    Drupal.drupalValidator.releaseField(field);
+
+    return true;
+  };
+
+
+  /**
+   * Remove every error, checking and popup state from a field, and forget
+   * its results.
+   *
+   * @param {element} field
+   *   The field.
+   */
+  Drupal.drupalValidator.releaseField = function (field) {
+    var state = Drupal.drupalValidator.formState(field);
+
+    if (state !== null) {
+      state.removeField(field);
+    }
+
+    jQuery(field).removeData('drupalValidatorFocusing');
+
+    Drupal.drupalValidator.recoverErrorState(field);
+    Drupal.drupalValidator.recoverCheckingState(field);
+    Drupal.drupalValidator.hidePopupState(field);
+  };
+
+
+  /**
+   * Determine if a rule's condition is met.
+   *
+   * @param {object|function} condition
+   *   A #states style condition, keyed by selector, or a function.
+   * @param {element} field
+   *   (optional) The field being validated, passed to function conditions.
+   *
+   * @return {boolean}
+   *   TRUE if every part of the condition is met. Otherwise, FALSE.
+   */
+  Drupal.drupalValidator.conditionMet = function (condition, field) {
+    if (typeof condition === 'function') {
+      return condition(field) !== false;
+    }
+
+    var met = true;
+
+    jQuery.each(condition || {}, function (selector, states) {
+      var elements = jQuery(selector),
+          value = Drupal.drupalValidator.conditionValue(elements);
+
+      jQuery.each(states, function (state, expected) {
+        switch (state) {
+          case 'value':
+            met = Array.isArray(expected) ? expected.indexOf(value) !== -1 : value === String(expected);
+            break;
+
+          case 'checked':
+            met = elements.is(':checked') === expected;
+            break;
+
+          case 'filled':
+            met = (value !== '') === expected;
+            break;
+
+          case 'empty':
+            met = (value === '') === expected;
+            break;
+        }
+
+        return met;
+      });
+
+      return met;
+    });
+
+    return met;
+  };
+
+
+  /**
+   * Read the value of a condition's controlling field.
+   *
+   * @param {jQuery} elements
+   *   The elements matched by the condition's selector.
+   *
+   * @return {string}
+   *   The checked value of a set of radios or checkboxes, or the first
+   *   element's value. Empty if there is none.
+   */
+  Drupal.drupalValidator.conditionValue = function (elements) {
+    if (elements.is(':radio, :checkbox')) {
+      elements = elements.filter(':checked');
+    }
+
+    var value = elements.first().val();
+
+    return (value === undefined || value === null) ? '' : String(value);
+  };
+
+
+  /**
+   * Check a field again whenever a field its condition depends on changes.
+   *
+   * Only fields which were already checked are checked again, so a user
+   * isn't shown errors for fields they haven't reached yet. Function
+   * conditions have no fields to watch.
+   *
+   * @param {element} element
+   *   The field with the condition.
+   * @param {object|function} condition
+   *   The condition. @see Drupal.drupalValidator.conditionMet()
+   * @param {function} callback
+   *   (optional) The field's validation. It receives the element. Defaults
+   *   to the validation registered for the field with its form.
+   */
+  Drupal.drupalValidator.watchCondition = function (element, condition, callback) {
+    if (!condition || typeof condition !== 'object') {
+      return;
+    }
+
+    callback = callback || Drupal.drupalValidator.validateRegisteredField;
+
+    var watchers = jQuery(element).data('drupalValidatorWatchers') || new Array();
+
+    jQuery.each(condition, function (selector) {
+      var handler = function () {
+        if (jQuery(element).data('drupalValidatorChecked') === true) {
+          callback(element);
+        }
+      };
+
+      // Kept, so detachField() can remove them again.
+      watchers.push({selector: selector, handler: handler});
+      jQuery(document).on('change', selector, handler);
+    });
+
+    jQuery(element).data('drupalValidatorWatchers', watchers);
+  };
+
+
+  /**
+   * Release fields as soon as #states hides, disables or un-requires them.
+   */
+  Drupal.behaviors.drupalValidatorStates = {
+    attach: function (context, settings) {
+      $(document).once('drupal-validator-states').on('state:visible state:disabled state:required', function (e) {
+        if (!e.trigger) {
+          return;
+        }
+
+        var released = (e.type === 'state:disabled') ? e.value : !e.value;
+
+        if (released) {
+          $(e.target).find(':input').addBack(':input').not(':button, :submit, :reset, :image').each(function () {
+            Drupal.drupalValidator.releaseField(this);
+          });
+        }
+      });
+    }
+  };
+
+
+
+/**
+ * Layer 3.E:
+ *
+ *    Form State
+ *    ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ *    Each form keeps a record of its validated fields, their last results,
+ *    and the rules they failed, so other code (such as a submit button
+ *    toggler, or a progress indicator) can ask for the form's status rather
+ *    than look for error classes:
+ *
+ *      var state = Drupal.drupalValidator.formState(form);
+ *      state.isValid();
+ *      state.getErrors();
+ *
+ *    Whenever a field's state changes, it triggers drupalValidator:valid or
+ *    drupalValidator:invalid, which bubble up to its form. Once the form's
+ *    last error is fixed, the form triggers drupalValidator:formvalid.
+ *    Handlers receive the FormState after the event:
+ *
+ *      $(form).on('drupalValidator:invalid', function (event, state) { ... });
+ *
+ *    Fields which have never been validated, or which have been released, are
+ *    not listed, and count as valid.
+ */
+
+
+  /**
+   * The validation state of a form.
+   *
+   * @param {element} form
+   *   The form.
+   */
+  Drupal.drupalValidator.FormState = function (form) {
+    this.form = form;
+    this.fields = new Array();
+  };
+
+
+  /**
+   * Get a field's entry.
+   *
+   * @param {element} field
+   *   The field.
+   *
+   * @return {object|null}
+   *   The entry, with the field, its name, whether it is valid, its last
+   *   results and its errors. NULL if the field has no results.
+   */
+  Drupal.drupalValidator.FormState.prototype.getField = function (field) {
+    field = jQuery(field).get(0);
+
+    for (var i = 0; i < this.fields.length; i++) {
+      if (this.fields[i].field === field) {
+        return this.fields[i];
+      }
+    }
+
+    return null;
+  };
+
+
+  /**
+   * Get every field's entry.
+   *
+   * @return {array(object)}
+   *   The entries, in the order their fields were first validated.
+   */
+  Drupal.drupalValidator.FormState.prototype.getFields = function () {
+    return this.fields.slice(0);
+  };
+
+
+  /**
+   * Determine if the form, or one of its fields, is valid.
+   *
+   * @param {element} field
+   *   (optional) The field to check. Defaults to every field.
+   *
+   * @return {boolean}
+   *   FALSE if the field, or any field, failed its last validation.
+   *   Otherwise, TRUE.
+   */
+  Drupal.drupalValidator.FormState.prototype.isValid = function (field) {
+    if (field !== undefined) {
+      var entry = this.getField(field);
+      return entry === null || entry.valid;
+    }
+
+    for (var i = 0; i < this.fields.length; i++) {
+      if (!this.fields[i].valid) {
+        return false;
+      }
+    }
+
+    return true;
+  };
+
+
+  /**
+   * List the failed rules of the form, or one of its fields.
+   *
+   * @param {element} field
+   *   (optional) The field to list. Defaults to every field.
+   *
+   * @return {array(object)}
+   *   An error per failed rule, with the field, its name, the rule's id and
+   *   the message for it. The message may be empty.
+   */
+  Drupal.drupalValidator.FormState.prototype.getErrors = function (field) {
+    var entries = (field !== undefined) ? [this.getField(field)] : this.fields,
+        errors = new Array();
+
+    for (var i = 0; i < entries.length; i++) {
+      if (entries[i] !== null) {
+        errors = errors.concat(entries[i].errors);
+      }
+    }
+
+    return errors;
+  };
+
+
+  /**
+   * Record a field's results, and trigger events if its state changed.
+   *
+   * @param {element} field
+   *   The field.
+   * @param {array(object)} results
+   *   Result objects, from runValidationRuleset().
+   */
+  Drupal.drupalValidator.FormState.prototype.setResults = function (field, results) {
+    var entry = this.getField(field),
+        form_valid = this.isValid(),
+        errors = new Array();
+
+    field = jQuery(field).get(0);
+
+    for (var i = 0; i < results.length; i++) {
+      if (results[i].passed === false) {
+        errors.push({
+          field: field,
+          name: Drupal.drupalValidator.fieldName(field),
+          rule: results[i].rule,
+          message: results[i].message
+        });
+      }
+    }
+
+    var changed = (entry === null || entry.valid !== (errors.length === 0) || Drupal.drupalValidator.errorRules(entry.errors) !== Drupal.drupalValidator.errorRules(errors));
+
+    if (entry === null) {
+      entry = {field: field, name: Drupal.drupalValidator.fieldName(field)};
+      this.fields.push(entry);
+    }
+
+    entry.valid = (errors.length === 0);
+    entry.results = results;
+    entry.errors = errors;
+
+    if (changed) {
+      jQuery(field).trigger(entry.valid ? 'drupalValidator:valid' : 'drupalValidator:invalid', [this]);
+    }
+
+    if (!form_valid && this.isValid()) {
+      jQuery(this.form).trigger('drupalValidator:formvalid', [this]);
+    }
+  };
+
+
+  /**
+   * Forget a field, such as one which has been hidden or detached.
+   *
+   * @param {element} field
+   *   The field.
+   */
+  Drupal.drupalValidator.FormState.prototype.removeField = function (field) {
+    var entry = this.getField(field),
+        form_valid = this.isValid();
+
+    if (entry === null) {
+      return;
+    }
+
+    this.fields.splice(jQuery.inArray(entry, this.fields), 1);
+
+    if (!form_valid && this.isValid()) {
+      jQuery(this.form).trigger('drupalValidator:formvalid', [this]);
+    }
+  };
+
+
+  /**
+   * Get the state of the form a field, or form, belongs to.
+   *
+   * @param {element} element
+   *   A form, or one of its fields.
+   *
+   * @return {FormState|null}
+   *   The form's state, or NULL if element isn't in a form.
+   */
+  Drupal.drupalValidator.formState = function (element) {
+    var form = jQuery(element).closest('form');
+
+    if (form.length <= 0) {
+      return null;
+    }
+
+    if (!form.data('drupalValidatorState')) {
+      form.data('drupalValidatorState', new Drupal.drupalValidator.FormState(form.get(0)));
+    }
+
+    return form.data('drupalValidatorState');
+  };
+
+
+  /**
+   * Record a field's results in its form's state.
+   *
+   * Validation may be nested. Results reported within a run are gathered
+   * until the outermost validation of the field reports, so its state lists
+   * the rules of every level. A failure without a message is a nested
+   * validation, which has reported its own rules, so it is left out when
+   * they are there.
+   *
+   * Once every rule the field was validated against has passed, any error
+   * the server rendered for it is cleared.
+   *
+   * @see beginValidation()
+   *
+   * @param {element} field
+   *   The field.
+   * @param {array(object)} results
+   *   Result objects, with their messages formatted.
+   * @param {object} run
+   *   (optional) The run the results belong to. Defaults to the field's
+   *   current run, if it is being validated.
+   */
+  Drupal.drupalValidator.recordResults = function (field, results, run) {
+    var state = Drupal.drupalValidator.formState(field),
+        depth = jQuery(field).data('drupalValidatorDepth') || 0;
+
+    if (run === undefined && depth > 0) {
+      run = jQuery(field).data('drupalValidatorRun');
+    }
+
+    if (run) {
+      run.results = (run.results || new Array()).concat(results);
+
+      // The outer validation will report.
+      if (depth > 0) {
+        return;
+      }
+
+      results = run.results;
+    }
+
+    // Only once the whole field has passed is the server's error out of date.
+    if (jQuery.grep(results, function (result) { return result.passed === false; }).length <= 0) {
+      Drupal.drupalValidator.reconcileServerError(field);
+    }
+
+    if (state === null) {
+      return;
+    }
+
+    var described = jQuery.grep(results, function (result) {
+      return result.passed === false && result.message.length > 0;
+    });
+
+    if (described.length > 0) {
+      results = jQuery.grep(results, function (result) {
+        return result.passed !== false || result.message.length > 0;
+      });
+    }
+
+    state.setResults(field, results);
+    Drupal.drupalValidator.reportResults(field, results);
+  };
+
+
+  /**
+   * Name a field, in its form's state and analytics.
+   *
+   * @param {element} field
+   *   The field, or a group's wrapper.
+   *
+   * @return {string}
+   *   Its name, or else its id.
+   */
+  Drupal.drupalValidator.fieldName = function (field) {
+    return field.name || field.id || '';
+  };
+
+
+  /**
+   * Summarise the rules in a list of errors, to compare two lists.
+   *
+   * @param {array(object)} errors
+   *   Errors, from FormState.getErrors().
+   *
+   * @return {string}
+   *   The rule ids, in order.
+   */
+  Drupal.drupalValidator.errorRules = function (errors) {
+    return jQuery.map(errors, function (error) {
+      return String(error.rule);
+    }).join(' ');
+  };
+
+
+
+/**
+ * Layer 3.F:
+ *
+ *    Rule Strings
+ *    ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ *    A ruleset may be written as a compact string, in place of an array of
+ *    rule objects:
+ *
+ *      'required|length:8,128|upper|lower|number|notContains:#edit-name'
+ *
+ *    Rules are separated by |, and a rule's arguments follow a : separated by
+ *    commas. So selector arguments can't contain either. Each rule's id is
+ *    its name, so messages are keyed by name, and may use the arguments as
+ *    placeholders, such as @min and @max for length.
+ *
+ *    Every rule except required passes a blank field.
+ *
+ *    The rules available are listed in ruleTypes, which sites may add to. A
+ *    string naming an unknown rule, or giving a rule the wrong arguments,
+ *    throws an Error which says what is wrong with it.
+ */
+
+
+  /**
+   * The types of argument a rule string may take.
+   *
+   * Each parses one argument, returning undefined if it is not of the type,
+   * and has a label for the error saying so.
+   */
+  Drupal.drupalValidator.ruleArgumentTypes = {
+
+    integer: {
+      label: 'an integer',
+      parse: function (arg) {
+        return /^-?\d+$/.test(arg) ? parseInt(arg, 10) : undefined;
+      }
+    },
+
+    country: {
+      label: 'a two letter country code',
+      parse: function (arg) {
+        return /^[A-Za-z]{2}$/.test(arg) ? arg.toUpperCase() : undefined;
+      }
+    },
+
+    selector: {
+      label: 'a valid selector',
+      parse: function (arg) {
+        // jQuery() would build markup from an argument like '<img>', so only
+        // the selector engine may see it.
+        if (/^\s*</.test(arg)) {
+          return undefined;
+        }
+
+        try {
+          jQuery.find(arg);
+        }
+        catch (error) {
+          return undefined;
+        }
+
+        return arg;
+      }
+    },
+
+    string: {
+      label: 'a string',
+      parse: function (arg) {
+        return arg;
+      }
+    }
+  };
+
+
+  /**
+   * Rule names available to rule strings.
+   *
+   * Each rule may list the types of its arguments, from ruleArgumentTypes.
+   * A type ending in ? is optional, and one ending in * may be given any
+   * number of times. Its callback receives the field's value, the parsed
+   * arguments and the field, and returns a boolean, or a promise of one. Its
+   * params, built from the same arguments, fill in its message. Only a rule
+   * marked blank is run against a blank value.
+   */
+  Drupal.drupalValidator.ruleTypes = {
+
+    required: {
+      blank: true,
+      callback: function (value) {
+        return Drupal.drupalValidatorBasics.fieldNotEmpty(value);
+      }
+    },
+
+    length: {
+      args: ['integer', 'integer?'],
+      params: function (args) {
+        return {min: args[0], max: args[1]};
+      },
+      callback: function (value, args) {
+        return Drupal.drupalValidatorBasics.lengthValid(value, args[0], args[1], true);
+      }
+    },
+
+    upper: {
+      callback: function (value) {
+        return Drupal.drupalValidatorBasics.containsUppercase(value);
+      }
+    },
+
+    lower: {
+      callback: function (value) {
+        return Drupal.drupalValidatorBasics.containsLowercase(value);
+      }
+    },
+
+    number: {
+      callback: function (value) {
+        return Drupal.drupalValidatorBasics.containsNumber(value);
+      }
+    },
+
+    special: {
+      callback: function (value) {
+        return Drupal.drupalValidatorBasics.containsSpecialCharacters(value);
+      }
+    },
+
+    alphanumeric: {
+      callback: function (value) {
+        return Drupal.drupalValidatorBasics.containsOnlyAlphaNumeric(value);
+      }
+    },
+
+    numeric: {
+      callback: function (value) {
+        return Drupal.drupalValidatorBasics.containsOnlyNumeric(value);
+      }
+    },
+
+    noRepeats: {
+      callback: function (value) {
+        return Drupal.drupalValidatorBasics.doesNotContainDoubleCharacters(value);
+      }
+    },
+
+    notContains: {
+      args: ['selector'],
+      params: function (args, field) {
+        return {other: Drupal.drupalValidator.ruleStringLabel(field, args[0])};
+      },
+      callback: function (value, args, field) {
+        var other = Drupal.drupalValidator.ruleStringElement(field, args[0]);
+        return Drupal.drupalValidatorBasics.doesNotContainValue(Drupal.drupalValidator.fieldValue(other), value, false);
+      }
+    },
+
+    matches: {
+      args: ['selector'],
+      params: function (args, field) {
+        return {other: Drupal.drupalValidator.ruleStringLabel(field, args[0])};
+      },
+      callback: function (value, args, field) {
+        var other = Drupal.drupalValidator.ruleStringElement(field, args[0]);
+        return value === Drupal.drupalValidator.fieldValue(other);
+      }
+    },
+
+    email: {
+      callback: function (value) {
+        return Drupal.drupalValidatorBasics.emailValid(value, true);
+      }
+    },
+
+    phone: {
+      args: ['country*'],
+      callback: function (value, args) {
+        if (args.length == 0) {
+          return Drupal.drupalValidatorBasics.phoneValid(value, true);
+        }
+
+        Drupal.drupalValidator.reportUnknownCountries(args, window.drupalValidatorRules.phoneMetadata, 'phone');
+
+        return Drupal.drupalValidatorBasics.phoneValidInternational(value, true, {countries: args});
+      }
+    },
+
+    zip: {
+      args: ['country*'],
+      callback: function (value, args) {
+        return Drupal.drupalValidatorBasics.postalCodeValid(value, true, {countries: (args.length > 0) ? args : ['US']});
+      }
+    },
+
+    ssn: {
+      callback: function (value) {
+        return Drupal.drupalValidatorBasics.ssnValid(value, true);
+      }
+    },
+
+    date: {
+      args: ['string?'],
+      params: function (args) {
+        return {format: args[0] || Drupal.drupalValidator.dateFormat};
+      },
+      callback: function (value, args) {
+        return Drupal.drupalValidatorBasics.dateValid(value, args[0] || Drupal.drupalValidator.dateFormat, true);
+      }
+    },
+
+    card_number: {
+      args: ['string*'],
+      callback: function (value, args) {
+        return Drupal.drupalValidatorBasics.cardNumberValid(value, true, (args.length > 0) ? args : undefined);
+      }
+    },
+
+    iban: {
+      callback: function (value) {
+        return Drupal.drupalValidatorBasics.ibanValid(value, true);
+      }
+    },
+
+    routing_number: {
+      callback: function (value) {
+        return Drupal.drupalValidatorBasics.routingNumberValid(value, true);
+      }
+    }
+  };
+
+
+  /**
+   * Build a ruleset from a rule string.
+   *
+   * @param {string} rule_string
+   *   The rules, such as 'required|length:8,128|notContains:#edit-name'.
+   * @param {element} field
+   *   (optional) The field the rules check. Selectors in the rules' arguments
+   *   are scoped to its form. Without one, the string is only checked.
+   *
+   * @return {array(object)}
+   *   A ruleset of rule objects, in order. @see runValidationRuleset()
+   *
+   * @throws {Error}
+   *   If the string is malformed, names an unknown rule, or gives a rule
+   *   arguments it doesn't take.
+   */
+  Drupal.drupalValidator.parseRules = function (rule_string, field) {
+    var parsed = Drupal.drupalValidatorBasics.parseRuleString(rule_string),
+        ruleset = new Array();
+
+    for (var i = 0; i < parsed.length; i++) {
+      var name = parsed[i].name;
+
+      if (!Object.prototype.hasOwnProperty.call(Drupal.drupalValidator.ruleTypes, name)) {
+        throw new Error('Unknown rule "' + name + '" in "' + rule_string + '". Known rules are: ' + Object.keys(Drupal.drupalValidator.ruleTypes).join(', ') + '.');
+      }
+
+      var type = Drupal.drupalValidator.ruleTypes[name],
+          args = Drupal.drupalValidator.ruleStringArguments(parsed[i], type.args || [], rule_string);
+
+      ruleset.push(Drupal.drupalValidator.ruleStringRule(name, type, args, field));
+    }
+
+    return ruleset;
+  };
+
+
+  /**
+   * Check and parse the arguments given to one rule in a rule string.
+   *
+   * @param {object} rule
+   *   The rule's name and arguments, from parseRuleString().
+   * @param {array(string)} types
+   *   The rule's argument types. @see ruleTypes
+   * @param {string} rule_string
+   *   The whole string, for the error message.
+   *
+   * @return {array}
+   *   The parsed arguments.
+   *
+   * @throws {Error}
+   *   If there are too few or too many arguments, or one is of the wrong type.
+   */
+  Drupal.drupalValidator.ruleStringArguments = function (rule, types, rule_string) {
+    var required = 0,
+        max = types.length,
+        args = new Array();
+
+    for (var i = 0; i < types.length; i++) {
+      var suffix = types[i].slice(-1);
+
+      if (suffix === '*') {
+        max = Infinity;
+      }
+      else if (suffix !== '?') {
+        required++;
+      }
+    }
+
+    if (rule.args.length < required || rule.args.length > max) {
+      var expected = (max === 0) ? 'no arguments'
+        : (max === Infinity) ? 'at least ' + required + ' argument(s)'
+        : (required === max) ? required + ' argument(s)'
+        : required + ' to ' + max + ' arguments';
+
+      throw new Error('Rule "' + rule.name + '" takes ' + expected + ', but was given ' + rule.args.length + ' in "' + rule_string + '".');
+    }
+
+    for (var j = 0; j < rule.args.length; j++) {
+      var type_name = types[Math.min(j, types.length - 1)].replace(/[?*]$/, ''),
+          type = Drupal.drupalValidator.ruleArgumentTypes[type_name],
+          value = type.parse(rule.args[j]);
+
+      if (value === undefined) {
+        throw new Error('Argument ' + (j + 1) + ' of rule "' + rule.name + '" must be ' + type.label + ', not "' + rule.args[j] + '", in "' + rule_string + '".');
+      }
+
+      args.push(value);
+    }
+
+    return args;
+  };
+
+
+  /**
+   * Build the rule object for one rule in a rule string.
+   *
+   * @param {string} name
+   *   The rule's name, which becomes its id.
+   * @param {object} type
+   *   The rule's entry in ruleTypes.
+   * @param {array} args
+   *   Its parsed arguments.
+   * @param {element} field
+   *   The field the rule checks.
+   *
+   * @return {object}
+   *   A rule object. @see runValidationRuleset()
+   */
+  Drupal.drupalValidator.ruleStringRule = function (name, type, args, field) {
+    return {
+      id: name,
+      params: type.params ? type.params(args, field) : {},
+      callback: function () {
+        var value = Drupal.drupalValidator.fieldValue(field);
+
+        if (!type.blank && value.length == 0) {
+          return true;
+        }
+
+        return type.callback(value, args, field);
+      }
+    };
+  };
+
+
+  /**
+   * Find the element a rule string's selector argument names.
+   *
+   * @param {element} field
+   *   The field the rule checks.
+   * @param {string} selector
+   *   The selector, scoped to the field's form.
+   *
+   * @return {jQuery}
+   *   The element, if found.
+   */
+  Drupal.drupalValidator.ruleStringElement = function (field, selector) {
+    var form = jQuery(field).closest('form');
+
+    return jQuery(selector, (form.length > 0) ? form : document);
+  };
+
+
+  /**
+   * Label the element a rule string's selector argument names, for @other.
+   *
+   * @param {element} field
+   *   The field the rule checks.
+   * @param {string} selector
+   *   The selector, scoped to the field's form.
+   *
+   * @return {string}
+   *   The element's label, or the selector if it has none.
+   */
+  Drupal.drupalValidator.ruleStringLabel = function (field, selector) {
+    var other = Drupal.drupalValidator.ruleStringElement(field, selector);
+
+    return (other.length > 0 && Drupal.drupalValidator.fieldLabel(other)) || selector;
+  };
+
+
+  /**
+   * Validate a field against a rule string.
+   *
+   * @param {element} input_element
+   *   The field being validated.
+   * @param {string} rule_string
+   *   The rules, such as 'required|length:8,128|notContains:#edit-name'.
+   * @param {string|object} error_message
+   *   A message that should be displayed if validation fails. This will be displayed below the field.
+   *   Or, a message per rule, keyed by rule name, and a 'default' message
+   *   for any rule without one.
+   *
+   * @return {boolean|promise}
+   *   TRUE if we passed. Otherwise, FALSE. A promise of the same while a rule
+   *   is still being checked.
+   *
+   * @throws {Error}
+   *   If the rule string is invalid. @see parseRules()
+   */
+  Drupal.drupalValidator.validateRuleString = function (input_element, rule_string, error_message) {
+    var rules = Drupal.drupalValidator.parseRules(rule_string, input_element);
+
+    if (error_message && typeof error_message === 'object') {
+      for (var i = 0; i < rules.length; i++) {
+        rules[i].message = error_message[rules[i].id] || error_message['default'] || '';
+      }
+    }
+
+    return Drupal.drupalValidator.bindFieldValidationArray(input_element, rules, error_message);
+  };
+
+
+
+/**
+ * Layer 3.G:
+ *
+ *    Analytics
+ *    ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ *    Reporters are told the outcome of every rule each time a field is
+ *    validated, and of every submit attempt, so a site can learn which
+ *    fields and rules its users trip over. Each event is an object with:
+ *
+ *      - type: 'validate', or 'submit'.
+ *      - form: The form's Drupal form_id, or else its HTML id.
+ *      - field: The field's name, or NULL for a submit.
+ *      - rule: The rule's id, or NULL for a submit.
+ *      - outcome: 'passed' or 'failed'.
+ *      - count: How many times in a row this happened.
+ *      - time: When it (first) happened, in milliseconds.
+ *
+ *    Field values, and messages which might contain them, are never part of
+ *    an event.
+ *
+ *    A reporter is a function which receives each event, or an object with a
+ *    report(event) method, such as a Reporter, which buffers events and sends
+ *    them in batches through a transport:
+ *
+ *      Drupal.drupalValidator.addReporter(new Drupal.drupalValidator.Reporter(
+ *        Drupal.drupalValidator.transports.dataLayer, {batch_size: 20, delay: 5000}
+ *      ));
+ *
+ *    A transport is any function which receives an array of events.
+ */
+
+
+  /**
+   * The reporters events are sent to.
+   */
+  Drupal.drupalValidator.reporters = new Array();
+
+
+  /**
+   * Transports for a Reporter, keyed by name. Sites may add their own.
+   */
+  Drupal.drupalValidator.transports = {
+
+    // Push each event to Google Tag Manager's data layer, as the GTM event
+    // drupalValidator.validate or drupalValidator.submit. Every key is
+    // pushed each time, so none are left over from an earlier event.
+    dataLayer: function (events) {
+      window.dataLayer = window.dataLayer || new Array();
+
+      for (var i = 0; i < events.length; i++) {
+        window.dataLayer.push({
+          event: 'drupalValidator.' + events[i].type,
+          drupalValidator: jQuery.extend({}, events[i])
+        });
+      }
+    }
+  };
+
+
+  /**
+   * Add a reporter.
+   *
+   * @param {function|object} reporter
+   *   A function receiving each event, or an object with a report(event)
+   *   method, such as a Reporter.
+   *
+   * @return {function|object}
+   *   The reporter.
+   */
+  Drupal.drupalValidator.addReporter = function (reporter) {
+    Drupal.drupalValidator.reporters.push(reporter);
+
+    // Send whatever is buffered before the user leaves the page.
+    if (!Drupal.drupalValidator.reportersBound) {
+      jQuery(window).on('pagehide', Drupal.drupalValidator.flushReporters);
+      jQuery(document).on('visibilitychange', function () {
+        if (document.visibilityState === 'hidden') {
+          Drupal.drupalValidator.flushReporters();
+        }
+      });
+
+      Drupal.drupalValidator.reportersBound = true;
+    }
+
+    return reporter;
+  };
+
+
+  /**
+   * Remove a reporter.
+   *
+   * @param {function|object} reporter
+   *   A reporter passed to addReporter().
+   */
+  Drupal.drupalValidator.removeReporter = function (reporter) {
+    var index = jQuery.inArray(reporter, Drupal.drupalValidator.reporters);
+
+    if (index !== -1) {
+      Drupal.drupalValidator.reporters.splice(index, 1);
+    }
+  };
+
+
+  /**
+   * Send an event to every reporter.
+   *
+   * A reporter which throws is reported with Drupal.throwError(), so it
+   * can't break validation, or the other reporters.
+   *
+   * @param {object} event
+   *   The event. @see analyticsEvent()
+   */
+  Drupal.drupalValidator.report = function (event) {
+    jQuery.each(Drupal.drupalValidator.reporters.slice(0), function (i, reporter) {
+      try {
+        if (typeof reporter === 'function') {
+          reporter(event);
+        }
+        else {
+          reporter.report(event);
+        }
+      }
+      catch (error) {
+        Drupal.throwError(error);
+      }
+    });
+  };
+
+
+  /**
+   * Send every reporter's buffered events now.
+   */
+  Drupal.drupalValidator.flushReporters = function () {
+    jQuery.each(Drupal.drupalValidator.reporters, function (i, reporter) {
+      if (reporter && typeof reporter.flush === 'function') {
+        reporter.flush();
+      }
+    });
+  };
+
+
+  /**
+   * Build an event.
+   *
+   * @param {string} type
+   *   'validate' or 'submit'.
+   * @param {element} element
+   *   The field, or for a submit, the form.
+   * @param {string} rule
+   *   The rule's id, or NULL.
+   * @param {boolean} passed
+   *   Whether the rule, or the submit, passed.
+   *
+   * @return {object}
+   *   The event.
+   */
+  Drupal.drupalValidator.analyticsEvent = function (type, element, rule, passed) {
+    var node = jQuery(element).get(0),
+        form = jQuery(element).closest('form');
+
+    return {
+      type: type,
+      form: form.find('input[name="form_id"]').val() || form.attr('id') || null,
+      field: jQuery(node).is('form') ? null : Drupal.drupalValidator.fieldName(node),
+      rule: (rule === null || rule === undefined) ? null : String(rule),
+      outcome: passed ? 'passed' : 'failed',
+      count: 1,
+      time: new Date().getTime()
+    };
+  };
+
+
+  /**
+   * Report the outcome of each rule in a field's validation.
+   *
+   * Rules skipped because their condition isn't met aren't reported.
+   *
+   * @param {element} field
+   *   The field.
+   * @param {array(object)} results
+   *   Its result objects. @see recordResults()
+   */
+  Drupal.drupalValidator.reportResults = function (field, results) {
+    if (Drupal.drupalValidator.reporters.length <= 0) {
+      return;
+    }
+
+    for (var i = 0; i < results.length; i++) {
+      if (results[i].skipped !== true) {
+        Drupal.drupalValidator.report(Drupal.drupalValidator.analyticsEvent('validate', field, results[i].rule, results[i].passed !== false));
+      }
+    }
+  };
+
+
+  /**
+   * Report a submit attempt.
+   *
+   * @param {element} form
+   *   The form.
+   * @param {boolean} passed
+   *   Whether the form validated.
+   */
+  Drupal.drupalValidator.reportSubmit = function (form, passed) {
+    if (Drupal.drupalValidator.reporters.length > 0) {
+      Drupal.drupalValidator.report(Drupal.drupalValidator.analyticsEvent('submit', form, null, passed));
+    }
+  };
+
+
+  /**
+   * A reporter which buffers events, and sends them through a transport in
+   * batches.
+   *
+   * An event just like the last one buffered (such as a field validated on
+   * every keystroke, failing the same rule) is counted on that one instead.
+   *
+   * @param {function} transport
+   *   Receives each batch, as an array of events.
+   * @param {object} options
+   *   (optional) Containing any of:
+   *     - batch_size: Send once this many events are buffered. Defaults to 20.
+   *     - delay: Send this many milliseconds after the first event buffered.
+   *       Defaults to 5000.
+   */
+  Drupal.drupalValidator.Reporter = function (transport, options) {
+    options = options || {};
+
+    this.transport = transport;
+    this.batchSize = options.batch_size || 20;
+    this.delay = (options.delay !== undefined) ? options.delay : 5000;
+    this.buffer = new Array();
+    this.timer = null;
+  };
+
+
+  /**
+   * Buffer an event, sending the batch if it is full.
+   *
+   * @param {object} event
+   *   The event.
+   */
+  Drupal.drupalValidator.Reporter.prototype.report = function (event) {
+    var last = this.buffer[this.buffer.length - 1],
+        self = this;
+
+    if (last && last.type === event.type && last.form === event.form && last.field === event.field && last.rule === event.rule && last.outcome === event.outcome) {
+      last.count += event.count;
+    }
+    else {
+      this.buffer.push(jQuery.extend({}, event));
+    }
+
+    if (this.buffer.length >= this.batchSize) {
+      this.flush();
+    }
+    else if (this.timer === null) {
+      this.timer = setTimeout(function () {
+        self.flush();
+      }, this.delay);
+    }
+  };
+
+
+  /**
+   * Send the buffered events now.
+   */
+  Drupal.drupalValidator.Reporter.prototype.flush = function () {
+    var events = this.buffer;
+
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (events.length <= 0) {
+      return;
+    }
+
+    this.buffer = new Array();
+
+    try {
+      this.transport(events);
+    }
+    catch (error) {
+      Drupal.throwError(error);
+    }
+  };
+
+
+
+/**
+ * Layer 4:
+ *
+ *    Error State Functions + Markup
+ *    ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ *
+ *    This level has standardized error state functions to either set
+ *    (or recover) from form errors. Any time you wish to do standard error
+ *    state updates to the UI, you should use these functions, unless you have
+ *    a special case UI.
+ *
+ *    The theme specific markup is drawn by the renderer in use. See
+ *    Layer 4.B below.
+ *
+ *    Popup Validator UI (i.e. password/user ID) display logic is also included
+ *    here. This is for UI assemble only, and does not contain specific rules.
+ */
+
+
+  /**
+   * Set an error on a given element.
+   *
+   * This will add error classes on an element, it's label, the form,
+   * and associate an error message with the field, if passed.
+   *
+   * The field is also marked aria-invalid, described by the message, and the
+   * message is announced to screen readers.
+   *
+   * @param element element
+   *   The element we should set an error on. This should be a field on a form.
+   * @param string message
+   *   An error message to set on the field.
+   */
+  Drupal.drupalValidator.setErrorState = function (element, message) {
+
+    var message_id = Drupal.drupalValidator.errorMessageId(element);
+
+    // Add the error classes and message markup, as the theme expects them.
+    Drupal.drupalValidator.getRenderer().setError(element, message, message_id);
+
+    // The closest form should be the one we're in.
+    // Add an error class to the global form.
+    var my_form = jQuery(element).closest('form');
+    jQuery(my_form).addClass('form-error-state');
+
+    // Tell assistive technology the field is invalid, and why. An empty
+    // message describes nothing.
+    jQuery(element).attr('aria-invalid', 'true');
+
+    if (message) {
+      Drupal.drupalValidator.addDescribedBy(element, message_id);
+    }
+    else {
+      Drupal.drupalValidator.removeDescribedBy(element, message_id);
+    }
+
+    // Mark the tab the field is in.
+    Drupal.drupalValidator.refreshPaneErrors(element);
+
+    if (message) {
+      var label = Drupal.drupalValidator.fieldLabel(element),
+          text = jQuery('<div></div>').html(message).text();
+
+      // Name the field, unless the message already does.
+      Drupal.drupalValidator.announce((label.length > 0 && text.indexOf(label) === -1) ? label + ': ' + text : text);
+    }
+  };
+
+
+  /**
+   * Build the id of a field's error message.
+   *
+   * @param element element
+   *   The field.
+   * @param string type
+   *   (optional) The kind of message. Defaults to 'error'.
+   *
+   * @return string
+   *   A stable id, based on the field's own.
+   */
+  Drupal.drupalValidator.errorMessageId = function (element, type) {
+    var id = jQuery(element).attr('id') || jQuery(element).attr('name') || 'field';
+
+    return id.replace(/[^A-Za-z0-9_-]+/g, '-') + '--' + (type || 'error') + '-message';
+  };
+
+
+  /**
+   * Add an id to a field's aria-describedby, keeping any already there.
+   *
+   * @param element element
+   *   The field.
+   * @param string id
+   *   The id of the describing element.
+   */
+  Drupal.drupalValidator.addDescribedBy = function (element, id) {
+    var ids = (jQuery(element).attr('aria-describedby') || '').split(/\s+/);
+
+    if (jQuery.inArray(id, ids) === -1) {
+      ids.push(id);
+    }
+
+    jQuery(element).attr('aria-describedby', jQuery.grep(ids, function (value) {
+      return value.length > 0;
+    }).join(' '));
+  };
+
+
+  /**
+   * Remove an id from a field's aria-describedby, keeping any others.
+   *
+   * @param element element
+   *   The field.
+   * @param string id
+   *   The id of the describing element.
+   */
+  Drupal.drupalValidator.removeDescribedBy = function (element, id) {
+    var ids = jQuery.grep((jQuery(element).attr('aria-describedby') || '').split(/\s+/), function (value) {
+      return value.length > 0 && value !== id;
+    });
+
+    if (ids.length > 0) {
+      jQuery(element).attr('aria-describedby', ids.join(' '));
+    }
+    else {
+      jQuery(element).removeAttr('aria-describedby');
+    }
+  };
+
+
+  /**
+   * Messages announced so far in the current pass, such as a submit which
+   * fails several fields.
+   */
+  Drupal.drupalValidator.announced = new Array();
+
+
+  /**
+   * Announce a message to screen readers, politely.
+   *
+   * Drupal.announce() is used where it exists (Drupal 8+), and joins
+   * messages itself. Otherwise, we keep our own visually hidden live region,
+   * holding every message announced in the same pass, so one doesn't
+   * replace another before it is read.
+   *
+   * @param string text
+   *   Plain text to announce.
+   */
+  Drupal.drupalValidator.announce = function (text) {
+    if (typeof Drupal.announce === 'function') {
+      Drupal.announce(text, 'polite');
+      return;
+    }
+
+    var region = jQuery('#drupal-validator-announce');
+
+    if (region.length <= 0) {
+      region = jQuery('<div id="drupal-validator-announce" class="element-invisible" aria-live="polite" aria-atomic="true"></div>').appendTo('body');
+    }
+
+    if (Drupal.drupalValidator.announced.length <= 0) {
+      setTimeout(function () {
+        Drupal.drupalValidator.announced = new Array();
+      }, 0);
+    }
+
+    Drupal.drupalValidator.announced.push(text);
+    region.text(Drupal.drupalValidator.announced.join(' '));
+  };
+
+
+  /**
+   * Find the text of a field's label.
+   *
+   * @param element element
+   *   The field. A fieldset is labelled by its legend.
+   *
+   * @return string
+   *   The label, without the required marker. Empty if there is no label.
+   */
+  Drupal.drupalValidator.fieldLabel = function (element) {
+    var label = jQuery("label[for='" + jQuery(element).attr("id") + "']").first().clone();
+
+    if (label.length <= 0 && jQuery(element).is('fieldset')) {
+      label = jQuery(element).children('legend').first().clone();
+    }
+
+    label.find('.form-required').remove();
+
+    return label.text().replace(/^\s+|\s*:?\s*$/g, '');
+  };
+
+
+  /**
+   * Assemble several error messages into the markup for one field's message.
+   *
+   * @param {array(string)} messages
+   *   The messages to display.
+   *
+   * @return {string}
+   *   A single message as-is, or several as a list.
+   */
+  Drupal.drupalValidator.errorMessageList = function (messages) {
+    if (messages.length === 1) {
+      return messages[0];
+    }
+
+    return '<ul><li>' + messages.join('</li><li>') + '</li></ul>';
+  };
+
+
+  /**
+   * Given a field, recover that field (and the page)
+   * from existing error states.
+   *
+   * We'll recover the passed element from the error state (UI only),
+   * and the page, if no other errors were present.
+   *
+   * @param element element
+   *   The element which triggere our event. A field.
+   */
+  Drupal.drupalValidator.recoverErrorState = function (element) {
+
+    // Focusing the first invalid field after a failed submit shouldn't clear
+    // the very error we are pointing the user to.
+    if ($(element).data('drupalValidatorFocusing') === true) {
+      return;
+    }
+
+    var message_id = Drupal.drupalValidator.errorMessageId(element);
+
+    // Remove the error classes and message markup.
+    Drupal.drupalValidator.getRenderer().clearError(element, message_id);
+
+    // Remove the error from assistive technology.
+    jQuery(element).removeAttr('aria-invalid');
+    Drupal.drupalValidator.removeDescribedBy(element, message_id);
+
+    // Determine if that was the only error on the page.
+    // If so, remove the over-all error class, which should
+    // reset all error notifications on the page.
+    if (Drupal.drupalValidator.otherErrorsExist(element) == false) {
+      jQuery(element).closest('.form-error-state').removeClass('form-error-state');
+    }
+
+    Drupal.drupalValidator.refreshPaneErrors(element);
+  };
+
+
+  /**
+   * Display a field's checklist popup, or update the one already there.
+   *
+   * @param element element
+   *   The field the popup belongs to.
+   * @param array rows
+   *   Each row is an object with the label to display, and whether it passed.
+   */
+  Drupal.drupalValidator.setPopupState = function (element, rows) {
+    var popup_id = Drupal.drupalValidator.errorMessageId(element, 'popup');
+    var items = '';
+
+    for (var i = 0; i < rows.length; i++) {
+      items += '<li class="' + (rows[i].passed ? 'passed' : 'failed') + '">' + rows[i].label + '</li>';
+    }
+
+    if (jQuery('#' + popup_id).length <= 0) {
+      Drupal.drupalValidator.getRenderer().wrapper(element).after('<div class="drupal-validator-popup" id="' + popup_id + '"></div>');
+      Drupal.drupalValidator.addDescribedBy(element, popup_id);
+    }
+
+    jQuery('#' + popup_id).html('<ul>' + items + '</ul>');
+  };
+
+
+  /**
+   * Remove a field's checklist popup.
+   *
+   * @param element element
+   *   The field the popup belongs to.
+   */
+  Drupal.drupalValidator.hidePopupState = function (element) {
+    var popup_id = Drupal.drupalValidator.errorMessageId(element, 'popup');
+
+    jQuery('#' + popup_id).remove();
+    Drupal.drupalValidator.removeDescribedBy(element, popup_id);
+  };
+
+
+  /**
+   * Show that a field is being checked, such as by a server-side rule.
+   *
+   * @param element element
+   *   The field being checked.
+   * @param string message
+   *   A message to display meanwhile. May be empty.
+   */
+  Drupal.drupalValidator.setCheckingState = function (element, message) {
+    jQuery(element).addClass('checking');
+
+    var message_id = Drupal.drupalValidator.errorMessageId(element, 'checking');
+    var element_checking_message = jQuery('#' + message_id);
+
+    // If one does not exist, add it.
+    if (jQuery(element_checking_message).length <= 0) {
+      Drupal.drupalValidator.getRenderer().wrapper(element).after('<div class="drupal-validator-checking messages-inline" id="' + message_id + '">' + (message || '') + '</div>');
+    }
+    // Nested validations share one checking state. Keep the first message.
+    else if (message) {
+      jQuery(element_checking_message).html(message);
+    }
+  };
+
+
+  /**
+   * Remove a field's checking state.
+   *
+   * @param element element
+   *   The field which was being checked.
+   */
+  Drupal.drupalValidator.recoverCheckingState = function (element) {
+    jQuery(element).removeClass('checking');
+    jQuery('#' + Drupal.drupalValidator.errorMessageId(element, 'checking')).remove();
+  };
+
+
+  /**
+   * Scroll to and focus a field with an error, opening any tab or collapsed
+   * fieldset it is in.
+   *
+   * @param element element
+   *   The field to focus.
+   */
+  Drupal.drupalValidator.focusErrorField = function (element) {
+    Drupal.drupalValidator.openPanes(element);
+
+    var wrapper = Drupal.drupalValidator.getRenderer().wrapper(element).get(0) || element;
+
+    if (wrapper.scrollIntoView) {
+      wrapper.scrollIntoView();
+    }
+
+    jQuery(element).data('drupalValidatorFocusing', true);
+    element.focus();
+    jQuery(element).removeData('drupalValidatorFocusing');
+  };
+
+
+  /**
+   * Determine if there are other errors on the page besides our passed element.
+   *
+   * Every kind of field counts, including groups of radios or checkboxes.
+   *
+   * @param domElement element
+   *   the element we should not count towards our error check, along with
+   *   any field inside it.
+   *
+   * @return boolean
+   *   TRUE if other errors were found on the form. Otherwise FALSE.
+   */
+  Drupal.drupalValidator.otherErrorsExist = function (element) {
+
+    // The closest form should be the one we're in.
+    var my_form = jQuery(element).closest('form');
+
+    element = jQuery(element).get(0);
+
+    // If we're in a form, find all the fields with error classes.
+    // Then, count all fields which are not our passed element.
+    if (my_form) {
+      var count = 0;
+      var error_elements = Drupal.drupalValidator.getRenderer().invalidFields(my_form);
+
+      // Check each field with the error class.
+      jQuery.each(error_elements, function (key, value) {
+        if (value != element && !jQuery.contains(element, value)) {
+          count++;
+        }
+      });
+
+      // If we found error fields other than our own, our page still has errors.
+      if (count > 0) {
+        return true;
+      }
+    }
+    // If we're this far, either our page doesn't have forms
+    // (so we can't have errors), or our form is error-free!
+    return false;
+  };
+
+
+  /**
+   * Drop fields inside another of the same set, such as the radios of a
+   * group which is itself in an error state.
+   *
+   * @param jQuery fields
+   *   Fields, and group wrappers.
+   *
+   * @return jQuery
+   *   The fields which aren't inside another.
+   */
+  Drupal.drupalValidator.outermostFields = function (fields) {
+    return fields.filter(function () {
+      return jQuery(this).parent().closest(fields).length <= 0;
+    });
+  };
+
+
+
+/**
+ * Layer 4.B:
+ *
+ *    Error Renderers
+ *    ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ *
+ *    Themes disagree on where error classes and messages belong. The markup
+ *    specific parts of the error state functions above are handed to a
+ *    renderer, so the same validation works with any of them.
+ *
+ *    A renderer is an object with:
+ *
+ *      - wrapper(element): The jQuery wrapper around a single field, such as
+ *        its .form-item. Element may also be a group's wrapper, such as a
+ *        fieldset. @see Drupal.drupalValidator.groupElement()
+ *      - setError(element, message, message_id): Add error classes to the
+ *        field (and anything around it), and display message in an element
+ *        with the id message_id.
+ *      - clearError(element, message_id): Undo setError().
+ *      - invalidFields(form): The jQuery set of fields in an error state
+ *        within form, of every kind: inputs, selects, textareas and groups.
+ *
+ *    The renderer in use is picked by name with setRenderer(), or
+ *    Drupal.settings.drupalValidator.renderer. Sites may add their own with
+ *    registerRenderer().
+ */
 
-        error_array.push(my_result);
 
-        // If we're not in error-returning mode, and we recieved a failure,
-        // flag this ruleset as failed.
-        if (return_errors !== true && my_result === false) {
-          errors = true;
-        }
+  /**
+   * The name of the renderer in use.
+   */
+  Drupal.drupalValidator.renderer = 'drupal7';
+
+
+  /**
+   * Available renderers, keyed by name.
+   */
+  Drupal.drupalValidator.renderers = {};
+
+
+  /**
+   * Add a renderer, or replace an existing one.
+   *
+   * @param string name
+   *   The renderer's name.
+   * @param object renderer
+   *   The renderer. See the Layer 4.B notes above.
+   */
+  Drupal.drupalValidator.registerRenderer = function (name, renderer) {
+    Drupal.drupalValidator.renderers[name] = renderer;
+  };
+
+
+  /**
+   * Pick the renderer to use.
+   *
+   * @param string name
+   *   The name of a registered renderer.
+   */
+  Drupal.drupalValidator.setRenderer = function (name) {
+    if (Drupal.drupalValidator.renderers[name]) {
+      Drupal.drupalValidator.renderer = name;
+    }
+  };
+
+
+  /**
+   * Get the renderer in use.
+   *
+   * @return object
+   *   The renderer. Falls back to drupal7 if the chosen one is missing.
+   */
+  Drupal.drupalValidator.getRenderer = function () {
+    return Drupal.drupalValidator.renderers[Drupal.drupalValidator.renderer] || Drupal.drupalValidator.renderers.drupal7;
+  };
+
+
+  /**
+   * Drupal 7 core markup.
+   *
+   * The field and its .form-item-label get an error class, and the message
+   * is a .messages div, placed after the field's .form-item.
+   */
+  Drupal.drupalValidator.registerRenderer('drupal7', {
+
+    wrapper: function (element) {
+      var wrapper = jQuery(element).closest('.form-item');
+
+      // A fieldset is its own wrapper.
+      if (wrapper.length <= 0 && jQuery(element).is('fieldset')) {
+        wrapper = jQuery(element);
+      }
+
+      return wrapper;
+    },
+
+    setError: function (element, message, message_id) {
+
+      // Add the error to the input.
+      jQuery(element).addClass('error');
+
+      var element_label = jQuery("label[for='" + jQuery(element).attr("id") + "']").closest('.form-item-label');
+
+      // Add the error to the label.
+      if (!jQuery(element_label).hasClass('error')) {
+        jQuery(element_label).addClass('error');
+      }
+
+      // Our own message, or a server-rendered one right after the field.
+      var element_error_message = jQuery('#' + message_id);
+      if (element_error_message.length <= 0) {
+        element_error_message = this.wrapper(element).next('.messages');
+      }
+
+      // If one does not exist, add it.
+      if (jQuery(element_error_message).length <= 0) {
+        this.wrapper(element).after('<div class="messages error messages-inline" id="' + message_id + '">' + message + '</div>');
+      }
+      else {
+        jQuery(element_error_message).attr('id', message_id).html(message);
       }
+    },
+
+    clearError: function (element, message_id) {
+
+      // Remove the form field error class.
+      jQuery(element).removeClass('error');
+
+      // Find the field's label, and remove it.
+      jQuery("label[for='" + jQuery(element).attr("id") + "']").closest('.form-item-label').removeClass('error');
+
+      jQuery('#' + message_id).html('');
+    },
+
+    invalidFields: function (form) {
+      return Drupal.drupalValidator.outermostFields(jQuery(form).find(':input.error, .form-radios.error, .form-checkboxes.error, fieldset.error'));
     }
+  });
 
-    // Return the errors array if requested.
-    if (return_errors === true) {
-      return error_array;
+
+  /**
+   * Bootstrap 3.
+   *
+   * The .form-group gets has-error, and the message is a .help-block at the
+   * end of it.
+   */
+  Drupal.drupalValidator.registerRenderer('bootstrap3', {
+
+    wrapper: function (element) {
+      return jQuery(element).closest('.form-group');
+    },
+
+    setError: function (element, message, message_id) {
+      var wrapper = this.wrapper(element).addClass('has-error');
+
+      if (jQuery('#' + message_id).length <= 0) {
+        wrapper.append('<span class="help-block drupal-validator-message" id="' + message_id + '"></span>');
+      }
+
+      jQuery('#' + message_id).html(message);
+    },
+
+    clearError: function (element, message_id) {
+      this.wrapper(element).removeClass('has-error');
+      jQuery('#' + message_id).remove();
+    },
+
+    invalidFields: function (form) {
+      return jQuery(form).find('.has-error').find(':input');
     }
+  });
 
-    // Otherwise return TRUE if no errors were detected.
-    return !errors;
-  };
+
+  /**
+   * Bootstrap 4, and Drupal 8+ themes built on it.
+   *
+   * The field gets is-invalid, and the message is an .invalid-feedback right
+   * after it, which Bootstrap only shows next to an invalid field.
+   */
+  Drupal.drupalValidator.registerRenderer('bootstrap4', {
+
+    wrapper: function (element) {
+      return jQuery(element).closest('.form-group');
+    },
+
+    setError: function (element, message, message_id) {
+      jQuery(element).addClass('is-invalid');
+
+      if (jQuery('#' + message_id).length <= 0) {
+        jQuery(element).after('<div class="invalid-feedback drupal-validator-message" id="' + message_id + '"></div>');
+      }
+
+      jQuery('#' + message_id).html(message);
+    },
+
+    clearError: function (element, message_id) {
+      jQuery(element).removeClass('is-invalid');
+      jQuery('#' + message_id).remove();
+    },
+
+    invalidFields: function (form) {
+      return Drupal.drupalValidator.outermostFields(jQuery(form).find('.is-invalid'));
+    }
+  });
+
+
+  /**
+   * Claro, the Drupal 8+ administration theme.
+   *
+   * The field gets error, its .form-item gets form-item--error, and the
+   * message is a .form-item__error-message inside the .form-item.
+   */
+  Drupal.drupalValidator.registerRenderer('claro', {
+
+    wrapper: function (element) {
+      return jQuery(element).closest('.form-item');
+    },
+
+    setError: function (element, message, message_id) {
+      jQuery(element).addClass('error');
+      this.wrapper(element).addClass('form-item--error');
+      jQuery("label[for='" + jQuery(element).attr("id") + "']").addClass('has-error');
+
+      if (jQuery('#' + message_id).length <= 0) {
+        this.wrapper(element).append('<div class="form-item__error-message drupal-validator-message" id="' + message_id + '"></div>');
+      }
+
+      jQuery('#' + message_id).html(message);
+    },
+
+    clearError: function (element, message_id) {
+      jQuery(element).removeClass('error');
+      this.wrapper(element).removeClass('form-item--error');
+      jQuery("label[for='" + jQuery(element).attr("id") + "']").removeClass('has-error');
+      jQuery('#' + message_id).remove();
+    },
+
+    invalidFields: function (form) {
+      return Drupal.drupalValidator.outermostFields(jQuery(form).find(':input.error, .form-radios.error, .form-checkboxes.error, fieldset.error'));
+    }
+  });
 
 
 
 /**
- * Layer 4:
+ * Layer 4.C:
  *
- *    Error State Functions + Markup
+ *    Server-side Errors
  *    ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
  *
- *    This level has standardized error state functions to either set
- *    (or recover) from form errors. Any time you wish to do standard error
- *    state updates to the UI, you should use these functions, unless you have
- *    a special case UI.
+ *    When form_set_error() fails a form, the page loads with its fields
+ *    already marked, and their messages listed at the top of the page. These
+ *    are read into our own error state on attach, each message matched to
+ *    its field, so they are cleared once the user fixes the field.
  *
- *    Popup Validator UI (i.e. password/user ID) display logic is also included
- *    here. This is for UI assemble only, and does not contain specific rules.
+ *    A message is matched to the field it links to (as Inline Form Errors
+ *    does), or else to the field whose label it contains. Each field is
+ *    recorded in its form's state as failing the rule 'server'.
  */
 
 
   /**
-   * Set an error on a given element.
+   * The server-rendered error message blocks, for Drupal 7, Drupal 8+ themes
+   * and Bootstrap.
+   */
+  Drupal.drupalValidator.serverMessageSelector = '.messages.error:not(.messages-inline), .messages--error:not(.messages-inline), .alert-danger';
+
+
+  /**
+   * Read the server's errors within context into our own error state.
+   */
+  Drupal.behaviors.drupalValidatorServerErrors = {
+    attach: function (context, settings) {
+      $(context).find('form').addBack('form').once('drupal-validator-server-errors').each(function () {
+        Drupal.drupalValidator.readServerErrors(this);
+      });
+    }
+  };
+
+
+  /**
+   * Read a form's server-rendered errors into our own error state.
    *
-   * This will add error classes on an element, it's label, the form,
-   * and associate an error message with the field, if passed.
+   * Each invalid field is marked for assistive technology, and linked to the
+   * top-of-page messages about it. The form is put in its error state.
    *
-   * @param element element
-   *   The element we should set an error on. This should be a field on a form.
-   * @param string message
-   *   An error message to set on the field.
+   * @param {element} form
+   *   The form.
    */
-  Drupal.drupalValidator.setErrorState = function (element, message) {
+  Drupal.drupalValidator.readServerErrors = function (form) {
+    var fields = Drupal.drupalValidator.getRenderer().invalidFields(form);
 
-    // Add the error to the input.
-    jQuery(element).addClass('error');
+    if (fields.length <= 0) {
+      return;
+    }
 
-    var element_label = jQuery("label[for='" + jQuery(element).attr("id") + "']").closest('.form-item-label');
+    jQuery(form).addClass('form-error-state');
 
-    // Add the error to the label.
-    if (!jQuery(element_label).hasClass('error')) {
-      jQuery(element_label).addClass('error');
-    }
+    var matches = Drupal.drupalValidator.matchServerMessages(fields);
 
-    // The closest form should be the one we're in.
-    // Add an error class to the global form.
-    var my_form = jQuery(element).closest('form');
-    jQuery(my_form).addClass('form-error-state');
+    fields.each(function (index) {
+      var items = matches[index],
+          message_id = Drupal.drupalValidator.errorMessageId(this, 'server');
 
+      jQuery(this).attr('aria-invalid', 'true');
 
-    var element_error_message = jQuery(element).closest('.form-item').siblings('.messages');
+      if (items.length > 0) {
+        items.first().attr('id', message_id);
+        Drupal.drupalValidator.addDescribedBy(this, message_id);
+      }
 
-    // If one does not exist, add it.
-    if (jQuery(element_error_message).length <= 0) {
-      jQuery(element).closest('.form-item').after('<div class="messages error messages-inline">' + message + '</div>');
-    }
-    else {
-      jQuery(element_error_message).html(message);
-    }
+      jQuery(this).data('drupalValidatorServerError', {
+        value: Drupal.drupalValidator.fieldValue(this),
+        items: items
+      });
+
+      Drupal.drupalValidator.recordResults(this, [
+        {rule: 'server', passed: false, message: items.first().text().trim(), params: {}, field: null}
+      ]);
+    });
   };
 
 
   /**
-   * Given a field, recover that field (and the page)
-   * from existing error states.
+   * Match each server-rendered error message to one of the invalid fields.
    *
-   * We'll recover the passed element from the error state (UI only),
-   * and the page, if no other errors were present.
+   * @param {jQuery} fields
+   *   The invalid fields.
    *
-   * @param element element
-   *   The element which triggere our event. A field.
+   * @return {array}
+   *   A jQuery set of message items for each field, in the same order.
    */
-  Drupal.drupalValidator.recoverErrorState = function (element) {
+  Drupal.drupalValidator.matchServerMessages = function (fields) {
+    var labels = fields.map(function () {
+      return Drupal.drupalValidator.fieldLabel(this).toLowerCase();
+    }).get();
+    var matches = fields.map(function () {
+      return [[]];
+    }).get();
 
-    // Remove the form field error class.
-    jQuery(element).removeClass('error');
+    jQuery(Drupal.drupalValidator.serverMessageSelector).each(function () {
+      var items = jQuery(this).find('li');
 
-    // Find the field's label, and remove it.
-    jQuery("label[for='" + jQuery(element).attr("id") + "']").closest('.form-item-label').removeClass('error');
+      if (items.length <= 0) {
+        items = jQuery(this);
+      }
 
-    // Determine if that was the only error on the page.
-    // If so, remove the over-all error class, which should
-    // reset all error notifications on the page.
-    if (Drupal.drupalValidator.otherErrorsExist(element) == false) {
-      jQuery(element).closest('.form-error-state').removeClass('form-error-state');
-    }
+      items.each(function () {
+        var item = jQuery(this),
+            text = item.clone().find('.element-invisible, .visually-hidden').remove().end().text().toLowerCase(),
+            best = -1;
 
-    var element_error_message = jQuery(element).closest('.form-item').siblings('.messages');
+        fields.each(function (index) {
+          var id = jQuery(this).attr('id');
 
-    // If one does not exist, add it.
-    if (element_error_message) {
-      jQuery(element_error_message).html('');
-    }
+          // A link to the field beats any label.
+          if (id && item.find('a[href="#' + id + '"]').length > 0) {
+            best = index;
+            return false;
+          }
+
+          // Otherwise, the longest label wins, so "Confirm password" isn't
+          // taken for "Password".
+          if (labels[index].length > 0 && text.indexOf(labels[index]) !== -1 && (best < 0 || labels[index].length > labels[best].length)) {
+            best = index;
+          }
+        });
+
+        if (best >= 0) {
+          matches[best].push(this);
+        }
+      });
+    });
+
+    return jQuery.map(matches, function (items) {
+      return [jQuery(items)];
+    });
   };
 
 
   /**
-   * Determine if there are other errors on the page besides our passed element.
+   * Clear a field's server-rendered messages, once the user has changed the
+   * value the server rejected, and it passes our own validation.
    *
-   * @param domElement element
-   *   the element we should not count towards our error check.
+   * Message blocks left empty are removed with their last message.
    *
-   * @return boolean
-   *   TRUE if other errors were found on the form. Otherwise FALSE.
+   * @param {element} field
+   *   A field which just passed validation.
    */
-  Drupal.drupalValidator.otherErrorsExist = function (element) {
+  Drupal.drupalValidator.reconcileServerError = function (field) {
+    var server = jQuery(field).data('drupalValidatorServerError');
 
-    // The closest form should be the one we're in.
-    var my_form = jQuery(element).closest('form');
+    if (!server || Drupal.drupalValidator.fieldValue(field) === server.value) {
+      return;
+    }
 
-    // If we're in a form, find all the fields with error classes.
-    // Then, count all fields which are not our passed element.
-    if (my_form) {
-      var count = 0;
-      var error_elements = jQuery(my_form).find('input.error');
+    server.items.each(function () {
+      var block = jQuery(this).closest(Drupal.drupalValidator.serverMessageSelector);
 
-      // Check each input with the error class.
-      jQuery.each(error_elements, function (key, value) {
-        if (value != element) {
-          count++;
+      jQuery(this).remove();
+
+      if (block.length > 0 && block.find('li').length <= 0) {
+        block.remove();
+      }
+    });
+
+    Drupal.drupalValidator.removeDescribedBy(field, Drupal.drupalValidator.errorMessageId(field, 'server'));
+    jQuery(field).removeData('drupalValidatorServerError');
+  };
+
+
+
+/**
+ * Layer 4.D:
+ *
+ *    Tabs and Collapsed Fieldsets
+ *    ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ *
+ *    A pane is a part of a form the user opens to fill in, such as a vertical
+ *    tab, or a collapsed fieldset. Its fields are hidden, but still
+ *    submitted, so they are still validated. Whenever a field in a pane
+ *    gains or loses an error, the pane's tab (or legend) gets or loses the
+ *    classes error and drupal-validator-pane-error. When the first invalid
+ *    field is focused, every pane around it is opened.
+ *
+ *    A pane type is an object with:
+ *
+ *      - selector: Matches the element which is hidden while the pane is
+ *        closed.
+ *      - tab(pane): The jQuery element the user opens the pane with.
+ *      - open(pane): Open the pane.
+ *
+ *    Sites may add their own to paneTypes, such as the pages of a
+ *    client-side wizard.
+ */
+
+
+  /**
+   * Available pane types, keyed by name.
+   */
+  Drupal.drupalValidator.paneTypes = {
+
+    // Drupal's vertical tabs.
+    vertical_tabs: {
+      selector: '.vertical-tabs-pane, .vertical-tabs__pane',
+      tab: function (pane) {
+        var tab = jQuery(pane).data('verticalTab');
+        return tab ? jQuery(tab.item) : jQuery();
+      },
+      open: function (pane) {
+        var tab = jQuery(pane).data('verticalTab');
+        if (tab) {
+          tab.focus();
         }
-      });
+      }
+    },
 
-      // If we found error fields other than our own, our page still has errors.
-      if (count > 0) {
-        return true;
+    // Field group's horizontal tabs.
+    horizontal_tabs: {
+      selector: '.horizontal-tabs-pane',
+      tab: function (pane) {
+        var tab = jQuery(pane).data('horizontalTab');
+        return tab ? jQuery(tab.item) : jQuery();
+      },
+      open: function (pane) {
+        var tab = jQuery(pane).data('horizontalTab');
+        if (tab) {
+          tab.focus();
+        }
+      }
+    },
+
+    // Bootstrap's tabs.
+    bootstrap_tabs: {
+      selector: '.tab-pane',
+      tab: function (pane) {
+        if (!pane.id) {
+          return jQuery();
+        }
+
+        return jQuery('[data-toggle="tab"], [data-bs-toggle="tab"]').filter('[href="#' + pane.id + '"], [data-target="#' + pane.id + '"], [data-bs-target="#' + pane.id + '"]');
+      },
+      open: function (pane) {
+        var tab = this.tab(pane);
+        if (typeof tab.tab === 'function') {
+          tab.tab('show');
+        }
+      }
+    },
+
+    // Drupal 7's collapsible fieldsets. The wrapper is hidden while the
+    // fieldset is collapsed.
+    fieldset: {
+      selector: 'fieldset.collapsible > .fieldset-wrapper',
+      tab: function (pane) {
+        return jQuery(pane).siblings('legend');
+      },
+      open: function (pane) {
+        var fieldset = jQuery(pane).parent();
+
+        if (!fieldset.hasClass('collapsed')) {
+          return;
+        }
+
+        if (typeof Drupal.toggleFieldset === 'function') {
+          Drupal.toggleFieldset(fieldset.get(0));
+        }
+        else {
+          fieldset.removeClass('collapsed');
+        }
       }
     }
-    // If we're this far, either our page doesn't have forms
-    // (so we can't have errors), or our form is error-free!
-    return false;
+  };
+
+
+  /**
+   * Find the type of a pane.
+   *
+   * @param element pane
+   *   An element, which may be a pane.
+   *
+   * @return object|null
+   *   Its entry in paneTypes, or NULL if it isn't a pane.
+   */
+  Drupal.drupalValidator.paneType = function (pane) {
+    var found = null;
+
+    jQuery.each(Drupal.drupalValidator.paneTypes, function (name, type) {
+      if (jQuery(pane).is(type.selector)) {
+        found = type;
+        return false;
+      }
+    });
+
+    return found;
+  };
+
+
+  /**
+   * Find the panes around an element, outermost first.
+   *
+   * @param element element
+   *   A field, or any element.
+   *
+   * @return array(element)
+   *   The panes.
+   */
+  Drupal.drupalValidator.elementPanes = function (element) {
+    return jQuery(element).parents().filter(function () {
+      return Drupal.drupalValidator.paneType(this) !== null;
+    }).get().reverse();
+  };
+
+
+  /**
+   * Determine if an element is only hidden because it is a closed pane,
+   * rather than by #states or the like, which would also hide its tab.
+   *
+   * @param element node
+   *   A hidden element.
+   *
+   * @return boolean
+   *   TRUE if it is a closed pane, with a tab the user can open it with.
+   */
+  Drupal.drupalValidator.paneIsClosed = function (node) {
+    var type = Drupal.drupalValidator.paneType(node);
+
+    if (type === null) {
+      return false;
+    }
+
+    var tab = type.tab(node);
+
+    return tab.length > 0 && !tab.prop('hidden') && tab.css('display') !== 'none';
+  };
+
+
+  /**
+   * Open every pane around an element, so the user can see it.
+   *
+   * @param element element
+   *   A field.
+   */
+  Drupal.drupalValidator.openPanes = function (element) {
+    jQuery.each(Drupal.drupalValidator.elementPanes(element), function (i, pane) {
+      Drupal.drupalValidator.paneType(pane).open(pane);
+    });
+  };
+
+
+  /**
+   * Mark the tab of every pane around an element with whether the pane
+   * still holds any errors.
+   *
+   * @param element element
+   *   A field which just gained or lost an error.
+   */
+  Drupal.drupalValidator.refreshPaneErrors = function (element) {
+    jQuery.each(Drupal.drupalValidator.elementPanes(element), function (i, pane) {
+      var errors = Drupal.drupalValidator.getRenderer().invalidFields(pane).length > 0;
+
+      Drupal.drupalValidator.paneType(pane).tab(pane).toggleClass('error drupal-validator-pane-error', errors);
+    });
   };
 
 })(jQuery);
@@ -12,100 +12,99 @@
  *    These functions do not handle any UI updates to the front end. Other
  *    error-handling + validation logic on level 3 should call these functions,
  *    and handle UI updates to let the user know there are errors.
+ *
+ *    The string rules themselves live in drupalValidatorRules.js, so they can
+ *    also be used outside the browser. This file exposes them on
+ *    Drupal.drupalValidatorBasics, alongside the rules which read fields, or
+ *    need jQuery. Pages may add drupalValidatorRules.js before this file, or
+ *    leave it out and use the copy below.
  */
 
 
-(function ($) {
-
-
-  Drupal.drupalValidatorBasics = Drupal.drupalValidatorBasics || {};
+/**
+ * The string rules, for pages which don't add drupalValidatorRules.js.
+ *
+ * Before the rules were split out, this file was all a site had to add, so it
+ * carries a copy of them. The copy is only used when drupalValidatorRules.js
+ * isn't already on the page. test/rules.test.js keeps it the same as that
+ * file.
+ */
+(function (root, factory) {
+  if (!root.drupalValidatorRules) {
+    root.drupalValidatorRules = factory();
+  }
+}(this, function () {
 
 
-  Drupal.behaviors.drupalValidatorBasics = {
-    attach: function (context, settings) {
-      // Attach logic to be executed here.
-    }
-  };
+  var rules = {};
 
 
   /**
-   * If any passed fields are not empty, but field is empty, fail.
+   * If any of the other values are not empty, but value is empty, fail.
    *
-   * @param  {element} field
-   *   The field being validated.
-   * @param  {array({elements})} all_fields
-   *   The field list of elements which we are checking.
+   * @param  {string} value
+   *   The value being validated.
+   * @param  {array(string)} other_values
+   *   The values of the other fields in the group.
    */
-  Drupal.drupalValidatorBasics.NotEmptyIfAnyFieldsNotEmpty = function(field, all_fields) {
-
-    // First, remove our element from the all_elements list.
-    all_fields = jQuery.grep(all_fields, function(value) {
-      return value != field;
-    });
+  rules.NotEmptyIfAnyFieldsNotEmpty = function(value, other_values) {
 
-    // If at least one other field is set, and our field is not, fail.
-    if (Drupal.drupalValidatorBasics.allFieldsEmpty(all_fields) === false) {
-      if (Drupal.drupalValidatorBasics.fieldNotEmpty($(field).val()) === false) {
+    // If at least one other value is set, and ours is not, fail.
+    if (rules.allFieldsEmpty(other_values) === false) {
+      if (rules.fieldNotEmpty(value) === false) {
         return false;
       }
     }
 
     return true;
-  }
+  };
 
 
   /**
-   * Fail if any field is not empty.
+   * Fail if any value is not empty.
    *
-   * @param  {element} field
-   *   The field being validated.
-   * @param  {array({elements})} all_fields
-   *   The field list of elements which we are checking.
+   * @param  {array(string)} values
+   *   The values we are checking.
    */
-  Drupal.drupalValidatorBasics.allFieldsEmpty = function(all_fields) {
-
-    var empty = true;
-
-    // Check each field, looking for any values.
-    var result = jQuery(all_fields).each(function() {
-      if (Drupal.drupalValidatorBasics.fieldNotEmpty($(this).val()) === true) {
-        empty = false;
+  rules.allFieldsEmpty = function(values) {
+    for (var i = 0; i < values.length; i++) {
+      if (rules.fieldNotEmpty(values[i]) === true) {
         return false;
       }
-    });
+    }
 
-    return empty;
-  }
+    return true;
+  };
 
 
   /**
    * Confirm a value is not empty.
    */
-  Drupal.drupalValidatorBasics.fieldNotEmpty = function(value) {
-    return Drupal.drupalValidatorBasics.lengthValid (value, 1, 999999, true);
+  rules.fieldNotEmpty = function(value) {
+    return rules.lengthValid (value, 1, 999999, true);
   }
 
 
   /**
-   * Confirm if fields match.
+   * Confirm if values match.
    *
-   * @param  {element} primary_element
-   *   The primary field.
-   * @param  {element} linked_element
-   *   The secondary field linked to primary field.
-   * @param  {element} fail_on_blank
-   *   If FALSE, we will not fail a blank field against a non-blank one.
+   * @param  {string} value_1
+   *   The primary value.
+   * @param  {string} value_2
+   *   The secondary value, linked to the primary.
+   * @param  {boolean} fail_on_blank
+   *   If FALSE, we will not fail a blank value against a non-blank one.
    *
    * @return {boolean}
    *   TRUE if they match. Otherwise, FALSE.
    */
-  Drupal.drupalValidatorBasics.fieldsMatch = function(field_1, field_2, fail_on_blank) {
-    // We should ignore validation when the secondary field is blank, if requested.
-    if (fail_on_blank === false && ($(field_1).val().length === 0 || $(field_2).val().length === 0)) {
+  rules.fieldsMatch = function(value_1, value_2, fail_on_blank) {
+    // We should ignore validation when the secondary value is blank, if requested.
+    if (fail_on_blank === false && (value_1.length === 0 || value_2.length === 0)) {
       return true;
     }
-    // Handle unmatching fields, and flag both fields.
-    else if ($(field_1).val() !== $(field_2).val()) {
+    // Handle unmatching values.
+    else if (value_1 !== value_2) {
       return false;
     }
 
@@ -122,7 +121,7 @@
    * @returns {boolean}
    *   TRUE on success. Otherwise, FALSE.
    */
-  Drupal.drupalValidatorBasics.ssnValid = function (value, error_on_blank) {
+  rules.ssnValid = function (value, error_on_blank) {
 
     var count = value.length;
     var socialRegex = /^\d{3}-?\d{2}-?\d{4}$/;
@@ -146,7 +145,7 @@
    * @returns {boolean}
    *   TRUE on success. Otherwise, FALSE.
    */
-  Drupal.drupalValidatorBasics.emailValid = function (value, error_on_blank) {
+  rules.emailValid = function (value, error_on_blank) {
 
     // Don't fail on an empty field, unless we were asked to.
     if (value.length == 0 && error_on_blank == false) {
@@ -168,7 +167,7 @@
    * @returns {boolean}
    *   TRUE on success. Otherwise, FALSE.
    */
-  Drupal.drupalValidatorBasics.phoneValid = function (value, error_on_blank) {
+  rules.phoneValid = function (value, error_on_blank) {
 
     // Don't fail on an empty field, unless we were asked to.
     if (value.length == 0 && error_on_blank == false) {
@@ -179,15 +178,244 @@
     // Rule: 2. Must be 10 numbers, excluding dashes.
     // Rule: 3. cant be same digit without dashes.
     var numericRegex = /^\d{3}-?\d{3}-?\d{4}$/;
-    var firstChar = value[0];
     var ruleOne = numericRegex.test(value);
     var ruleTwo = value.replace(/-/g,"").length === 10;
-    var ruleThere = value.replace(/-/g,"").replace( new RegExp("^" + firstChar + "+$"), "").length !== 0;
+    var ruleThere = !/^(.)\1*$/.test(value.replace(/-/g,""));
 
     return ruleOne && ruleTwo && ruleThere;
   };
 
 
+  /**
+   * Offline phone number metadata, keyed by ISO 3166-1 alpha-2 country code.
+   *
+   * Each country has:
+   *   - code: The international calling code.
+   *   - trunk: The prefix dialed before national numbers, if any.
+   *   - pattern: The national significant number, without the trunk prefix.
+   *
+   * These cover the common formats, not every number plan. Sites may add or
+   * replace countries here.
+   */
+  rules.phoneMetadata = {
+    US: {code: '1', trunk: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/},
+    CA: {code: '1', trunk: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/},
+    MX: {code: '52', trunk: '', pattern: /^\d{10}$/},
+    GB: {code: '44', trunk: '0', pattern: /^[1-9]\d{8,9}$/},
+    IE: {code: '353', trunk: '0', pattern: /^[1-9]\d{6,9}$/},
+    FR: {code: '33', trunk: '0', pattern: /^[1-9]\d{8}$/},
+    FI: {code: '358', trunk: '0', pattern: /^[1-9]\d{5,10}$/},
+    DE: {code: '49', trunk: '0', pattern: /^[1-9]\d{5,12}$/},
+    NL: {code: '31', trunk: '0', pattern: /^[1-9]\d{8}$/},
+    BE: {code: '32', trunk: '0', pattern: /^[1-9]\d{7,8}$/},
+    ES: {code: '34', trunk: '', pattern: /^[5-9]\d{8}$/},
+    IT: {code: '39', trunk: '', pattern: /^(?:0\d{5,10}|3\d{8,9})$/},
+    AU: {code: '61', trunk: '0', pattern: /^[2-478]\d{8}$/},
+    NZ: {code: '64', trunk: '0', pattern: /^[2-9]\d{7,9}$/},
+    IN: {code: '91', trunk: '0', pattern: /^[1-9]\d{9}$/},
+    JP: {code: '81', trunk: '0', pattern: /^[1-9]\d{8,9}$/},
+    BR: {code: '55', trunk: '0', pattern: /^[1-9]{2}\d{8,9}$/},
+    ZA: {code: '27', trunk: '0', pattern: /^[1-9]\d{8}$/}
+  };
+
+
+  /**
+   * Phone string validation, for any of a list of countries.
+   *
+   * Accepts E.164 (+44 20 7946 0000), the 00 and 011 international prefixes,
+   * and national formats with or without the trunk prefix. Spaces, dashes,
+   * dots, slashes and parentheses are allowed between digits, and an
+   * extension (x123, ext. 123, #123) may follow the number.
+   *
+   * @param {string} value
+   *   A string we should validate as a phone number.
+   * @param {boolean} error_on_blank
+   *   Should we still fail if the value is blank?
+   * @param {object} options
+   *   (optional) Containing:
+   *     - countries: A country code, or an array of them, from
+   *       rules.phoneMetadata. Numbers never match other countries.
+   *       Defaults to ['US'].
+   *     - reject_repeated: Fail numbers which are the same digit throughout,
+   *       such as 111-111-1111. Defaults to TRUE.
+   *
+   * @returns {boolean}
+   *   TRUE if the number is valid for at least one of the countries.
+   *   Otherwise, FALSE.
+   */
+  rules.phoneValidInternational = function (value, error_on_blank, options) {
+    options = options || {};
+
+    var countries = options.countries || ['US'];
+    if (typeof countries === 'string') {
+      countries = [countries];
+    }
+
+    // Don't fail on an empty field, unless we were asked to.
+    if (value.length == 0 && error_on_blank == false) {
+      return true;
+    }
+
+    // Split off any extension, then allow only digits and separators.
+    var number = value.replace(/\s*(?:extension|ext\.?|x|#|;ext=)\s*\d{1,6}\s*$/i, '');
+    if (!/^\s*\+?[\d\s\-.()\/]+$/.test(number)) {
+      return false;
+    }
+
+    var digits = number.replace(/\D/g, ''),
+        international = null,
+        national = true;
+
+    if (/^\s*\+/.test(number)) {
+      international = digits;
+      national = false;
+    }
+    else if (digits.indexOf('00') === 0) {
+      international = digits.slice(2);
+      national = false;
+    }
+    else if (digits.indexOf('011') === 0) {
+      // 011 is only the exit code in North America. Elsewhere it may start a
+      // national number, such as 0114 for Sheffield, so try both readings.
+      international = digits.slice(3);
+    }
+
+    for (var i = 0; i < countries.length; i++) {
+      var meta = rules.phoneMetadata[String(countries[i]).toUpperCase()],
+          readings = [];
+
+      // A country we know nothing of can't vouch for a number.
+      if (!meta) {
+        continue;
+      }
+
+      if (national) {
+        var reading = digits;
+
+        // Drop the trunk prefix, if the number needs it dropped to fit.
+        if (meta.trunk && !meta.pattern.test(reading) && reading.indexOf(meta.trunk) === 0) {
+          reading = reading.slice(meta.trunk.length);
+        }
+        readings.push(reading);
+      }
+
+      if (international !== null && international.indexOf(meta.code) === 0 && international.length <= 15) {
+        readings.push(international.slice(meta.code.length));
+      }
+
+      for (var j = 0; j < readings.length; j++) {
+        if (!meta.pattern.test(readings[j])) {
+          continue;
+        }
+
+        // Rule: cant be same digit throughout.
+        if (options.reject_repeated !== false && /^(\d)\1*$/.test(readings[j])) {
+          continue;
+        }
+
+        return true;
+      }
+    }
+
+    return false;
+  };
+
+
+  /**
+   * Offline postal code metadata, keyed by ISO 3166-1 alpha-2 country code.
+   *
+   * Each country has:
+   *   - pattern: The postal code, upper case, with an optional single space
+   *     where the country's format has one.
+   *   - space: (optional) How many characters follow that space.
+   *   - plus_four: (US only) The pattern accepting ZIP+4.
+   *
+   * Sites may add or replace countries here.
+   */
+  rules.postalCodeMetadata = {
+    US: {pattern: /^\d{5}$/, plus_four: /^\d{5}(?:-\d{4})?$/},
+    CA: {pattern: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] ?\d[ABCEGHJ-NPRSTV-Z]\d$/, space: 3},
+    MX: {pattern: /^\d{5}$/},
+    GB: {pattern: /^(?:[A-Z]{1,2}\d[A-Z\d]?|GIR) ?\d[A-Z]{2}$/, space: 3},
+    IE: {pattern: /^(?:[AC-FHKNPRTV-Y]\d{2}|D6W) ?[\dAC-FHKNPRTV-Y]{4}$/, space: 4},
+    FR: {pattern: /^\d{5}$/},
+    DE: {pattern: /^\d{5}$/},
+    ES: {pattern: /^(?:0[1-9]|[1-4]\d|5[0-2])\d{3}$/},
+    IT: {pattern: /^\d{5}$/},
+    FI: {pattern: /^\d{5}$/},
+    NL: {pattern: /^[1-9]\d{3} ?[A-Z]{2}$/, space: 2},
+    BE: {pattern: /^[1-9]\d{3}$/},
+    LU: {pattern: /^\d{4}$/},
+    AT: {pattern: /^[1-9]\d{3}$/},
+    CH: {pattern: /^[1-9]\d{3}$/},
+    DK: {pattern: /^\d{4}$/},
+    NO: {pattern: /^\d{4}$/},
+    SE: {pattern: /^[1-9]\d{2} ?\d{2}$/, space: 2},
+    PL: {pattern: /^\d{2}-\d{3}$/},
+    PT: {pattern: /^\d{4}-\d{3}$/},
+    AU: {pattern: /^\d{4}$/},
+    JP: {pattern: /^\d{3}-?\d{4}$/},
+    BR: {pattern: /^\d{5}-?\d{3}$/},
+    ZA: {pattern: /^\d{4}$/}
+  };
+
+
+  /**
+   * Postal code string validation, for any of a list of countries.
+   *
+   * Letters may be in either case, and surrounding spaces are ignored.
+   *
+   * @param {string} value
+   *   A string we should validate as a postal code.
+   * @param {boolean} error_on_blank
+   *   Should we still fail if the value is blank?
+   * @param {object} options
+   *   (optional) Containing:
+   *     - countries: A country code, or an array of them, from
+   *       rules.postalCodeMetadata. Other countries are skipped, but if
+   *       none of them has a format, any code is valid. Defaults to ['US'].
+   *     - zip_plus_four: Accept US ZIP+4 (12345-6789). Defaults to FALSE.
+   *
+   * @returns {boolean}
+   *   TRUE if the code is valid for at least one of the countries.
+   *   Otherwise, FALSE.
+   */
+  rules.postalCodeValid = function (value, error_on_blank, options) {
+    options = options || {};
+
+    var countries = options.countries || ['US'];
+    if (typeof countries === 'string') {
+      countries = [countries];
+    }
+
+    // Don't fail on an empty field, unless we were asked to.
+    if (value.length == 0 && error_on_blank == false) {
+      return true;
+    }
+
+    var code = value.replace(/^\s+|\s+$/g, '').toUpperCase(),
+        known = false;
+
+    for (var i = 0; i < countries.length; i++) {
+      var meta = rules.postalCodeMetadata[String(countries[i]).toUpperCase()];
+
+      if (!meta) {
+        continue;
+      }
+      known = true;
+
+      var pattern = (options.zip_plus_four === true && meta.plus_four) ? meta.plus_four : meta.pattern;
+
+      if (pattern.test(code)) {
+        return true;
+      }
+    }
+
+    // Without a format for any of the countries, any code will do.
+    return !known;
+  };
+
+
   /**
    * Validate a string does not contain the same character twice in a succession.
    *
@@ -195,12 +423,12 @@
    *
    *   contains a and d in succession, while e ppear twice, but not in succession.
    */
-  Drupal.drupalValidatorBasics.doesNotContainDoubleCharacters = function(value) {
+  rules.doesNotContainDoubleCharacters = function(value) {
     var moreThanTwoReps = /(.)\1\1/;
     return !moreThanTwoReps.test(value);
   }
 
-  Drupal.drupalValidatorBasics.doesNotContainValue = function(needle, haystack, error_on_blank) {
+  rules.doesNotContainValue = function(needle, haystack, error_on_blank) {
     if (needle.length == 0 && !error_on_blank) {
       return true;
     }
@@ -210,22 +438,22 @@
     return false;
   }
 
-  Drupal.drupalValidatorBasics.containsSpecialCharacters = function(value) {
+  rules.containsSpecialCharacters = function(value) {
     var atLeastOneCap = /[0-9!@?]+/;
     return atLeastOneCap.test(value);
   };
 
-  Drupal.drupalValidatorBasics.containsUppercase = function(value) {
+  rules.containsUppercase = function(value) {
     var atLeastOneCap = /[A-Z]+/;
     return atLeastOneCap.test(value);
   };
 
-  Drupal.drupalValidatorBasics.containsLowercase = function(value) {
+  rules.containsLowercase = function(value) {
     var atLeastOneLower = /[a-z]+/;
     return atLeastOneLower.test(value);
   };
 
-  Drupal.drupalValidatorBasics.containsNumber = function (value) {
+  rules.containsNumber = function (value) {
     var numeric = /[0-9]+/;
     return numeric.test(value);
   }
@@ -233,7 +461,7 @@
   /**
    * Test for only alpha or numeric characters.
    */
-  Drupal.drupalValidatorBasics.containsOnlyAlphaNumeric = function (value) {
+  rules.containsOnlyAlphaNumeric = function (value) {
     var alphaNumeric = /[^0-9a-zA-Z]+/;
     return !alphaNumeric.test(value);
   }
@@ -241,20 +469,20 @@
   /**
    * Test for only numeric characters.
    */
-  Drupal.drupalValidatorBasics.containsOnlyNumeric = function (value) {
+  rules.containsOnlyNumeric = function (value) {
     var numeric = /[^0-9]+/;
     return !numeric.test(value);
   }
 
-  Drupal.drupalValidatorBasics.containsAtLeastOneAlpha = function (value) {
-    return (Drupal.drupalValidatorBasics.containsUppercase(value) || Drupal.drupalValidatorBasics.containsLowercase(value));
+  rules.containsAtLeastOneAlpha = function (value) {
+    return (rules.containsUppercase(value) || rules.containsLowercase(value));
   }
 
-  Drupal.drupalValidatorBasics.containsLowerAndUppercase = function (value) {
-    return (Drupal.drupalValidatorBasics.containsUppercase(value) && Drupal.drupalValidatorBasics.containsLowercase(value));
+  rules.containsLowerAndUppercase = function (value) {
+    return (rules.containsUppercase(value) && rules.containsLowercase(value));
   };
 
-  Drupal.drupalValidatorBasics.lengthValid = function(value, min, max, fail_on_blank) {
+  rules.lengthValid = function(value, min, max, fail_on_blank) {
     if (min === undefined && max === undefined) {
       return true;
     }
@@ -275,25 +503,1534 @@
   }
 
 
-/**
- * Layer 6:
- *
- *    Bahavior Replacement Functions
- *    ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
- *
- *    Reusable functionality that manipulates the values of fields.
- */
+  /**
+   * Month names, for the M and F date format characters.
+   */
+  rules.monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
 
   /**
-   * Auto-format a field to allow only numeric characters, removing everything
-   * else as a user types.
+   * The regular expression matching each supported date format character.
    *
-   * @param  {element} element
-   *   The field element we are applying this behavior to.
+   * These are the PHP date() characters the Date module's popup formats use.
+   * Any other character in a format must appear as is, and a backslash
+   * escapes the character after it.
    */
-  Drupal.drupalValidatorBasics.NumericOnlyAutoFormatBehavior = function (element) {
-    // Replace all non-numeric characters.
-    element.value = element.value.replace(/\D/g,'');
+  var dateTokens = {
+    d: '(\\d{2})',
+    j: '(\\d{1,2})',
+    m: '(\\d{2})',
+    n: '(\\d{1,2})',
+    Y: '(\\d{4})',
+    y: '(\\d{2})',
+    M: '([A-Za-z]{3})',
+    F: '([A-Za-z]+)',
+    H: '(\\d{2})',
+    G: '(\\d{1,2})',
+    h: '(\\d{2})',
+    g: '(\\d{1,2})',
+    i: '(\\d{2})',
+    s: '(\\d{2})',
+    a: '(am|pm)',
+    A: '(AM|PM)'
+  };
+
+
+  /**
+   * Find a month number from its full name, or the first three letters of it.
+   */
+  function monthFromName(name, short_name) {
+    for (var i = 0; i < rules.monthNames.length; i++) {
+      var month = rules.monthNames[i].toLowerCase();
+
+      if ((short_name ? month.slice(0, 3) : month) === name.toLowerCase()) {
+        return i + 1;
+      }
+    }
+
+    return null;
+  }
+
+
+  /**
+   * Parse a date string in a PHP date() format, such as 'm/d/Y' or 'Y-m-d H:i'.
+   *
+   * The year is required. A format without a month or day means the first.
+   *
+   * @param {string} value
+   *   The date string.
+   * @param {string} format
+   *   The format value should be in.
+   *
+   * @returns {Date|null}
+   *   The date, in local time. NULL if value doesn't match the format, or
+   *   isn't a real date, such as 02/30/2015.
+   */
+  rules.parseDate = function (value, format) {
+    var pattern = '',
+        tokens = [];
+
+    for (var i = 0; i < format.length; i++) {
+      var character = format.charAt(i);
+
+      if (character === '\\' && i + 1 < format.length) {
+        character = format.charAt(++i);
+        pattern += character.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+      }
+      else if (dateTokens[character]) {
+        pattern += dateTokens[character];
+        tokens.push(character);
+      }
+      else {
+        pattern += character.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+      }
+    }
+
+    var match = new RegExp('^' + pattern + '$', 'i').exec(String(value).replace(/^\s+|\s+$/g, ''));
+    if (match === null) {
+      return null;
+    }
+
+    var parts = {year: null, month: 1, day: 1, hour: 0, minute: 0, second: 0},
+        meridiem = null;
+
+    for (var t = 0; t < tokens.length; t++) {
+      var text = match[t + 1],
+          number = parseInt(text, 10);
+
+      switch (tokens[t]) {
+        case 'Y': parts.year = number; break;
+        case 'y': parts.year = number + (number < 70 ? 2000 : 1900); break;
+        case 'm': case 'n': parts.month = number; break;
+        case 'M': parts.month = monthFromName(text, true); break;
+        case 'F': parts.month = monthFromName(text, false); break;
+        case 'd': case 'j': parts.day = number; break;
+        case 'H': case 'G': case 'h': case 'g': parts.hour = number; break;
+        case 'i': parts.minute = number; break;
+        case 's': parts.second = number; break;
+        case 'a': case 'A': meridiem = text.toLowerCase(); break;
+      }
+    }
+
+    if (meridiem !== null) {
+      if (parts.hour < 1 || parts.hour > 12) {
+        return null;
+      }
+      parts.hour = (parts.hour % 12) + (meridiem === 'pm' ? 12 : 0);
+    }
+
+    if (parts.year === null || parts.month === null || parts.month < 1 || parts.month > 12 || parts.hour > 23 || parts.minute > 59 || parts.second > 59) {
+      return null;
+    }
+
+    var date = new Date(2000, 0, 1, parts.hour, parts.minute, parts.second);
+    date.setFullYear(parts.year, parts.month - 1, parts.day);
+
+    // Days past the end of the month roll over into the next one.
+    if (parts.day < 1 || date.getDate() !== parts.day) {
+      return null;
+    }
+
+    return date;
+  };
+
+
+  /**
+   * Format a date in a PHP date() format. The reverse of rules.parseDate().
+   *
+   * @param {Date} date
+   *   The date.
+   * @param {string} format
+   *   The format to use, such as 'm/d/Y'.
+   *
+   * @returns {string}
+   *   The formatted date.
+   */
+  rules.formatDate = function (date, format) {
+    var pad = function (number) {
+      return (number < 10 ? '0' : '') + number;
+    };
+    var hour12 = (date.getHours() % 12) || 12,
+        output = '';
+
+    for (var i = 0; i < format.length; i++) {
+      var character = format.charAt(i);
+
+      switch (character) {
+        case 'd': output += pad(date.getDate()); break;
+        case 'j': output += date.getDate(); break;
+        case 'm': output += pad(date.getMonth() + 1); break;
+        case 'n': output += (date.getMonth() + 1); break;
+        case 'Y': output += date.getFullYear(); break;
+        case 'y': output += pad(date.getFullYear() % 100); break;
+        case 'M': output += rules.monthNames[date.getMonth()].slice(0, 3); break;
+        case 'F': output += rules.monthNames[date.getMonth()]; break;
+        case 'H': output += pad(date.getHours()); break;
+        case 'G': output += date.getHours(); break;
+        case 'h': output += pad(hour12); break;
+        case 'g': output += hour12; break;
+        case 'i': output += pad(date.getMinutes()); break;
+        case 's': output += pad(date.getSeconds()); break;
+        case 'a': output += (date.getHours() < 12 ? 'am' : 'pm'); break;
+        case 'A': output += (date.getHours() < 12 ? 'AM' : 'PM'); break;
+        case '\\': output += format.charAt(++i); break;
+        default: output += character;
+      }
+    }
+
+    return output;
+  };
+
+
+  /**
+   * Resolve a date bound: a Date, 'today', or a string in format or Y-m-d.
+   */
+  function dateBound(bound, format) {
+    if (bound === undefined || bound === null || bound === '') {
+      return null;
+    }
+
+    if (bound instanceof Date || Object.prototype.toString.call(bound) === '[object Date]') {
+      return bound;
+    }
+
+    if (bound === 'today') {
+      var today = new Date();
+      return new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    }
+
+    return rules.parseDate(bound, format) || rules.parseDate(bound, 'Y-m-d');
+  }
+
+
+  /**
+   * The start of a date's day, so dates are compared by day alone.
+   */
+  function dateDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+
+  /**
+   * Date string validation.
+   *
+   * @param {string} value
+   *   A string we should validate as a date.
+   * @param {string} format
+   *   The PHP date() format value should be in, such as 'm/d/Y'.
+   * @param {boolean} error_on_blank
+   *   Should we still fail if the value is blank?
+   *
+   * @returns {boolean}
+   *   TRUE if value is a real date in the format. Otherwise, FALSE.
+   */
+  rules.dateValid = function (value, format, error_on_blank) {
+
+    // Don't fail on an empty field, unless we were asked to.
+    if (value.length == 0 && error_on_blank == false) {
+      return true;
+    }
+
+    return rules.parseDate(value, format) !== null;
+  };
+
+
+  /**
+   * Confirm a date falls between two bounds, inclusive.
+   *
+   * Only the day is compared, so any time on the last day is within max.
+   *
+   * Values which are not dates pass, so that only rules.dateValid() reports
+   * them.
+   *
+   * @param {string} value
+   *   The date string.
+   * @param {string} format
+   *   The PHP date() format of value.
+   * @param {Date|string} min
+   *   (optional) The earliest date allowed: a Date, 'today', or a string in
+   *   format or Y-m-d.
+   * @param {Date|string} max
+   *   (optional) The latest date allowed, in the same forms as min.
+   *
+   * @returns {boolean}
+   *   TRUE if value is not before min or after max. Otherwise, FALSE.
+   */
+  rules.dateInRange = function (value, format, min, max) {
+    var date = rules.parseDate(value, format);
+
+    if (date === null) {
+      return true;
+    }
+
+    date = dateDay(date);
+    min = dateBound(min, format);
+    max = dateBound(max, format);
+
+    if (min !== null && date.getTime() < dateDay(min).getTime()) {
+      return false;
+    }
+    if (max !== null && date.getTime() > dateDay(max).getTime()) {
+      return false;
+    }
+
+    return true;
+  };
+
+
+  /**
+   * Confirm a date of birth gives an age between two bounds, inclusive.
+   *
+   * Values which are not dates pass, so that only rules.dateValid() reports
+   * them.
+   *
+   * @param {string} value
+   *   The date of birth.
+   * @param {string} format
+   *   The PHP date() format of value.
+   * @param {number} min_age
+   *   (optional) The youngest age allowed, in whole years.
+   * @param {number} max_age
+   *   (optional) The oldest age allowed, in whole years.
+   * @param {Date} today
+   *   (optional) The date to find the age on. Defaults to now.
+   *
+   * @returns {boolean}
+   *   TRUE if the age is within the bounds. Otherwise, FALSE.
+   */
+  rules.ageValid = function (value, format, min_age, max_age, today) {
+    var birth = rules.parseDate(value, format);
+
+    if (birth === null) {
+      return true;
+    }
+
+    today = today || new Date();
+
+    var age = today.getFullYear() - birth.getFullYear();
+    if (today.getMonth() < birth.getMonth() || (today.getMonth() == birth.getMonth() && today.getDate() < birth.getDate())) {
+      age--;
+    }
+
+    if (min_age !== undefined && min_age !== null && age < min_age) {
+      return false;
+    }
+    if (max_age !== undefined && max_age !== null && age > max_age) {
+      return false;
+    }
+
+    return true;
+  };
+
+
+  /**
+   * Confirm an end date comes after a start date.
+   *
+   * If either date is blank or invalid, this passes, leaving those errors to
+   * the required and rules.dateValid() checks of each field.
+   *
+   * @param {string} start
+   *   The start date string.
+   * @param {string} end
+   *   The end date string.
+   * @param {string} format
+   *   The PHP date() format of both dates.
+   * @param {boolean} allow_same
+   *   (optional) Should the end date be allowed to equal the start?
+   *
+   * @returns {boolean}
+   *   TRUE if end is after start. Otherwise, FALSE.
+   */
+  rules.dateRangeValid = function (start, end, format, allow_same) {
+    var start_date = rules.parseDate(start, format),
+        end_date = rules.parseDate(end, format);
+
+    if (start_date === null || end_date === null) {
+      return true;
+    }
+
+    if (allow_same === true) {
+      return end_date.getTime() >= start_date.getTime();
+    }
+
+    return end_date.getTime() > start_date.getTime();
+  };
+
+
+  /**
+   * Card brands, in the order their prefixes are tested. UnionPay comes
+   * before Discover, so cards in their co-branded 622 range are UnionPay.
+   *
+   * Each brand has:
+   *   - id: The brand's machine name.
+   *   - prefix: A pattern matching the start of its numbers.
+   *   - lengths: The number of digits its numbers may have.
+   *   - cvv: The number of digits in its security code.
+   *   - groups: How its numbers are grouped when printed.
+   */
+  rules.cardBrands = [
+    {id: 'amex', prefix: /^3[47]/, lengths: [15], cvv: 4, groups: [4, 6, 5]},
+    {id: 'diners', prefix: /^3(?:0[0-5]|[689])/, lengths: [14, 16, 19], cvv: 3, groups: [4, 6, 4]},
+    {id: 'jcb', prefix: /^35(?:2[89]|[3-8])/, lengths: [16, 17, 18, 19], cvv: 3, groups: [4, 4, 4, 4, 3]},
+    {id: 'visa', prefix: /^4/, lengths: [13, 16, 19], cvv: 3, groups: [4, 4, 4, 4, 3]},
+    {id: 'mastercard', prefix: /^(?:5[1-5]|222[1-9]|22[3-9]\d|2[3-6]\d{2}|27[01]\d|2720)/, lengths: [16], cvv: 3, groups: [4, 4, 4, 4]},
+    {id: 'unionpay', prefix: /^62/, lengths: [16, 17, 18, 19], cvv: 3, groups: [4, 4, 4, 4, 3]},
+    {id: 'discover', prefix: /^(?:6011|64[4-9]|65)/, lengths: [16, 17, 18, 19], cvv: 3, groups: [4, 4, 4, 4, 3]},
+    {id: 'maestro', prefix: /^(?:5[06-9]|6[37])/, lengths: [12, 13, 14, 15, 16, 17, 18, 19], cvv: 3, groups: [4, 4, 4, 4, 3]}
+  ];
+
+
+  /**
+   * IBAN lengths, keyed by country code.
+   *
+   * Countries missing here are checked against the general IBAN shape only.
+   */
+  rules.ibanLengths = {
+    AT: 20, BE: 16, BG: 22, CH: 21, CY: 28, CZ: 24, DE: 22, DK: 18, EE: 20,
+    ES: 24, FI: 18, FR: 27, GB: 22, GR: 27, HR: 21, HU: 28, IE: 22, IS: 26,
+    IT: 27, LI: 21, LT: 20, LU: 20, LV: 21, MC: 27, MT: 31, NL: 18, NO: 15,
+    PL: 28, PT: 25, RO: 24, SE: 24, SI: 19, SK: 24, SM: 27
+  };
+
+
+  /**
+   * Strip the spaces and dashes people type between groups of characters.
+   */
+  function compact(value) {
+    return String(value).replace(/[\s-]+/g, '');
+  }
+
+
+  /**
+   * Luhn (mod 10) checksum validation.
+   *
+   * @param {string} value
+   *   A string of digits, such as a card number. Spaces and dashes are
+   *   ignored.
+   *
+   * @returns {boolean}
+   *   TRUE if the checksum is valid. Otherwise, FALSE.
+   */
+  rules.luhnValid = function (value) {
+    var digits = compact(value);
+
+    if (!/^\d+$/.test(digits)) {
+      return false;
+    }
+
+    var sum = 0;
+    for (var i = 0; i < digits.length; i++) {
+      var digit = parseInt(digits.charAt(digits.length - 1 - i), 10);
+
+      // Double every second digit, from the right.
+      if (i % 2 == 1) {
+        digit *= 2;
+        if (digit > 9) {
+          digit -= 9;
+        }
+      }
+      sum += digit;
+    }
+
+    return sum % 10 == 0;
+  };
+
+
+  /**
+   * Detect a card's brand from the start of its number.
+   *
+   * @param {string} value
+   *   The card number, or as much of it as has been typed.
+   *
+   * @returns {object|null}
+   *   The brand, from rules.cardBrands. NULL if none matched.
+   */
+  rules.cardBrand = function (value) {
+    var digits = compact(value);
+
+    for (var i = 0; i < rules.cardBrands.length; i++) {
+      if (rules.cardBrands[i].prefix.test(digits)) {
+        return rules.cardBrands[i];
+      }
+    }
+
+    return null;
+  };
+
+
+  /**
+   * Card number validation: a known brand, the brand's length, and Luhn.
+   *
+   * @param {string} value
+   *   The card number. Spaces and dashes are ignored.
+   * @param {boolean} error_on_blank
+   *   Should we still fail if the value is blank?
+   * @param {array} brands
+   *   (optional) Ids of the brands accepted, such as ['visa', 'mastercard'].
+   *   Defaults to all of rules.cardBrands.
+   *
+   * @returns {boolean}
+   *   TRUE if the card number is valid. Otherwise, FALSE.
+   */
+  rules.cardNumberValid = function (value, error_on_blank, brands) {
+    var digits = compact(value);
+
+    // Don't fail on an empty field, unless we were asked to.
+    if (digits.length == 0 && error_on_blank == false) {
+      return true;
+    }
+
+    var brand = rules.cardBrand(digits);
+
+    if (!/^\d+$/.test(digits) || brand === null) {
+      return false;
+    }
+    if (brands && brands.length > 0 && brands.indexOf(brand.id) === -1) {
+      return false;
+    }
+    if (brand.lengths.indexOf(digits.length) === -1) {
+      return false;
+    }
+
+    return rules.luhnValid(digits);
+  };
+
+
+  /**
+   * Card expiry validation. A card is valid through the end of its month.
+   *
+   * @param {string} month
+   *   The month, 1 through 12.
+   * @param {string} year
+   *   The year, as 2 or 4 digits.
+   * @param {Date} today
+   *   (optional) The date to compare against. Defaults to now.
+   *
+   * @returns {boolean}
+   *   TRUE if the card has not expired. Otherwise, FALSE.
+   */
+  rules.cardExpiryValid = function (month, year, today) {
+    month = String(month).replace(/^\s+|\s+$/g, '');
+    year = String(year).replace(/^\s+|\s+$/g, '');
+
+    if (!/^\d{1,2}$/.test(month) || !/^(?:\d{2}|\d{4})$/.test(year)) {
+      return false;
+    }
+
+    month = parseInt(month, 10);
+    year = parseInt(year, 10) + (year.length == 2 ? 2000 : 0);
+
+    if (month < 1 || month > 12) {
+      return false;
+    }
+
+    today = today || new Date();
+
+    return year > today.getFullYear() || (year == today.getFullYear() && month >= today.getMonth() + 1);
+  };
+
+
+  /**
+   * Card security code validation.
+   *
+   * @param {string} value
+   *   The security code.
+   * @param {string} brand
+   *   (optional) The card's brand id. If unknown, 3 or 4 digits are allowed.
+   * @param {boolean} error_on_blank
+   *   Should we still fail if the value is blank?
+   *
+   * @returns {boolean}
+   *   TRUE if the code has the brand's number of digits. Otherwise, FALSE.
+   */
+  rules.cvvValid = function (value, brand, error_on_blank) {
+
+    // Don't fail on an empty field, unless we were asked to.
+    if (value.length == 0 && error_on_blank == false) {
+      return true;
+    }
+
+    for (var i = 0; i < rules.cardBrands.length; i++) {
+      if (rules.cardBrands[i].id === brand) {
+        return new RegExp('^\\d{' + rules.cardBrands[i].cvv + '}$').test(value);
+      }
+    }
+
+    return /^\d{3,4}$/.test(value);
+  };
+
+
+  /**
+   * IBAN validation: its shape, its country's length, and the mod-97 check.
+   *
+   * @param {string} value
+   *   The IBAN. Spaces and dashes are ignored, and letters may be lower case.
+   * @param {boolean} error_on_blank
+   *   Should we still fail if the value is blank?
+   *
+   * @returns {boolean}
+   *   TRUE if the IBAN is valid. Otherwise, FALSE.
+   */
+  rules.ibanValid = function (value, error_on_blank) {
+    var iban = compact(value).toUpperCase();
+
+    // Don't fail on an empty field, unless we were asked to.
+    if (iban.length == 0 && error_on_blank == false) {
+      return true;
+    }
+
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) {
+      return false;
+    }
+
+    var length = rules.ibanLengths[iban.slice(0, 2)];
+    if (length !== undefined && iban.length !== length) {
+      return false;
+    }
+
+    // Move the country and check digits to the end, turn letters into
+    // numbers (A = 10), and take the remainder a few digits at a time.
+    var rearranged = iban.slice(4) + iban.slice(0, 4),
+        remainder = 0;
+
+    for (var i = 0; i < rearranged.length; i++) {
+      var number = parseInt(rearranged.charAt(i), 36);
+      remainder = (remainder * (number > 9 ? 100 : 10) + number) % 97;
+    }
+
+    return remainder == 1;
+  };
+
+
+  /**
+   * US ABA routing number validation: 9 digits, a Federal Reserve prefix,
+   * and the 3-7-1 weighted checksum.
+   *
+   * @param {string} value
+   *   The routing number.
+   * @param {boolean} error_on_blank
+   *   Should we still fail if the value is blank?
+   *
+   * @returns {boolean}
+   *   TRUE if the routing number is valid. Otherwise, FALSE.
+   */
+  rules.routingNumberValid = function (value, error_on_blank) {
+
+    // Don't fail on an empty field, unless we were asked to.
+    if (value.length == 0 && error_on_blank == false) {
+      return true;
+    }
+
+    if (!/^\d{9}$/.test(value)) {
+      return false;
+    }
+
+    var prefix = parseInt(value.slice(0, 2), 10);
+    if (!(prefix <= 12 || (prefix >= 21 && prefix <= 32) || (prefix >= 61 && prefix <= 72) || prefix == 80)) {
+      return false;
+    }
+
+    var weights = [3, 7, 1, 3, 7, 1, 3, 7, 1],
+        sum = 0;
+
+    for (var i = 0; i < 9; i++) {
+      sum += weights[i] * parseInt(value.charAt(i), 10);
+    }
+
+    return sum % 10 == 0;
+  };
+
+
+  /**
+   * Confirm the number of options checked in a group is within bounds.
+   *
+   * @param {integer} count
+   *   The number of checked radios or checkboxes.
+   * @param {integer} min
+   *   (optional) The fewest allowed. Defaults to 1.
+   * @param {integer} max
+   *   (optional) The most allowed. Defaults to no limit.
+   *
+   * @returns {boolean}
+   *   TRUE on success. Otherwise, FALSE.
+   */
+  rules.checkedCountValid = function (count, min, max) {
+    if (min === undefined || min === null) {
+      min = 1;
+    }
+
+    if (count < min) {
+      return false;
+    }
+
+    return max === undefined || max === null || count <= max;
+  };
+
+
+  /**
+   * Confirm a select has a real option chosen, and not its placeholder.
+   *
+   * @param {string|array} value
+   *   The select's value, or values for a multiple select.
+   * @param {array} placeholders
+   *   (optional) Values of placeholder options. Defaults to '' and '_none',
+   *   which Drupal uses for '- Select -' and '- None -'.
+   *
+   * @returns {boolean}
+   *   TRUE if any value chosen is not a placeholder. Otherwise, FALSE.
+   */
+  rules.optionChosen = function (value, placeholders) {
+    var values = Array.isArray(value) ? value : [value];
+
+    placeholders = placeholders || ['', '_none'];
+
+    for (var i = 0; i < values.length; i++) {
+      if (values[i] !== undefined && values[i] !== null && placeholders.indexOf(String(values[i])) === -1) {
+        return true;
+      }
+    }
+
+    return false;
+  };
+
+
+  /**
+   * Convert a size, such as '2 MB', to bytes, as Drupal's parse_size() does.
+   *
+   * @param {string|number} size
+   *   A size, with an optional unit: B, K(B), M(B), G(B) and so on.
+   *
+   * @returns {number}
+   *   The size in bytes.
+   */
+  rules.parseSize = function (size) {
+    var unit = String(size).replace(/[^bkmgtpezy]/gi, ''),
+        number = parseFloat(String(size).replace(/[^0-9.]/g, '')) || 0;
+
+    if (unit.length > 0) {
+      return Math.round(number * Math.pow(1024, 'bkmgtpezy'.indexOf(unit.charAt(0).toLowerCase())));
+    }
+
+    return Math.round(number);
+  };
+
+
+  /**
+   * Format a size in bytes, as Drupal's format_size() does.
+   *
+   * @param {number} bytes
+   *   The size in bytes.
+   *
+   * @returns {string}
+   *   The size, such as '1 byte', '512 bytes' or '1.5 MB'.
+   */
+  rules.formatSize = function (bytes) {
+    var units = ['KB', 'MB', 'GB', 'TB', 'PB', 'EB', 'ZB', 'YB'];
+
+    if (bytes < 1024) {
+      return bytes == 1 ? '1 byte' : bytes + ' bytes';
+    }
+
+    var size = bytes / 1024,
+        i = 0;
+
+    while (size >= 1024 && i < units.length - 1) {
+      size = size / 1024;
+      i++;
+    }
+
+    return (Math.round(size * 100) / 100) + ' ' + units[i];
+  };
+
+
+  /**
+   * Confirm a file name has an allowed extension, as Drupal's
+   * file_validate_extensions() does.
+   *
+   * @param {string} filename
+   *   The file's name.
+   * @param {string|array} extensions
+   *   Allowed extensions, separated by spaces, such as 'png gif jpg', or an
+   *   array of them. Empty allows any.
+   *
+   * @returns {boolean}
+   *   TRUE on success. Otherwise, FALSE.
+   */
+  rules.fileExtensionValid = function (filename, extensions) {
+    if (Array.isArray(extensions)) {
+      extensions = extensions.join(' ');
+    }
+
+    extensions = String(extensions || '').replace(/^\s+|\s+$/g, '');
+
+    if (extensions.length == 0) {
+      return true;
+    }
+
+    var pattern = new RegExp('\\.(' + extensions.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&').replace(/ +/g, '|') + ')$', 'i');
+
+    return pattern.test(filename);
+  };
+
+
+  /**
+   * Confirm a file is no larger than a limit, as Drupal's
+   * file_validate_size() does.
+   *
+   * @param {number} size
+   *   The file's size in bytes.
+   * @param {string|number} max_size
+   *   The limit, in bytes or as a size such as '2 MB'. 0 or empty allows any.
+   *
+   * @returns {boolean}
+   *   TRUE on success. Otherwise, FALSE.
+   */
+  rules.fileSizeValid = function (size, max_size) {
+    var limit = rules.parseSize(max_size || 0);
+
+    return limit == 0 || size <= limit;
+  };
+
+
+  /**
+   * Read image dimensions in Drupal's 'WIDTHxHEIGHT' format.
+   *
+   * @param {string|object} resolution
+   *   Such as '640x480', or {width: 640, height: 480}.
+   *
+   * @returns {object|null}
+   *   The width and height, or NULL for '0', or anything empty, which
+   *   Drupal takes as no limit.
+   */
+  rules.parseResolution = function (resolution) {
+    if (resolution && typeof resolution === 'object') {
+      return {width: parseInt(resolution.width, 10) || 0, height: parseInt(resolution.height, 10) || 0};
+    }
+
+    var parts = String(resolution || '').toLowerCase().split('x');
+
+    if (parts.length != 2) {
+      return null;
+    }
+
+    return {width: parseInt(parts[0], 10) || 0, height: parseInt(parts[1], 10) || 0};
+  };
+
+
+  /**
+   * Confirm an image's dimensions are within bounds, as Drupal's
+   * file_validate_image_resolution() does.
+   *
+   * Drupal scales an image larger than its maximum down, where it can. Only
+   * pass a maximum to refuse such images instead.
+   *
+   * @param {number} width
+   *   The image's width in pixels.
+   * @param {number} height
+   *   The image's height in pixels.
+   * @param {string|object} min
+   *   (optional) The smallest dimensions, such as '640x480'.
+   * @param {string|object} max
+   *   (optional) The largest dimensions.
+   *
+   * @returns {boolean}
+   *   TRUE on success. Otherwise, FALSE.
+   */
+  rules.imageResolutionValid = function (width, height, min, max) {
+    min = rules.parseResolution(min);
+    max = rules.parseResolution(max);
+
+    if (min !== null && (width < min.width || height < min.height)) {
+      return false;
+    }
+
+    if (max !== null && ((max.width > 0 && width > max.width) || (max.height > 0 && height > max.height))) {
+      return false;
+    }
+
+    return true;
+  };
+
+
+  /**
+   * Split a rule string, such as 'required|length:8,128|notContains:#edit-name',
+   * into its rules and their arguments.
+   *
+   * Rules are separated by |, a rule's name from its arguments by the first
+   * :, and its arguments by commas. Only the syntax is checked here: whether
+   * each rule exists, and takes those arguments, is up to the caller.
+   *
+   * @param {string} rule_string
+   *   The rules.
+   *
+   * @returns {array(object)}
+   *   Each rule's name, and its arguments as strings.
+   *
+   * @throws {Error}
+   *   If a rule is empty, badly named, or has an empty argument.
+   */
+  rules.parseRuleString = function (rule_string) {
+    var parsed = new Array();
+
+    rule_string = String(rule_string || '').replace(/^\s+|\s+$/g, '');
+
+    if (rule_string.length == 0) {
+      return parsed;
+    }
+
+    var parts = rule_string.split('|');
+
+    for (var i = 0; i < parts.length; i++) {
+      var part = parts[i].replace(/^\s+|\s+$/g, ''),
+          colon = part.indexOf(':'),
+          name = (colon === -1) ? part : part.slice(0, colon).replace(/\s+$/, ''),
+          args = new Array();
+
+      if (part.length == 0) {
+        throw new Error('Empty rule ' + (i + 1) + ' in "' + rule_string + '".');
+      }
+
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        throw new Error('Invalid rule name "' + name + '" in "' + rule_string + '". Names may only use letters, numbers and underscores.');
+      }
+
+      if (colon !== -1) {
+        args = part.slice(colon + 1).split(',');
+
+        for (var j = 0; j < args.length; j++) {
+          args[j] = args[j].replace(/^\s+|\s+$/g, '');
+
+          if (args[j].length == 0) {
+            throw new Error('Empty argument ' + (j + 1) + ' for rule "' + name + '" in "' + rule_string + '".');
+          }
+        }
+      }
+
+      parsed.push({name: name, args: args});
+    }
+
+    return parsed;
+  };
+
+
+  return rules;
+
+}));
+
+
+(function ($) {
+
+
+  Drupal.drupalValidatorBasics = Drupal.drupalValidatorBasics || {};
+
+
+  Drupal.behaviors.drupalValidatorBasics = {
+    attach: function (context, settings) {
+      // Attach logic to be executed here.
+    }
+  };
+
+
+  var rules = window.drupalValidatorRules;
+
+
+  /**
+   * If any passed fields are not empty, but field is empty, fail.
+   *
+   * @param  {element} field
+   *   The field being validated.
+   * @param  {array({elements})} all_fields
+   *   The field list of elements which we are checking.
+   */
+  Drupal.drupalValidatorBasics.NotEmptyIfAnyFieldsNotEmpty = function(field, all_fields) {
+
+    // First, remove our element from the all_elements list.
+    all_fields = jQuery.grep(all_fields, function(value) {
+      return value != field;
+    });
+
+    return rules.NotEmptyIfAnyFieldsNotEmpty($(field).val(), Drupal.drupalValidatorBasics.fieldValues(all_fields));
+  }
+
+
+  /**
+   * Fail if any field is not empty.
+   *
+   * @param  {array({elements})} all_fields
+   *   The field list of elements which we are checking.
+   */
+  Drupal.drupalValidatorBasics.allFieldsEmpty = function(all_fields) {
+    return rules.allFieldsEmpty(Drupal.drupalValidatorBasics.fieldValues(all_fields));
+  }
+
+
+  /**
+   * Confirm if fields match.
+   *
+   * @param  {element} primary_element
+   *   The primary field.
+   * @param  {element} linked_element
+   *   The secondary field linked to primary field.
+   * @param  {element} fail_on_blank
+   *   If FALSE, we will not fail a blank field against a non-blank one.
+   *
+   * @return {boolean}
+   *   TRUE if they match. Otherwise, FALSE.
+   */
+  Drupal.drupalValidatorBasics.fieldsMatch = function(field_1, field_2, fail_on_blank) {
+    return rules.fieldsMatch($(field_1).val(), $(field_2).val(), fail_on_blank);
+  };
+
+
+  /**
+   * Collect the values of a list of fields.
+   *
+   * @param  {array({elements})} all_fields
+   *   The fields.
+   *
+   * @return {array(string)}
+   *   Their values.
+   */
+  Drupal.drupalValidatorBasics.fieldValues = function(all_fields) {
+    var values = new Array();
+
+    jQuery(all_fields).each(function() {
+      values.push($(this).val());
+    });
+
+    return values;
+  }
+
+
+  // The string rules are used as-is. @see drupalValidatorRules.js
+  Drupal.drupalValidatorBasics.fieldNotEmpty = rules.fieldNotEmpty;
+  Drupal.drupalValidatorBasics.ssnValid = rules.ssnValid;
+  Drupal.drupalValidatorBasics.emailValid = rules.emailValid;
+  Drupal.drupalValidatorBasics.phoneValid = rules.phoneValid;
+  Drupal.drupalValidatorBasics.phoneValidInternational = rules.phoneValidInternational;
+  Drupal.drupalValidatorBasics.postalCodeValid = rules.postalCodeValid;
+  Drupal.drupalValidatorBasics.doesNotContainDoubleCharacters = rules.doesNotContainDoubleCharacters;
+  Drupal.drupalValidatorBasics.doesNotContainValue = rules.doesNotContainValue;
+  Drupal.drupalValidatorBasics.containsSpecialCharacters = rules.containsSpecialCharacters;
+  Drupal.drupalValidatorBasics.containsUppercase = rules.containsUppercase;
+  Drupal.drupalValidatorBasics.containsLowercase = rules.containsLowercase;
+  Drupal.drupalValidatorBasics.containsNumber = rules.containsNumber;
+  Drupal.drupalValidatorBasics.containsOnlyAlphaNumeric = rules.containsOnlyAlphaNumeric;
+  Drupal.drupalValidatorBasics.containsOnlyNumeric = rules.containsOnlyNumeric;
+  Drupal.drupalValidatorBasics.containsAtLeastOneAlpha = rules.containsAtLeastOneAlpha;
+  Drupal.drupalValidatorBasics.containsLowerAndUppercase = rules.containsLowerAndUppercase;
+  Drupal.drupalValidatorBasics.lengthValid = rules.lengthValid;
+  Drupal.drupalValidatorBasics.parseDate = rules.parseDate;
+  Drupal.drupalValidatorBasics.formatDate = rules.formatDate;
+  Drupal.drupalValidatorBasics.dateValid = rules.dateValid;
+  Drupal.drupalValidatorBasics.dateInRange = rules.dateInRange;
+  Drupal.drupalValidatorBasics.ageValid = rules.ageValid;
+  Drupal.drupalValidatorBasics.dateRangeValid = rules.dateRangeValid;
+  Drupal.drupalValidatorBasics.cardBrands = rules.cardBrands;
+  Drupal.drupalValidatorBasics.luhnValid = rules.luhnValid;
+  Drupal.drupalValidatorBasics.cardBrand = rules.cardBrand;
+  Drupal.drupalValidatorBasics.cardNumberValid = rules.cardNumberValid;
+  Drupal.drupalValidatorBasics.cardExpiryValid = rules.cardExpiryValid;
+  Drupal.drupalValidatorBasics.cvvValid = rules.cvvValid;
+  Drupal.drupalValidatorBasics.ibanValid = rules.ibanValid;
+  Drupal.drupalValidatorBasics.routingNumberValid = rules.routingNumberValid;
+  Drupal.drupalValidatorBasics.checkedCountValid = rules.checkedCountValid;
+  Drupal.drupalValidatorBasics.optionChosen = rules.optionChosen;
+  Drupal.drupalValidatorBasics.parseSize = rules.parseSize;
+  Drupal.drupalValidatorBasics.formatSize = rules.formatSize;
+  Drupal.drupalValidatorBasics.fileExtensionValid = rules.fileExtensionValid;
+  Drupal.drupalValidatorBasics.fileSizeValid = rules.fileSizeValid;
+  Drupal.drupalValidatorBasics.parseResolution = rules.parseResolution;
+  Drupal.drupalValidatorBasics.imageResolutionValid = rules.imageResolutionValid;
+  Drupal.drupalValidatorBasics.parseRuleString = rules.parseRuleString;
+
+
+  /**
+   * Results of remoteValid(), keyed by url, then value.
+   */
+  Drupal.drupalValidatorBasics.remoteCache = {};
+
+
+  /**
+   * Server-side validation, through a Drupal AJAX callback.
+   *
+   * The callback at url receives the value as the POST parameter 'value', and
+   * should respond with JSON, such as drupal_json_output(array('valid' => TRUE)).
+   *
+   * Each url + value is only ever requested once. Later calls are answered
+   * from Drupal.drupalValidatorBasics.remoteCache.
+   *
+   * @param {string} url
+   *   The callback to validate against.
+   * @param {string} value
+   *   A string we should validate.
+   * @param {boolean} error_on_blank
+   *   Should we still fail if the value is blank?
+   *
+   * @returns {promise}
+   *   A promise, resolved with TRUE on success, or FALSE. It is rejected if the
+   *   request fails, and carries an abort() method to cancel the request.
+   */
+  Drupal.drupalValidatorBasics.remoteValid = function (url, value, error_on_blank) {
+    var deferred = jQuery.Deferred(),
+        cache = Drupal.drupalValidatorBasics.remoteCache[url] = Drupal.drupalValidatorBasics.remoteCache[url] || {},
+        promise = deferred.promise();
+
+    promise.abort = function () {};
+
+    // Don't fail on an empty field, unless we were asked to.
+    if (value.length == 0 && error_on_blank == false) {
+      deferred.resolve(true);
+      return promise;
+    }
+
+    if (cache.hasOwnProperty(value)) {
+      deferred.resolve(cache[value]);
+      return promise;
+    }
+
+    var request = jQuery.ajax({
+      url: url,
+      type: 'POST',
+      dataType: 'json',
+      data: {value: value}
+    });
+
+    request.done(function (response) {
+      cache[value] = (response && response.valid === true);
+      deferred.resolve(cache[value]);
+    });
+    request.fail(function (xhr, status) {
+      deferred.reject(status);
+    });
+
+    promise.abort = function () {
+      request.abort();
+    };
+
+    return promise;
+  };
+
+
+  /**
+   * Read an image file's dimensions, through the File API.
+   *
+   * Each file is only read once.
+   *
+   * @param {File} file
+   *   A file from a file input's files.
+   *
+   * @returns {promise}
+   *   A promise of the image's width and height, rejected if the file can't
+   *   be read as an image.
+   */
+  Drupal.drupalValidatorBasics.imageDimensions = function (file) {
+    var cache = Drupal.drupalValidatorBasics.imageDimensionsCache;
+
+    if (cache && cache.has(file)) {
+      return cache.get(file);
+    }
+
+    var deferred = jQuery.Deferred(),
+        url = window.URL && window.URL.createObjectURL ? window.URL.createObjectURL(file) : null,
+        image = new Image();
+
+    if (url === null) {
+      return deferred.reject('unsupported').promise();
+    }
+
+    image.onload = function () {
+      window.URL.revokeObjectURL(url);
+      deferred.resolve({width: image.naturalWidth || image.width, height: image.naturalHeight || image.height});
+    };
+    image.onerror = function () {
+      window.URL.revokeObjectURL(url);
+      deferred.reject('unreadable');
+    };
+    image.src = url;
+
+    if (cache) {
+      cache.set(file, deferred.promise());
+    }
+
+    return deferred.promise();
+  };
+
+
+  /**
+   * Dimensions read by imageDimensions(), keyed by file.
+   */
+  Drupal.drupalValidatorBasics.imageDimensionsCache = (typeof WeakMap === 'function') ? new WeakMap() : null;
+
+
+  /**
+   * Confirm an image file's dimensions are within bounds.
+   *
+   * @see drupalValidatorRules.imageResolutionValid()
+   *
+   * @param {File} file
+   *   A file from a file input's files.
+   * @param {string|object} min
+   *   (optional) The smallest dimensions, such as '640x480'.
+   * @param {string|object} max
+   *   (optional) The largest dimensions.
+   *
+   * @returns {promise}
+   *   A promise, resolved with TRUE on success, or FALSE. Files which aren't
+   *   images pass, as Drupal's own check skips them.
+   */
+  Drupal.drupalValidatorBasics.imageFileResolutionValid = function (file, min, max) {
+    var deferred = jQuery.Deferred();
+
+    if (!/^image\//.test(file.type || '') || (rules.parseResolution(min) === null && rules.parseResolution(max) === null)) {
+      return deferred.resolve(true).promise();
+    }
+
+    // done() settles at once for a file already read, where then() would
+    // wait a tick.
+    Drupal.drupalValidatorBasics.imageDimensions(file).done(function (dimensions) {
+      deferred.resolve(rules.imageResolutionValid(dimensions.width, dimensions.height, min, max));
+    }).fail(function () {
+      deferred.resolve(true);
+    });
+
+    return deferred.promise();
+  };
+
+
+/**
+ * Layer 6:
+ *
+ *    Bahavior Replacement Functions
+ *    ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+ *
+ *    Reusable functionality that manipulates the values of fields.
+ *
+ *    Behaviors which rewrite a value as the user types keep the caret and
+ *    selection beside the same characters they were beside before.
+ */
+
+  /**
+   * Count the characters before position which pass a test.
+   */
+  function significantBefore(value, position, significant) {
+    var count = 0;
+
+    for (var i = 0; i < position && i < value.length; i++) {
+      if (significant(value.charAt(i))) {
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+
+  /**
+   * Find the position just after the count'th character which passes a test.
+   */
+  function positionAfter(value, count, significant) {
+    var position = 0;
+
+    for (var i = 0, seen = 0; i < value.length && seen < count; i++) {
+      if (significant(value.charAt(i))) {
+        seen++;
+      }
+      position = i + 1;
+    }
+
+    return position;
+  }
+
+
+  /**
+   * Replace a field's value, keeping its selection beside the same
+   * significant characters.
+   *
+   * @param  {element} element
+   *   The field.
+   * @param  {string} value
+   *   The new value.
+   * @param  {function} significant
+   *   Tests a single character, returning TRUE for those which carry over
+   *   from the old value to the new one, such as digits.
+   */
+  function replaceValue(element, value, significant) {
+    var old_value = element.value;
+
+    if (old_value === value) {
+      return;
+    }
+
+    var focused = element.ownerDocument && element.ownerDocument.activeElement === element && typeof element.setSelectionRange === 'function',
+        start = 0,
+        end = 0;
+
+    if (focused) {
+      start = significantBefore(old_value, element.selectionStart, significant);
+      end = significantBefore(old_value, element.selectionEnd, significant);
+    }
+
+    element.value = value;
+
+    // Only move the caret of the field being typed in. Setting a selection
+    // may focus the field in some browsers.
+    if (focused) {
+      element.setSelectionRange(positionAfter(value, start, significant), positionAfter(value, end, significant));
+    }
+  }
+
+
+  /**
+   * Auto-format a field to allow only numeric characters, removing everything
+   * else as a user types.
+   *
+   * @param  {element} element
+   *   The field element we are applying this behavior to.
+   */
+  Drupal.drupalValidatorBasics.NumericOnlyAutoFormatBehavior = function (element) {
+    // Replace all non-numeric characters.
+    replaceValue(element, element.value.replace(/\D/g,''), function (character) {
+      return /\d/.test(character);
+    });
+  }
+
+
+  /**
+   * The characters a mask accepts in place of each of its placeholders.
+   * Every other character in a mask is a separator.
+   */
+  Drupal.drupalValidatorBasics.maskTokens = {
+    '#': /\d/,
+    'A': /[A-Za-z]/,
+    '*': /[A-Za-z0-9]/
+  };
+
+
+  /**
+   * Remove a mask's separators, and anything the mask doesn't accept, from a
+   * value.
+   *
+   * @param  {string} value
+   *   The value, such as '123-45-6789'.
+   * @param  {string} mask
+   *   The mask, such as '###-##-####'.
+   *
+   * @return {string}
+   *   The characters filling the mask's placeholders, such as '123456789'.
+   *   Characters past the end of the mask are dropped.
+   */
+  Drupal.drupalValidatorBasics.unmask = function (value, mask) {
+    var tokens = Drupal.drupalValidatorBasics.maskTokens,
+        placeholders = mask.split('').filter(function (character) {
+          return tokens[character] !== undefined;
+        }),
+        raw = '';
+
+    for (var i = 0; i < value.length && raw.length < placeholders.length; i++) {
+      if (tokens[placeholders[raw.length]].test(value.charAt(i))) {
+        raw += value.charAt(i);
+      }
+    }
+
+    return raw;
+  }
+
+
+  /**
+   * Fill a mask with a value.
+   *
+   * Separators are only added once there is a character to follow them, so
+   * a user can still delete back past them.
+   *
+   * @param  {string} value
+   *   The value, with or without separators, such as '2125551234'.
+   * @param  {string} mask
+   *   The mask, such as '(###) ###-####'.
+   *
+   * @return {string}
+   *   The masked value, such as '(212) 555-1234'.
+   */
+  Drupal.drupalValidatorBasics.applyMask = function (value, mask) {
+    var tokens = Drupal.drupalValidatorBasics.maskTokens,
+        raw = Drupal.drupalValidatorBasics.unmask(value, mask),
+        masked = '';
+
+    for (var i = 0, r = 0; i < mask.length && r < raw.length; i++) {
+      masked += (tokens[mask.charAt(i)] !== undefined) ? raw.charAt(r++) : mask.charAt(i);
+    }
+
+    return masked;
+  }
+
+
+  /**
+   * Mask a field's value as a user types, keeping the caret in place.
+   *
+   * @param  {element} element
+   *   The field element we are applying this behavior to.
+   * @param  {string} mask
+   *   The mask, such as '###-##-####'.
+   */
+  Drupal.drupalValidatorBasics.MaskAutoFormatBehavior = function (element, mask) {
+    var tokens = Drupal.drupalValidatorBasics.maskTokens,
+        classes = [];
+
+    jQuery.each(tokens, function (placeholder, pattern) {
+      if (mask.indexOf(placeholder) !== -1) {
+        classes.push(pattern);
+      }
+    });
+
+    replaceValue(element, Drupal.drupalValidatorBasics.applyMask(element.value, mask), function (character) {
+      for (var i = 0; i < classes.length; i++) {
+        if (classes[i].test(character)) {
+          return true;
+        }
+      }
+      return false;
+    });
+  }
+
+
+  /**
+   * Bind an input mask to fields.
+   *
+   * The mask is applied on every input event, which also covers paste, drop
+   * and autocomplete. While an input method is composing text, it waits for
+   * the composition to end. Rules reading the field through
+   * Drupal.drupalValidator.fieldValue() get the value without the mask.
+   * Drupal.drupalValidator.detachField() removes the mask again.
+   *
+   * @param  {element|jQuery} elements
+   *   The field(s) to mask.
+   * @param  {string} mask
+   *   The mask, such as '###-##-####' or '(###) ###-####'. In a mask, # is
+   *   a digit, A a letter, and * either. Anything else is a separator.
+   */
+  Drupal.drupalValidatorBasics.bindMask = function (elements, mask) {
+    $(elements).once('drupal-validator-mask').each(function () {
+      var element = this;
+
+      $(element).data('drupalValidatorMask', mask).addClass('drupal-validator-masked');
+
+      $(element).on('compositionstart.drupalValidator', function () {
+        $(element).data('drupalValidatorComposing', true);
+      });
+      $(element).on('compositionend.drupalValidator', function () {
+        $(element).removeData('drupalValidatorComposing');
+        Drupal.drupalValidatorBasics.MaskAutoFormatBehavior(element, mask);
+      });
+      $(element).on('input.drupalValidator', function () {
+        if ($(element).data('drupalValidatorComposing') !== true) {
+          Drupal.drupalValidatorBasics.MaskAutoFormatBehavior(element, mask);
+        }
+      });
+
+      // Mask any default value, such as one returned by the server.
+      if (element.value.length > 0) {
+        Drupal.drupalValidatorBasics.MaskAutoFormatBehavior(element, mask);
+      }
+    });
+  }
+
+
+  /**
+   * Auto-format a postal code field: upper case, without extra spaces, and
+   * with the space in the place the country's format puts it.
+   *
+   * Only the case and spacing are changed, so an invalid code stays invalid.
+   *
+   * @param  {element} element
+   *   The field element we are applying this behavior to.
+   * @param  {string} country
+   *   The country code, from drupalValidatorRules.postalCodeMetadata.
+   */
+  Drupal.drupalValidatorBasics.PostalCodeAutoFormatBehavior = function (element, country) {
+    var meta = rules.postalCodeMetadata[String(country).toUpperCase()],
+        code = element.value.replace(/^\s+|\s+$/g, '').replace(/\s+/g, ' ').toUpperCase();
+
+    if (meta && meta.space) {
+      var compact = code.replace(/ /g, '');
+
+      if (compact.length > meta.space) {
+        code = compact.slice(0, -meta.space) + ' ' + compact.slice(-meta.space);
+      }
+    }
+
+    if (element.value !== code) {
+      element.value = code;
+    }
+  }
+
+
+  /**
+   * Auto-format a field into space separated groups of characters as a user
+   * types, keeping the caret after the same character it followed.
+   *
+   * @param  {element} element
+   *   The field element we are applying this behavior to.
+   * @param  {array} groups
+   *   The size of each group. Characters past the last group are left
+   *   ungrouped at the end.
+   * @param  {RegExp} allowed
+   *   (optional) A single character class to keep. Everything else is
+   *   removed. Defaults to digits.
+   * @param  {boolean} uppercase
+   *   (optional) Convert letters to upper case.
+   */
+  Drupal.drupalValidatorBasics.GroupAutoFormatBehavior = function (element, groups, allowed, uppercase) {
+    allowed = allowed || /\d/;
+
+    var value = element.value,
+        kept = '';
+
+    for (var i = 0; i < value.length; i++) {
+      if (allowed.test(value.charAt(i))) {
+        kept += value.charAt(i);
+      }
+    }
+
+    var grouped = '',
+        position = 0;
+
+    for (var g = 0; g < groups.length && position < kept.length; g++) {
+      grouped += (grouped.length > 0 ? ' ' : '') + kept.substr(position, groups[g]);
+      position += groups[g];
+    }
+    grouped += kept.slice(position);
+
+    if (uppercase === true) {
+      grouped = grouped.toUpperCase();
+    }
+
+    replaceValue(element, grouped, function (character) {
+      return allowed.test(character);
+    });
+  }
+
+
+  /**
+   * Auto-format a card number into its brand's groups of digits.
+   *
+   * @param  {element} element
+   *   The field element we are applying this behavior to.
+   */
+  Drupal.drupalValidatorBasics.CardNumberAutoFormatBehavior = function (element) {
+    var brand = rules.cardBrand(element.value);
+
+    Drupal.drupalValidatorBasics.GroupAutoFormatBehavior(element, brand ? brand.groups : [4, 4, 4, 4, 3]);
+  }
+
+
+  /**
+   * Auto-format an IBAN into upper case groups of four.
+   *
+   * @param  {element} element
+   *   The field element we are applying this behavior to.
+   */
+  Drupal.drupalValidatorBasics.IbanAutoFormatBehavior = function (element) {
+    Drupal.drupalValidatorBasics.GroupAutoFormatBehavior(element, [4, 4, 4, 4, 4, 4, 4, 4], /[A-Za-z0-9]/, true);
   }
 
 })(jQuery);
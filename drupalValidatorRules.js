@@ -0,0 +1,1417 @@
+/**
+ * @file
+ *   Layer 5 raw validation rules, as a standalone UMD module.
+ *
+ *   These are the pure string rules behind Drupal.drupalValidatorBasics. They
+ *   don't need jQuery, the DOM or the Drupal global, so the same rules may be
+ *   used from Node for server-side checks and batch scripts:
+ *
+ *     var rules = require('./drupalValidatorRules.js');
+ *     rules.emailValid('someone@example.com', true);
+ *
+ *   In the browser, this file must be loaded before drupalValidatorBasics.js.
+ *   It defines window.drupalValidatorRules, which Drupal.drupalValidatorBasics
+ *   wraps, keeping its own field-based API.
+ *
+ *   Rules which compare fields in the browser (fieldsMatch, allFieldsEmpty,
+ *   NotEmptyIfAnyFieldsNotEmpty) take plain values here instead.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+    return;
+  }
+
+  // drupalValidatorBasics.js needs the global, even on pages which also have
+  // an AMD loader. A named module keeps that loader happy.
+  root.drupalValidatorRules = factory();
+
+  if (typeof define === 'function' && define.amd) {
+    define('drupalValidatorRules', [], function () {
+      return root.drupalValidatorRules;
+    });
+  }
+}(this, function () {
+
+
+  var rules = {};
+
+
+  /**
+   * If any of the other values are not empty, but value is empty, fail.
+   *
+   * @param  {string} value
+   *   The value being validated.
+   * @param  {array(string)} other_values
+   *   The values of the other fields in the group.
+   */
+  rules.NotEmptyIfAnyFieldsNotEmpty = function(value, other_values) {
+
+    // If at least one other value is set, and ours is not, fail.
+    if (rules.allFieldsEmpty(other_values) === false) {
+      if (rules.fieldNotEmpty(value) === false) {
+        return false;
+      }
+    }
+
+    return true;
+  };
+
+
+  /**
+   * Fail if any value is not empty.
+   *
+   * @param  {array(string)} values
+   *   The values we are checking.
+   */
+  rules.allFieldsEmpty = function(values) {
+    for (var i = 0; i < values.length; i++) {
+      if (rules.fieldNotEmpty(values[i]) === true) {
+        return false;
+      }
+    }
+
+    return true;
+  };
+
+
+  /**
+   * Confirm a value is not empty.
+   */
+  rules.fieldNotEmpty = function(value) {
+    return rules.lengthValid (value, 1, 999999, true);
+  }
+
+
+  /**
+   * Confirm if values match.
+   *
+   * @param  {string} value_1
+   *   The primary value.
+   * @param  {string} value_2
+   *   The secondary value, linked to the primary.
+   * @param  {boolean} fail_on_blank
+   *   If FALSE, we will not fail a blank value against a non-blank one.
+   *
+   * @return {boolean}
+   *   TRUE if they match. Otherwise, FALSE.
+   */
+  rules.fieldsMatch = function(value_1, value_2, fail_on_blank) {
+    // We should ignore validation when the secondary value is blank, if requested.
+    if (fail_on_blank === false && (value_1.length === 0 || value_2.length === 0)) {
+      return true;
+    }
+    // Handle unmatching values.
+    else if (value_1 !== value_2) {
+      return false;
+    }
+
+    return true;
+  };
+
+
+  /**
+   * SSN valid.
+   *
+   * @param {string} value
+   *   A string we should validate as an ssn.
+   *
+   * @returns {boolean}
+   *   TRUE on success. Otherwise, FALSE.
+   */
+  rules.ssnValid = function (value, error_on_blank) {
+
+    var count = value.length;
+    var socialRegex = /^\d{3}-?\d{2}-?\d{4}$/;
+    if (count == 0 && error_on_blank == false) {
+      return true;
+    }
+    if ((count !== 0 && count < 9) || !socialRegex.test(value)){
+      return false;
+    }
+
+    return true;
+  }
+
+
+  /**
+   * Mail string validator
+   *
+   * @param {string} value
+   *   A string we should validate as an email.
+   *
+   * @returns {boolean}
+   *   TRUE on success. Otherwise, FALSE.
+   */
+  rules.emailValid = function (value, error_on_blank) {
+
+    // Don't fail on an empty field, unless we were asked to.
+    if (value.length == 0 && error_on_blank == false) {
+      return true;
+    }
+
+    var emailRegex = /[a-zA-Z0-9.!#$%&'*+\/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+
+    return emailRegex.test(value);
+  };
+
+
+  /**
+   * Phone string validation.
+   *
+   * @param {string} value
+   *   A string we should validate as a phone number.
+   *
+   * @returns {boolean}
+   *   TRUE on success. Otherwise, FALSE.
+   */
+  rules.phoneValid = function (value, error_on_blank) {
+
+    // Don't fail on an empty field, unless we were asked to.
+    if (value.length == 0 && error_on_blank == false) {
+      return true;
+    }
+
+    // Rule: 1. In the format: 111-111-1111.
+    // Rule: 2. Must be 10 numbers, excluding dashes.
+    // Rule: 3. cant be same digit without dashes.
+    var numericRegex = /^\d{3}-?\d{3}-?\d{4}$/;
+    var ruleOne = numericRegex.test(value);
+    var ruleTwo = value.replace(/-/g,"").length === 10;
+    var ruleThere = !/^(.)\1*$/.test(value.replace(/-/g,""));
+
+    return ruleOne && ruleTwo && ruleThere;
+  };
+
+
+  /**
+   * Offline phone number metadata, keyed by ISO 3166-1 alpha-2 country code.
+   *
+   * Each country has:
+   *   - code: The international calling code.
+   *   - trunk: The prefix dialed before national numbers, if any.
+   *   - pattern: The national significant number, without the trunk prefix.
+   *
+   * These cover the common formats, not every number plan. Sites may add or
+   * replace countries here.
+   */
+  rules.phoneMetadata = {
+    US: {code: '1', trunk: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/},
+    CA: {code: '1', trunk: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/},
+    MX: {code: '52', trunk: '', pattern: /^\d{10}$/},
+    GB: {code: '44', trunk: '0', pattern: /^[1-9]\d{8,9}$/},
+    IE: {code: '353', trunk: '0', pattern: /^[1-9]\d{6,9}$/},
+    FR: {code: '33', trunk: '0', pattern: /^[1-9]\d{8}$/},
+    FI: {code: '358', trunk: '0', pattern: /^[1-9]\d{5,10}$/},
+    DE: {code: '49', trunk: '0', pattern: /^[1-9]\d{5,12}$/},
+    NL: {code: '31', trunk: '0', pattern: /^[1-9]\d{8}$/},
+    BE: {code: '32', trunk: '0', pattern: /^[1-9]\d{7,8}$/},
+    ES: {code: '34', trunk: '', pattern: /^[5-9]\d{8}$/},
+    IT: {code: '39', trunk: '', pattern: /^(?:0\d{5,10}|3\d{8,9})$/},
+    AU: {code: '61', trunk: '0', pattern: /^[2-478]\d{8}$/},
+    NZ: {code: '64', trunk: '0', pattern: /^[2-9]\d{7,9}$/},
+    IN: {code: '91', trunk: '0', pattern: /^[1-9]\d{9}$/},
+    JP: {code: '81', trunk: '0', pattern: /^[1-9]\d{8,9}$/},
+    BR: {code: '55', trunk: '0', pattern: /^[1-9]{2}\d{8,9}$/},
+    ZA: {code: '27', trunk: '0', pattern: /^[1-9]\d{8}$/}
+  };
+
+
+  /**
+   * Phone string validation, for any of a list of countries.
+   *
+   * Accepts E.164 (+44 20 7946 0000), the 00 and 011 international prefixes,
+   * and national formats with or without the trunk prefix. Spaces, dashes,
+   * dots, slashes and parentheses are allowed between digits, and an
+   * extension (x123, ext. 123, #123) may follow the number.
+   *
+   * @param {string} value
+   *   A string we should validate as a phone number.
+   * @param {boolean} error_on_blank
+   *   Should we still fail if the value is blank?
+   * @param {object} options
+   *   (optional) Containing:
+   *     - countries: A country code, or an array of them, from
+   *       rules.phoneMetadata. Numbers never match other countries.
+   *       Defaults to ['US'].
+   *     - reject_repeated: Fail numbers which are the same digit throughout,
+   *       such as 111-111-1111. Defaults to TRUE.
+   *
+   * @returns {boolean}
+   *   TRUE if the number is valid for at least one of the countries.
+   *   Otherwise, FALSE.
+   */
+  rules.phoneValidInternational = function (value, error_on_blank, options) {
+    options = options || {};
+
+    var countries = options.countries || ['US'];
+    if (typeof countries === 'string') {
+      countries = [countries];
+    }
+
+    // Don't fail on an empty field, unless we were asked to.
+    if (value.length == 0 && error_on_blank == false) {
+      return true;
+    }
+
+    // Split off any extension, then allow only digits and separators.
+    var number = value.replace(/\s*(?:extension|ext\.?|x|#|;ext=)\s*\d{1,6}\s*$/i, '');
+    if (!/^\s*\+?[\d\s\-.()\/]+$/.test(number)) {
+      return false;
+    }
+
+    var digits = number.replace(/\D/g, ''),
+        international = null,
+        national = true;
+
+    if (/^\s*\+/.test(number)) {
+      international = digits;
+      national = false;
+    }
+    else if (digits.indexOf('00') === 0) {
+      international = digits.slice(2);
+      national = false;
+    }
+    else if (digits.indexOf('011') === 0) {
+      // 011 is only the exit code in North America. Elsewhere it may start a
+      // national number, such as 0114 for Sheffield, so try both readings.
+      international = digits.slice(3);
+    }
+
+    for (var i = 0; i < countries.length; i++) {
+      var meta = rules.phoneMetadata[String(countries[i]).toUpperCase()],
+          readings = [];
+
+      // A country we know nothing of can't vouch for a number.
+      if (!meta) {
+        continue;
+      }
+
+      if (national) {
+        var reading = digits;
+
+        // Drop the trunk prefix, if the number needs it dropped to fit.
+        if (meta.trunk && !meta.pattern.test(reading) && reading.indexOf(meta.trunk) === 0) {
+          reading = reading.slice(meta.trunk.length);
+        }
+        readings.push(reading);
+      }
+
+      if (international !== null && international.indexOf(meta.code) === 0 && international.length <= 15) {
+        readings.push(international.slice(meta.code.length));
+      }
+
+      for (var j = 0; j < readings.length; j++) {
+        if (!meta.pattern.test(readings[j])) {
+          continue;
+        }
+
+        // Rule: cant be same digit throughout.
+        if (options.reject_repeated !== false && /^(\d)\1*$/.test(readings[j])) {
+          continue;
+        }
+
+        return true;
+      }
+    }
+
+    return false;
+  };
+
+
+  /**
+   * Offline postal code metadata, keyed by ISO 3166-1 alpha-2 country code.
+   *
+   * Each country has:
+   *   - pattern: The postal code, upper case, with an optional single space
+   *     where the country's format has one.
+   *   - space: (optional) How many characters follow that space.
+   *   - plus_four: (US only) The pattern accepting ZIP+4.
+   *
+   * Sites may add or replace countries here.
+   */
+  rules.postalCodeMetadata = {
+    US: {pattern: /^\d{5}$/, plus_four: /^\d{5}(?:-\d{4})?$/},
+    CA: {pattern: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] ?\d[ABCEGHJ-NPRSTV-Z]\d$/, space: 3},
+    MX: {pattern: /^\d{5}$/},
+    GB: {pattern: /^(?:[A-Z]{1,2}\d[A-Z\d]?|GIR) ?\d[A-Z]{2}$/, space: 3},
+    IE: {pattern: /^(?:[AC-FHKNPRTV-Y]\d{2}|D6W) ?[\dAC-FHKNPRTV-Y]{4}$/, space: 4},
+    FR: {pattern: /^\d{5}$/},
+    DE: {pattern: /^\d{5}$/},
+    ES: {pattern: /^(?:0[1-9]|[1-4]\d|5[0-2])\d{3}$/},
+    IT: {pattern: /^\d{5}$/},
+    FI: {pattern: /^\d{5}$/},
+    NL: {pattern: /^[1-9]\d{3} ?[A-Z]{2}$/, space: 2},
+    BE: {pattern: /^[1-9]\d{3}$/},
+    LU: {pattern: /^\d{4}$/},
+    AT: {pattern: /^[1-9]\d{3}$/},
+    CH: {pattern: /^[1-9]\d{3}$/},
+    DK: {pattern: /^\d{4}$/},
+    NO: {pattern: /^\d{4}$/},
+    SE: {pattern: /^[1-9]\d{2} ?\d{2}$/, space: 2},
+    PL: {pattern: /^\d{2}-\d{3}$/},
+    PT: {pattern: /^\d{4}-\d{3}$/},
+    AU: {pattern: /^\d{4}$/},
+    JP: {pattern: /^\d{3}-?\d{4}$/},
+    BR: {pattern: /^\d{5}-?\d{3}$/},
+    ZA: {pattern: /^\d{4}$/}
+  };
+
+
+  /**
+   * Postal code string validation, for any of a list of countries.
+   *
+   * Letters may be in either case, and surrounding spaces are ignored.
+   *
+   * @param {string} value
+   *   A string we should validate as a postal code.
+   * @param {boolean} error_on_blank
+   *   Should we still fail if the value is blank?
+   * @param {object} options
+   *   (optional) Containing:
+   *     - countries: A country code, or an array of them, from
+   *       rules.postalCodeMetadata. Other countries are skipped, but if
+   *       none of them has a format, any code is valid. Defaults to ['US'].
+   *     - zip_plus_four: Accept US ZIP+4 (12345-6789). Defaults to FALSE.
+   *
+   * @returns {boolean}
+   *   TRUE if the code is valid for at least one of the countries.
+   *   Otherwise, FALSE.
+   */
+  rules.postalCodeValid = function (value, error_on_blank, options) {
+    options = options || {};
+
+    var countries = options.countries || ['US'];
+    if (typeof countries === 'string') {
+      countries = [countries];
+    }
+
+    // Don't fail on an empty field, unless we were asked to.
+    if (value.length == 0 && error_on_blank == false) {
+      return true;
+    }
+
+    var code = value.replace(/^\s+|\s+$/g, '').toUpperCase(),
+        known = false;
+
+    for (var i = 0; i < countries.length; i++) {
+      var meta = rules.postalCodeMetadata[String(countries[i]).toUpperCase()];
+
+      if (!meta) {
+        continue;
+      }
+      known = true;
+
+      var pattern = (options.zip_plus_four === true && meta.plus_four) ? meta.plus_four : meta.pattern;
+
+      if (pattern.test(code)) {
+        return true;
+      }
+    }
+
+    // Without a format for any of the countries, any code will do.
+    return !known;
+  };
+
+
+  /**
+   * Validate a string does not contain the same character twice in a succession.
+   *
+   * E.G. aabcddefe
+   *
+   *   contains a and d in succession, while e ppear twice, but not in succession.
+   */
+  rules.doesNotContainDoubleCharacters = function(value) {
+    var moreThanTwoReps = /(.)\1\1/;
+    return !moreThanTwoReps.test(value);
+  }
+
+  rules.doesNotContainValue = function(needle, haystack, error_on_blank) {
+    if (needle.length == 0 && !error_on_blank) {
+      return true;
+    }
+    if (haystack.indexOf(needle) === -1) {
+      return true;
+    }
+    return false;
+  }
+
+  rules.containsSpecialCharacters = function(value) {
+    var atLeastOneCap = /[0-9!@?]+/;
+    return atLeastOneCap.test(value);
+  };
+
+  rules.containsUppercase = function(value) {
+    var atLeastOneCap = /[A-Z]+/;
+    return atLeastOneCap.test(value);
+  };
+
+  rules.containsLowercase = function(value) {
+    var atLeastOneLower = /[a-z]+/;
+    return atLeastOneLower.test(value);
+  };
+
+  rules.containsNumber = function (value) {
+    var numeric = /[0-9]+/;
+    return numeric.test(value);
+  }
+
+  /**
+   * Test for only alpha or numeric characters.
+   */
+  rules.containsOnlyAlphaNumeric = function (value) {
+    var alphaNumeric = /[^0-9a-zA-Z]+/;
+    return !alphaNumeric.test(value);
+  }
+
+  /**
+   * Test for only numeric characters.
+   */
+  rules.containsOnlyNumeric = function (value) {
+    var numeric = /[^0-9]+/;
+    return !numeric.test(value);
+  }
+
+  rules.containsAtLeastOneAlpha = function (value) {
+    return (rules.containsUppercase(value) || rules.containsLowercase(value));
+  }
+
+  rules.containsLowerAndUppercase = function (value) {
+    return (rules.containsUppercase(value) && rules.containsLowercase(value));
+  };
+
+  rules.lengthValid = function(value, min, max, fail_on_blank) {
+    if (min === undefined && max === undefined) {
+      return true;
+    }
+    else if (!fail_on_blank && value.length == 0) {
+      return true;
+    }
+    else if (min === undefined && value.length > max) {
+      return false;
+    }
+    else if (max === undefined && value.length < min) {
+      return false;
+    }
+    if (value.length < min || value.length > max) {
+      return false;
+    }
+
+    return true;
+  }
+
+
+  /**
+   * Month names, for the M and F date format characters.
+   */
+  rules.monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+
+  /**
+   * The regular expression matching each supported date format character.
+   *
+   * These are the PHP date() characters the Date module's popup formats use.
+   * Any other character in a format must appear as is, and a backslash
+   * escapes the character after it.
+   */
+  var dateTokens = {
+    d: '(\\d{2})',
+    j: '(\\d{1,2})',
+    m: '(\\d{2})',
+    n: '(\\d{1,2})',
+    Y: '(\\d{4})',
+    y: '(\\d{2})',
+    M: '([A-Za-z]{3})',
+    F: '([A-Za-z]+)',
+    H: '(\\d{2})',
+    G: '(\\d{1,2})',
+    h: '(\\d{2})',
+    g: '(\\d{1,2})',
+    i: '(\\d{2})',
+    s: '(\\d{2})',
+    a: '(am|pm)',
+    A: '(AM|PM)'
+  };
+
+
+  /**
+   * Find a month number from its full name, or the first three letters of it.
+   */
+  function monthFromName(name, short_name) {
+    for (var i = 0; i < rules.monthNames.length; i++) {
+      var month = rules.monthNames[i].toLowerCase();
+
+      if ((short_name ? month.slice(0, 3) : month) === name.toLowerCase()) {
+        return i + 1;
+      }
+    }
+
+    return null;
+  }
+
+
+  /**
+   * Parse a date string in a PHP date() format, such as 'm/d/Y' or 'Y-m-d H:i'.
+   *
+   * The year is required. A format without a month or day means the first.
+   *
+   * @param {string} value
+   *   The date string.
+   * @param {string} format
+   *   The format value should be in.
+   *
+   * @returns {Date|null}
+   *   The date, in local time. NULL if value doesn't match the format, or
+   *   isn't a real date, such as 02/30/2015.
+   */
+  rules.parseDate = function (value, format) {
+    var pattern = '',
+        tokens = [];
+
+    for (var i = 0; i < format.length; i++) {
+      var character = format.charAt(i);
+
+      if (character === '\\' && i + 1 < format.length) {
+        character = format.charAt(++i);
+        pattern += character.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+      }
+      else if (dateTokens[character]) {
+        pattern += dateTokens[character];
+        tokens.push(character);
+      }
+      else {
+        pattern += character.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+      }
+    }
+
+    var match = new RegExp('^' + pattern + '$', 'i').exec(String(value).replace(/^\s+|\s+$/g, ''));
+    if (match === null) {
+      return null;
+    }
+
+    var parts = {year: null, month: 1, day: 1, hour: 0, minute: 0, second: 0},
+        meridiem = null;
+
+    for (var t = 0; t < tokens.length; t++) {
+      var text = match[t + 1],
+          number = parseInt(text, 10);
+
+      switch (tokens[t]) {
+        case 'Y': parts.year = number; break;
+        case 'y': parts.year = number + (number < 70 ? 2000 : 1900); break;
+        case 'm': case 'n': parts.month = number; break;
+        case 'M': parts.month = monthFromName(text, true); break;
+        case 'F': parts.month = monthFromName(text, false); break;
+        case 'd': case 'j': parts.day = number; break;
+        case 'H': case 'G': case 'h': case 'g': parts.hour = number; break;
+        case 'i': parts.minute = number; break;
+        case 's': parts.second = number; break;
+        case 'a': case 'A': meridiem = text.toLowerCase(); break;
+      }
+    }
+
+    if (meridiem !== null) {
+      if (parts.hour < 1 || parts.hour > 12) {
+        return null;
+      }
+      parts.hour = (parts.hour % 12) + (meridiem === 'pm' ? 12 : 0);
+    }
+
+    if (parts.year === null || parts.month === null || parts.month < 1 || parts.month > 12 || parts.hour > 23 || parts.minute > 59 || parts.second > 59) {
+      return null;
+    }
+
+    var date = new Date(2000, 0, 1, parts.hour, parts.minute, parts.second);
+    date.setFullYear(parts.year, parts.month - 1, parts.day);
+
+    // Days past the end of the month roll over into the next one.
+    if (parts.day < 1 || date.getDate() !== parts.day) {
+      return null;
+    }
+
+    return date;
+  };
+
+
+  /**
+   * Format a date in a PHP date() format. The reverse of rules.parseDate().
+   *
+   * @param {Date} date
+   *   The date.
+   * @param {string} format
+   *   The format to use, such as 'm/d/Y'.
+   *
+   * @returns {string}
+   *   The formatted date.
+   */
+  rules.formatDate = function (date, format) {
+    var pad = function (number) {
+      return (number < 10 ? '0' : '') + number;
+    };
+    var hour12 = (date.getHours() % 12) || 12,
+        output = '';
+
+    for (var i = 0; i < format.length; i++) {
+      var character = format.charAt(i);
+
+      switch (character) {
+        case 'd': output += pad(date.getDate()); break;
+        case 'j': output += date.getDate(); break;
+        case 'm': output += pad(date.getMonth() + 1); break;
+        case 'n': output += (date.getMonth() + 1); break;
+        case 'Y': output += date.getFullYear(); break;
+        case 'y': output += pad(date.getFullYear() % 100); break;
+        case 'M': output += rules.monthNames[date.getMonth()].slice(0, 3); break;
+        case 'F': output += rules.monthNames[date.getMonth()]; break;
+        case 'H': output += pad(date.getHours()); break;
+        case 'G': output += date.getHours(); break;
+        case 'h': output += pad(hour12); break;
+        case 'g': output += hour12; break;
+        case 'i': output += pad(date.getMinutes()); break;
+        case 's': output += pad(date.getSeconds()); break;
+        case 'a': output += (date.getHours() < 12 ? 'am' : 'pm'); break;
+        case 'A': output += (date.getHours() < 12 ? 'AM' : 'PM'); break;
+        case '\\': output += format.charAt(++i); break;
+        default: output += character;
+      }
+    }
+
+    return output;
+  };
+
+
+  /**
+   * Resolve a date bound: a Date, 'today', or a string in format or Y-m-d.
+   */
+  function dateBound(bound, format) {
+    if (bound === undefined || bound === null || bound === '') {
+      return null;
+    }
+
+    if (bound instanceof Date || Object.prototype.toString.call(bound) === '[object Date]') {
+      return bound;
+    }
+
+    if (bound === 'today') {
+      var today = new Date();
+      return new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    }
+
+    return rules.parseDate(bound, format) || rules.parseDate(bound, 'Y-m-d');
+  }
+
+
+  /**
+   * The start of a date's day, so dates are compared by day alone.
+   */
+  function dateDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+
+  /**
+   * Date string validation.
+   *
+   * @param {string} value
+   *   A string we should validate as a date.
+   * @param {string} format
+   *   The PHP date() format value should be in, such as 'm/d/Y'.
+   * @param {boolean} error_on_blank
+   *   Should we still fail if the value is blank?
+   *
+   * @returns {boolean}
+   *   TRUE if value is a real date in the format. Otherwise, FALSE.
+   */
+  rules.dateValid = function (value, format, error_on_blank) {
+
+    // Don't fail on an empty field, unless we were asked to.
+    if (value.length == 0 && error_on_blank == false) {
+      return true;
+    }
+
+    return rules.parseDate(value, format) !== null;
+  };
+
+
+  /**
+   * Confirm a date falls between two bounds, inclusive.
+   *
+   * Only the day is compared, so any time on the last day is within max.
+   *
+   * Values which are not dates pass, so that only rules.dateValid() reports
+   * them.
+   *
+   * @param {string} value
+   *   The date string.
+   * @param {string} format
+   *   The PHP date() format of value.
+   * @param {Date|string} min
+   *   (optional) The earliest date allowed: a Date, 'today', or a string in
+   *   format or Y-m-d.
+   * @param {Date|string} max
+   *   (optional) The latest date allowed, in the same forms as min.
+   *
+   * @returns {boolean}
+   *   TRUE if value is not before min or after max. Otherwise, FALSE.
+   */
+  rules.dateInRange = function (value, format, min, max) {
+    var date = rules.parseDate(value, format);
+
+    if (date === null) {
+      return true;
+    }
+
+    date = dateDay(date);
+    min = dateBound(min, format);
+    max = dateBound(max, format);
+
+    if (min !== null && date.getTime() < dateDay(min).getTime()) {
+      return false;
+    }
+    if (max !== null && date.getTime() > dateDay(max).getTime()) {
+      return false;
+    }
+
+    return true;
+  };
+
+
+  /**
+   * Confirm a date of birth gives an age between two bounds, inclusive.
+   *
+   * Values which are not dates pass, so that only rules.dateValid() reports
+   * them.
+   *
+   * @param {string} value
+   *   The date of birth.
+   * @param {string} format
+   *   The PHP date() format of value.
+   * @param {number} min_age
+   *   (optional) The youngest age allowed, in whole years.
+   * @param {number} max_age
+   *   (optional) The oldest age allowed, in whole years.
+   * @param {Date} today
+   *   (optional) The date to find the age on. Defaults to now.
+   *
+   * @returns {boolean}
+   *   TRUE if the age is within the bounds. Otherwise, FALSE.
+   */
+  rules.ageValid = function (value, format, min_age, max_age, today) {
+    var birth = rules.parseDate(value, format);
+
+    if (birth === null) {
+      return true;
+    }
+
+    today = today || new Date();
+
+    var age = today.getFullYear() - birth.getFullYear();
+    if (today.getMonth() < birth.getMonth() || (today.getMonth() == birth.getMonth() && today.getDate() < birth.getDate())) {
+      age--;
+    }
+
+    if (min_age !== undefined && min_age !== null && age < min_age) {
+      return false;
+    }
+    if (max_age !== undefined && max_age !== null && age > max_age) {
+      return false;
+    }
+
+    return true;
+  };
+
+
+  /**
+   * Confirm an end date comes after a start date.
+   *
+   * If either date is blank or invalid, this passes, leaving those errors to
+   * the required and rules.dateValid() checks of each field.
+   *
+   * @param {string} start
+   *   The start date string.
+   * @param {string} end
+   *   The end date string.
+   * @param {string} format
+   *   The PHP date() format of both dates.
+   * @param {boolean} allow_same
+   *   (optional) Should the end date be allowed to equal the start?
+   *
+   * @returns {boolean}
+   *   TRUE if end is after start. Otherwise, FALSE.
+   */
+  rules.dateRangeValid = function (start, end, format, allow_same) {
+    var start_date = rules.parseDate(start, format),
+        end_date = rules.parseDate(end, format);
+
+    if (start_date === null || end_date === null) {
+      return true;
+    }
+
+    if (allow_same === true) {
+      return end_date.getTime() >= start_date.getTime();
+    }
+
+    return end_date.getTime() > start_date.getTime();
+  };
+
+
+  /**
+   * Card brands, in the order their prefixes are tested. UnionPay comes
+   * before Discover, so cards in their co-branded 622 range are UnionPay.
+   *
+   * Each brand has:
+   *   - id: The brand's machine name.
+   *   - prefix: A pattern matching the start of its numbers.
+   *   - lengths: The number of digits its numbers may have.
+   *   - cvv: The number of digits in its security code.
+   *   - groups: How its numbers are grouped when printed.
+   */
+  rules.cardBrands = [
+    {id: 'amex', prefix: /^3[47]/, lengths: [15], cvv: 4, groups: [4, 6, 5]},
+    {id: 'diners', prefix: /^3(?:0[0-5]|[689])/, lengths: [14, 16, 19], cvv: 3, groups: [4, 6, 4]},
+    {id: 'jcb', prefix: /^35(?:2[89]|[3-8])/, lengths: [16, 17, 18, 19], cvv: 3, groups: [4, 4, 4, 4, 3]},
+    {id: 'visa', prefix: /^4/, lengths: [13, 16, 19], cvv: 3, groups: [4, 4, 4, 4, 3]},
+    {id: 'mastercard', prefix: /^(?:5[1-5]|222[1-9]|22[3-9]\d|2[3-6]\d{2}|27[01]\d|2720)/, lengths: [16], cvv: 3, groups: [4, 4, 4, 4]},
+    {id: 'unionpay', prefix: /^62/, lengths: [16, 17, 18, 19], cvv: 3, groups: [4, 4, 4, 4, 3]},
+    {id: 'discover', prefix: /^(?:6011|64[4-9]|65)/, lengths: [16, 17, 18, 19], cvv: 3, groups: [4, 4, 4, 4, 3]},
+    {id: 'maestro', prefix: /^(?:5[06-9]|6[37])/, lengths: [12, 13, 14, 15, 16, 17, 18, 19], cvv: 3, groups: [4, 4, 4, 4, 3]}
+  ];
+
+
+  /**
+   * IBAN lengths, keyed by country code.
+   *
+   * Countries missing here are checked against the general IBAN shape only.
+   */
+  rules.ibanLengths = {
+    AT: 20, BE: 16, BG: 22, CH: 21, CY: 28, CZ: 24, DE: 22, DK: 18, EE: 20,
+    ES: 24, FI: 18, FR: 27, GB: 22, GR: 27, HR: 21, HU: 28, IE: 22, IS: 26,
+    IT: 27, LI: 21, LT: 20, LU: 20, LV: 21, MC: 27, MT: 31, NL: 18, NO: 15,
+    PL: 28, PT: 25, RO: 24, SE: 24, SI: 19, SK: 24, SM: 27
+  };
+
+
+  /**
+   * Strip the spaces and dashes people type between groups of characters.
+   */
+  function compact(value) {
+    return String(value).replace(/[\s-]+/g, '');
+  }
+
+
+  /**
+   * Luhn (mod 10) checksum validation.
+   *
+   * @param {string} value
+   *   A string of digits, such as a card number. Spaces and dashes are
+   *   ignored.
+   *
+   * @returns {boolean}
+   *   TRUE if the checksum is valid. Otherwise, FALSE.
+   */
+  rules.luhnValid = function (value) {
+    var digits = compact(value);
+
+    if (!/^\d+$/.test(digits)) {
+      return false;
+    }
+
+    var sum = 0;
+    for (var i = 0; i < digits.length; i++) {
+      var digit = parseInt(digits.charAt(digits.length - 1 - i), 10);
+
+      // Double every second digit, from the right.
+      if (i % 2 == 1) {
+        digit *= 2;
+        if (digit > 9) {
+          digit -= 9;
+        }
+      }
+      sum += digit;
+    }
+
+    return sum % 10 == 0;
+  };
+
+
+  /**
+   * Detect a card's brand from the start of its number.
+   *
+   * @param {string} value
+   *   The card number, or as much of it as has been typed.
+   *
+   * @returns {object|null}
+   *   The brand, from rules.cardBrands. NULL if none matched.
+   */
+  rules.cardBrand = function (value) {
+    var digits = compact(value);
+
+    for (var i = 0; i < rules.cardBrands.length; i++) {
+      if (rules.cardBrands[i].prefix.test(digits)) {
+        return rules.cardBrands[i];
+      }
+    }
+
+    return null;
+  };
+
+
+  /**
+   * Card number validation: a known brand, the brand's length, and Luhn.
+   *
+   * @param {string} value
+   *   The card number. Spaces and dashes are ignored.
+   * @param {boolean} error_on_blank
+   *   Should we still fail if the value is blank?
+   * @param {array} brands
+   *   (optional) Ids of the brands accepted, such as ['visa', 'mastercard'].
+   *   Defaults to all of rules.cardBrands.
+   *
+   * @returns {boolean}
+   *   TRUE if the card number is valid. Otherwise, FALSE.
+   */
+  rules.cardNumberValid = function (value, error_on_blank, brands) {
+    var digits = compact(value);
+
+    // Don't fail on an empty field, unless we were asked to.
+    if (digits.length == 0 && error_on_blank == false) {
+      return true;
+    }
+
+    var brand = rules.cardBrand(digits);
+
+    if (!/^\d+$/.test(digits) || brand === null) {
+      return false;
+    }
+    if (brands && brands.length > 0 && brands.indexOf(brand.id) === -1) {
+      return false;
+    }
+    if (brand.lengths.indexOf(digits.length) === -1) {
+      return false;
+    }
+
+    return rules.luhnValid(digits);
+  };
+
+
+  /**
+   * Card expiry validation. A card is valid through the end of its month.
+   *
+   * @param {string} month
+   *   The month, 1 through 12.
+   * @param {string} year
+   *   The year, as 2 or 4 digits.
+   * @param {Date} today
+   *   (optional) The date to compare against. Defaults to now.
+   *
+   * @returns {boolean}
+   *   TRUE if the card has not expired. Otherwise, FALSE.
+   */
+  rules.cardExpiryValid = function (month, year, today) {
+    month = String(month).replace(/^\s+|\s+$/g, '');
+    year = String(year).replace(/^\s+|\s+$/g, '');
+
+    if (!/^\d{1,2}$/.test(month) || !/^(?:\d{2}|\d{4})$/.test(year)) {
+      return false;
+    }
+
+    month = parseInt(month, 10);
+    year = parseInt(year, 10) + (year.length == 2 ? 2000 : 0);
+
+    if (month < 1 || month > 12) {
+      return false;
+    }
+
+    today = today || new Date();
+
+    return year > today.getFullYear() || (year == today.getFullYear() && month >= today.getMonth() + 1);
+  };
+
+
+  /**
+   * Card security code validation.
+   *
+   * @param {string} value
+   *   The security code.
+   * @param {string} brand
+   *   (optional) The card's brand id. If unknown, 3 or 4 digits are allowed.
+   * @param {boolean} error_on_blank
+   *   Should we still fail if the value is blank?
+   *
+   * @returns {boolean}
+   *   TRUE if the code has the brand's number of digits. Otherwise, FALSE.
+   */
+  rules.cvvValid = function (value, brand, error_on_blank) {
+
+    // Don't fail on an empty field, unless we were asked to.
+    if (value.length == 0 && error_on_blank == false) {
+      return true;
+    }
+
+    for (var i = 0; i < rules.cardBrands.length; i++) {
+      if (rules.cardBrands[i].id === brand) {
+        return new RegExp('^\\d{' + rules.cardBrands[i].cvv + '}$').test(value);
+      }
+    }
+
+    return /^\d{3,4}$/.test(value);
+  };
+
+
+  /**
+   * IBAN validation: its shape, its country's length, and the mod-97 check.
+   *
+   * @param {string} value
+   *   The IBAN. Spaces and dashes are ignored, and letters may be lower case.
+   * @param {boolean} error_on_blank
+   *   Should we still fail if the value is blank?
+   *
+   * @returns {boolean}
+   *   TRUE if the IBAN is valid. Otherwise, FALSE.
+   */
+  rules.ibanValid = function (value, error_on_blank) {
+    var iban = compact(value).toUpperCase();
+
+    // Don't fail on an empty field, unless we were asked to.
+    if (iban.length == 0 && error_on_blank == false) {
+      return true;
+    }
+
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) {
+      return false;
+    }
+
+    var length = rules.ibanLengths[iban.slice(0, 2)];
+    if (length !== undefined && iban.length !== length) {
+      return false;
+    }
+
+    // Move the country and check digits to the end, turn letters into
+    // numbers (A = 10), and take the remainder a few digits at a time.
+    var rearranged = iban.slice(4) + iban.slice(0, 4),
+        remainder = 0;
+
+    for (var i = 0; i < rearranged.length; i++) {
+      var number = parseInt(rearranged.charAt(i), 36);
+      remainder = (remainder * (number > 9 ? 100 : 10) + number) % 97;
+    }
+
+    return remainder == 1;
+  };
+
+
+  /**
+   * US ABA routing number validation: 9 digits, a Federal Reserve prefix,
+   * and the 3-7-1 weighted checksum.
+   *
+   * @param {string} value
+   *   The routing number.
+   * @param {boolean} error_on_blank
+   *   Should we still fail if the value is blank?
+   *
+   * @returns {boolean}
+   *   TRUE if the routing number is valid. Otherwise, FALSE.
+   */
+  rules.routingNumberValid = function (value, error_on_blank) {
+
+    // Don't fail on an empty field, unless we were asked to.
+    if (value.length == 0 && error_on_blank == false) {
+      return true;
+    }
+
+    if (!/^\d{9}$/.test(value)) {
+      return false;
+    }
+
+    var prefix = parseInt(value.slice(0, 2), 10);
+    if (!(prefix <= 12 || (prefix >= 21 && prefix <= 32) || (prefix >= 61 && prefix <= 72) || prefix == 80)) {
+      return false;
+    }
+
+    var weights = [3, 7, 1, 3, 7, 1, 3, 7, 1],
+        sum = 0;
+
+    for (var i = 0; i < 9; i++) {
+      sum += weights[i] * parseInt(value.charAt(i), 10);
+    }
+
+    return sum % 10 == 0;
+  };
+
+
+  /**
+   * Confirm the number of options checked in a group is within bounds.
+   *
+   * @param {integer} count
+   *   The number of checked radios or checkboxes.
+   * @param {integer} min
+   *   (optional) The fewest allowed. Defaults to 1.
+   * @param {integer} max
+   *   (optional) The most allowed. Defaults to no limit.
+   *
+   * @returns {boolean}
+   *   TRUE on success. Otherwise, FALSE.
+   */
+  rules.checkedCountValid = function (count, min, max) {
+    if (min === undefined || min === null) {
+      min = 1;
+    }
+
+    if (count < min) {
+      return false;
+    }
+
+    return max === undefined || max === null || count <= max;
+  };
+
+
+  /**
+   * Confirm a select has a real option chosen, and not its placeholder.
+   *
+   * @param {string|array} value
+   *   The select's value, or values for a multiple select.
+   * @param {array} placeholders
+   *   (optional) Values of placeholder options. Defaults to '' and '_none',
+   *   which Drupal uses for '- Select -' and '- None -'.
+   *
+   * @returns {boolean}
+   *   TRUE if any value chosen is not a placeholder. Otherwise, FALSE.
+   */
+  rules.optionChosen = function (value, placeholders) {
+    var values = Array.isArray(value) ? value : [value];
+
+    placeholders = placeholders || ['', '_none'];
+
+    for (var i = 0; i < values.length; i++) {
+      if (values[i] !== undefined && values[i] !== null && placeholders.indexOf(String(values[i])) === -1) {
+        return true;
+      }
+    }
+
+    return false;
+  };
+
+
+  /**
+   * Convert a size, such as '2 MB', to bytes, as Drupal's parse_size() does.
+   *
+   * @param {string|number} size
+   *   A size, with an optional unit: B, K(B), M(B), G(B) and so on.
+   *
+   * @returns {number}
+   *   The size in bytes.
+   */
+  rules.parseSize = function (size) {
+    var unit = String(size).replace(/[^bkmgtpezy]/gi, ''),
+        number = parseFloat(String(size).replace(/[^0-9.]/g, '')) || 0;
+
+    if (unit.length > 0) {
+      return Math.round(number * Math.pow(1024, 'bkmgtpezy'.indexOf(unit.charAt(0).toLowerCase())));
+    }
+
+    return Math.round(number);
+  };
+
+
+  /**
+   * Format a size in bytes, as Drupal's format_size() does.
+   *
+   * @param {number} bytes
+   *   The size in bytes.
+   *
+   * @returns {string}
+   *   The size, such as '1 byte', '512 bytes' or '1.5 MB'.
+   */
+  rules.formatSize = function (bytes) {
+    var units = ['KB', 'MB', 'GB', 'TB', 'PB', 'EB', 'ZB', 'YB'];
+
+    if (bytes < 1024) {
+      return bytes == 1 ? '1 byte' : bytes + ' bytes';
+    }
+
+    var size = bytes / 1024,
+        i = 0;
+
+    while (size >= 1024 && i < units.length - 1) {
+      size = size / 1024;
+      i++;
+    }
+
+    return (Math.round(size * 100) / 100) + ' ' + units[i];
+  };
+
+
+  /**
+   * Confirm a file name has an allowed extension, as Drupal's
+   * file_validate_extensions() does.
+   *
+   * @param {string} filename
+   *   The file's name.
+   * @param {string|array} extensions
+   *   Allowed extensions, separated by spaces, such as 'png gif jpg', or an
+   *   array of them. Empty allows any.
+   *
+   * @returns {boolean}
+   *   TRUE on success. Otherwise, FALSE.
+   */
+  rules.fileExtensionValid = function (filename, extensions) {
+    if (Array.isArray(extensions)) {
+      extensions = extensions.join(' ');
+    }
+
+    extensions = String(extensions || '').replace(/^\s+|\s+$/g, '');
+
+    if (extensions.length == 0) {
+      return true;
+    }
+
+    var pattern = new RegExp('\\.(' + extensions.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&').replace(/ +/g, '|') + ')$', 'i');
+
+    return pattern.test(filename);
+  };
+
+
+  /**
+   * Confirm a file is no larger than a limit, as Drupal's
+   * file_validate_size() does.
+   *
+   * @param {number} size
+   *   The file's size in bytes.
+   * @param {string|number} max_size
+   *   The limit, in bytes or as a size such as '2 MB'. 0 or empty allows any.
+   *
+   * @returns {boolean}
+   *   TRUE on success. Otherwise, FALSE.
+   */
+  rules.fileSizeValid = function (size, max_size) {
+    var limit = rules.parseSize(max_size || 0);
+
+    return limit == 0 || size <= limit;
+  };
+
+
+  /**
+   * Read image dimensions in Drupal's 'WIDTHxHEIGHT' format.
+   *
+   * @param {string|object} resolution
+   *   Such as '640x480', or {width: 640, height: 480}.
+   *
+   * @returns {object|null}
+   *   The width and height, or NULL for '0', or anything empty, which
+   *   Drupal takes as no limit.
+   */
+  rules.parseResolution = function (resolution) {
+    if (resolution && typeof resolution === 'object') {
+      return {width: parseInt(resolution.width, 10) || 0, height: parseInt(resolution.height, 10) || 0};
+    }
+
+    var parts = String(resolution || '').toLowerCase().split('x');
+
+    if (parts.length != 2) {
+      return null;
+    }
+
+    return {width: parseInt(parts[0], 10) || 0, height: parseInt(parts[1], 10) || 0};
+  };
+
+
+  /**
+   * Confirm an image's dimensions are within bounds, as Drupal's
+   * file_validate_image_resolution() does.
+   *
+   * Drupal scales an image larger than its maximum down, where it can. Only
+   * pass a maximum to refuse such images instead.
+   *
+   * @param {number} width
+   *   The image's width in pixels.
+   * @param {number} height
+   *   The image's height in pixels.
+   * @param {string|object} min
+   *   (optional) The smallest dimensions, such as '640x480'.
+   * @param {string|object} max
+   *   (optional) The largest dimensions.
+   *
+   * @returns {boolean}
+   *   TRUE on success. Otherwise, FALSE.
+   */
+  rules.imageResolutionValid = function (width, height, min, max) {
+    min = rules.parseResolution(min);
+    max = rules.parseResolution(max);
+
+    if (min !== null && (width < min.width || height < min.height)) {
+      return false;
+    }
+
+    if (max !== null && ((max.width > 0 && width > max.width) || (max.height > 0 && height > max.height))) {
+      return false;
+    }
+
+    return true;
+  };
+
+
+  /**
+   * Split a rule string, such as 'required|length:8,128|notContains:#edit-name',
+   * into its rules and their arguments.
+   *
+   * Rules are separated by |, a rule's name from its arguments by the first
+   * :, and its arguments by commas. Only the syntax is checked here: whether
+   * each rule exists, and takes those arguments, is up to the caller.
+   *
+   * @param {string} rule_string
+   *   The rules.
+   *
+   * @returns {array(object)}
+   *   Each rule's name, and its arguments as strings.
+   *
+   * @throws {Error}
+   *   If a rule is empty, badly named, or has an empty argument.
+   */
+  rules.parseRuleString = function (rule_string) {
+    var parsed = new Array();
+
+    rule_string = String(rule_string || '').replace(/^\s+|\s+$/g, '');
+
+    if (rule_string.length == 0) {
+      return parsed;
+    }
+
+    var parts = rule_string.split('|');
+
+    for (var i = 0; i < parts.length; i++) {
+      var part = parts[i].replace(/^\s+|\s+$/g, ''),
+          colon = part.indexOf(':'),
+          name = (colon === -1) ? part : part.slice(0, colon).replace(/\s+$/, ''),
+          args = new Array();
+
+      if (part.length == 0) {
+        throw new Error('Empty rule ' + (i + 1) + ' in "' + rule_string + '".');
+      }
+
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        throw new Error('Invalid rule name "' + name + '" in "' + rule_string + '". Names may only use letters, numbers and underscores.');
+      }
+
+      if (colon !== -1) {
+        args = part.slice(colon + 1).split(',');
+
+        for (var j = 0; j < args.length; j++) {
+          args[j] = args[j].replace(/^\s+|\s+$/g, '');
+
+          if (args[j].length == 0) {
+            throw new Error('Empty argument ' + (j + 1) + ' for rule "' + name + '" in "' + rule_string + '".');
+          }
+        }
+      }
+
+      parsed.push({name: name, args: args});
+    }
+
+    return parsed;
+  };
+
+
+  return rules;
+
+}));
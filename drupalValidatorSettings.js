@@ -0,0 +1,599 @@
+/**
+* @file
+*   A settings-driven implementation of layers 1 & 2 of the drupalValidator.
+*
+*   Instead of writing a custom behavior for each form (see
+*   exampleValidator.js), a module may declare its validation map in
+*   Drupal.settings.drupalValidator, next to its hook_form_alter(), and this
+*   file will select and bind the fields for it.
+*
+*   drupal_add_js(array('drupalValidator' => array(
+*     'forms' => array(
+*       // The HTML id of the form.
+*       'user-register-form' => array(
+*         'fields' => array(
+*           // Any selector, scoped to the form.
+*           '#edit-mail' => array(
+*             'rules' => array('email'),
+*             'messages' => array(
+*               'email' => t('Incorrect Format'),
+*               'required' => t('Field is required'),
+*             ),
+*             'events' => array('blur'),
+*             'error_on_blank' => FALSE,
+*             'required' => TRUE,
+*           ),
+*           '#edit-mail-confirm' => array(
+*             'rules' => array(
+*               array('rule' => 'confirm', 'linked' => '#edit-mail'),
+*             ),
+*             'messages' => array('confirm' => t('Emails do not match')),
+*           ),
+*         ),
+*       ),
+*     ),
+*   )), 'setting');
+*
+*   Rules which compare against a second field (confirm, password, security,
+*   required_one_for_all, date_range, cvv) name that field with a 'linked'
+*   selector, which is also scoped to the form. The card_expiry rule belongs
+*   on the month field, linked to the year field, or on a single MM/YY field.
+*   The card_number rule takes an optional list of accepted 'brands'.
+*
+*   The date rule takes the widget's 'format', and optional 'min' and 'max'
+*   dates ('today', or Y-m-d) and 'min_age' and 'max_age' years. The
+*   date_range rule belongs on the end date, linked to the start date:
+*
+*     '#edit-end-date' => array(
+*       'rules' => array(
+*         array('rule' => 'date', 'format' => 'm/d/Y'),
+*         array('rule' => 'date_range', 'linked' => '#edit-start-date', 'format' => 'm/d/Y'),
+*       ),
+*     ),
+*
+*   Rules with several checks (password, security, zip, company_id) accept a
+*   message per check, keyed by rule id, in place of a single message string:
+*
+*     'messages' => array('password' => array(
+*       'length' => t('Must be at least 8 characters'),
+*       'number' => t('Must contain a number'),
+*     )),
+*
+*   Country-aware rules (phone, zip) take a list of ISO country codes, and may
+*   follow the country select nearest the field, such as the one in the same
+*   address fieldset:
+*
+*     'rules' => array(
+*       array(
+*         'rule' => 'phone',
+*         'countries' => array('US', 'CA', 'GB'),
+*         'country_field' => '#edit-country',
+*       ),
+*     ),
+*
+*   The zip rule also accepts 'zip_plus_four' => TRUE, to allow 12345-6789,
+*   and 'normalize' => TRUE, to correct the code's case and spacing before
+*   checking it, when a single country applies.
+*
+*   A field may declare an input 'mask', such as '###-##-####', where # is a
+*   digit, A a letter, and * either. Separators are added as the user types,
+*   and rules check the value without them.
+*
+*   Any rule may declare a 'condition', in the same form as #states. The
+*   field is checked again whenever the condition's fields change:
+*
+*     '#edit-phone' => array(
+*       'rules' => array(
+*         array(
+*           'rule' => 'required',
+*           'condition' => array('#edit-contact-method' => array('value' => 'phone')),
+*         ),
+*       ),
+*     ),
+*
+*   Fields hidden or disabled by #states are never validated.
+*
+*   A file field's files are checked as soon as they are chosen, before they
+*   are uploaded, with the limits of Drupal's own file validators. Allowed
+*   extensions default to those in Drupal.settings.file.elements:
+*
+*     '#edit-field-photo-und-0-upload' => array(
+*       'rules' => array(
+*         array(
+*           'rule' => 'file',
+*           'max_size' => '2 MB',
+*           'min_resolution' => '640x480',
+*         ),
+*       ),
+*       'messages' => array(
+*         'file' => t('@filename must be an image of at least @min, no larger than @max_size'),
+*       ),
+*     ),
+*
+*   A group of radios or checkboxes is selected by its wrapper, such as
+*   '#edit-color', and validated on change. The radios rule requires one to
+*   be picked, the checkboxes rule takes a 'min' (default 1) and 'max', and
+*   the select rule fails a select left on a placeholder option ('' or
+*   '_none', unless 'placeholders' lists others):
+*
+*     '#edit-toppings' => array(
+*       'rules' => array(array('rule' => 'checkboxes', 'min' => 1, 'max' => 3)),
+*       'messages' => array('checkboxes' => t('Pick @min to @max toppings')),
+*     ),
+*
+*   The selector of a multi-value field may be its name, with [*] in place of
+*   the delta, such as 'field_phone[und][*][value]', to validate every item,
+*   including those added later with "Add another item".
+*
+*   A field's rules may instead be a rule string (see Layer 3.F of
+*   drupalValidator.js), with messages keyed by rule name, and a 'default'
+*   message for the rest:
+*
+*     '#edit-pass' => array(
+*       'rules' => 'required|length:8,128|upper|lower|number|notContains:#edit-name',
+*       'messages' => array(
+*         'length' => t('Must be @min to @max characters'),
+*         'default' => t('Choose a stronger password'),
+*       ),
+*     ),
+*
+*   Or, without any settings, on the field itself, through #attributes:
+*
+*     <input name="pass" data-validate="required|length:8,128"
+*       data-validate-message="Choose a stronger password"
+*       data-validate-messages='{"length": "Must be @min to @max characters"}'>
+*
+*   A rule string with a mistake in it is reported with Drupal.throwError(),
+*   and its field left unbound.
+*
+*   Whether every failing message, or only the first, is displayed is set
+*   with 'messageMode' => 'all' or 'first', next to 'forms'.
+*
+*   The markup errors are displayed with is chosen with 'renderer' => 'drupal7'
+*   (the default), 'bootstrap3', 'bootstrap4' or 'claro', also next to 'forms'.
+*
+*   Which rules users fail, and how often forms fail to submit, may be sent
+*   to Google Tag Manager's dataLayer, in batches, with 'analytics' =>
+*   array('transport' => 'dataLayer', 'batch_size' => 20, 'delay' => 5000),
+*   also next to 'forms'. Field values are never sent.
+*
+*   Messages should be passed through t() without arguments, leaving any
+*   placeholders for the library to fill in: @label for the field's label, and
+*   the rule's own parameters, such as @min and @max for a length check.
+*/
+
+(function ($) {
+
+  Drupal.drupalValidator = Drupal.drupalValidator || {};
+
+  // Level 1:
+  //
+  // Bind every field found in Drupal.settings.drupalValidator.
+  //
+  //
+  Drupal.behaviors.drupalValidatorSettings = {
+    attach: function (context, settings) {
+
+      if (!settings.drupalValidator) {
+        return;
+      }
+
+      if (settings.drupalValidator.messageMode) {
+        Drupal.drupalValidator.messageMode = settings.drupalValidator.messageMode;
+      }
+
+      if (settings.drupalValidator.renderer) {
+        Drupal.drupalValidator.setRenderer(settings.drupalValidator.renderer);
+      }
+
+      // Only the first attach adds the reporter, so AJAX responses don't
+      // report every event twice.
+      if (settings.drupalValidator.analytics && !Drupal.drupalValidator.settingsReporter) {
+        var analytics = settings.drupalValidator.analytics,
+            transport = Drupal.drupalValidator.transports[analytics.transport || 'dataLayer'];
+
+        if (typeof transport === 'function') {
+          Drupal.drupalValidator.settingsReporter = Drupal.drupalValidator.addReporter(new Drupal.drupalValidator.Reporter(transport, analytics));
+        }
+      }
+
+      if (!settings.drupalValidator.forms) {
+        return;
+      }
+
+      jQuery.each(settings.drupalValidator.forms, function (form_id, form_settings) {
+        // An AJAX response attaches behaviors to the part of the form it
+        // replaced, which has its own new fields to bind.
+        var form = $(context).closest('#' + form_id);
+        if (form.length <= 0) {
+          form = $('#' + form_id, context);
+        }
+
+        if (form.length <= 0 || !form_settings.fields) {
+          return;
+        }
+
+        jQuery.each(form_settings.fields, function (selector, field_settings) {
+          Drupal.drupalValidator.bindSettingsField(Drupal.drupalValidator.findFields(form, selector), field_settings);
+        });
+      });
+    }
+  };
+
+
+  // Bind every field with a data-validate rule string, and release it again.
+  Drupal.behaviors.drupalValidatorAttributes = {
+    attach: function (context, settings) {
+      $(context).find('[data-validate]').addBack('[data-validate]').each(function () {
+        Drupal.drupalValidator.bindSettingsField($(this), Drupal.drupalValidator.attributeSettings(this));
+      });
+    },
+    detach: function (context, settings, trigger) {
+      if (trigger === undefined || trigger === 'unload') {
+        Drupal.drupalValidator.detachFields($(context).find('[data-validate]').addBack('[data-validate]'));
+      }
+    }
+  };
+
+
+  /**
+   * Read a field's settings from its data-validate attributes.
+   *
+   * @param {element} element
+   *   A field with a data-validate rule string.
+   *
+   * @return {object}
+   *   Settings in the form of an entry in Drupal.settings.drupalValidator.
+   */
+  Drupal.drupalValidator.attributeSettings = function (element) {
+    var messages = $(element).data('validateMessages'),
+        message = $(element).attr('data-validate-message');
+
+    // jQuery leaves malformed JSON as a string.
+    messages = (messages && typeof messages === 'object') ? jQuery.extend({}, messages) : {};
+
+    if (message && !messages['default']) {
+      messages['default'] = message;
+    }
+
+    return {
+      rules: $(element).attr('data-validate'),
+      messages: messages
+    };
+  };
+
+
+  /**
+   * Bind the focus/validation events for a single settings-defined field.
+   *
+   * @param {jQuery} elements
+   *   The elements matched by the field's selector.
+   * @param {object} field_settings
+   *   The field's entry from Drupal.settings.drupalValidator.
+   */
+  Drupal.drupalValidator.bindSettingsField = function (elements, field_settings) {
+    var handlers = {},
+        conditions = new Array();
+
+    // Fields bound by an earlier attach have had their rules checked.
+    elements = $(elements).filter(function () {
+      return jQuery.inArray('drupal-validator-settings', $(this).data('drupalValidatorOnce') || []) === -1;
+    });
+    if (elements.length <= 0) {
+      return;
+    }
+
+    // A rule string is checked once, here, so a mistake in it is reported
+    // without breaking attachment of every other field on the page.
+    if (typeof field_settings.rules === 'string') {
+      try {
+        Drupal.drupalValidator.parseRules(field_settings.rules);
+      }
+      catch (error) {
+        // Report a mistake once per field, not on every AJAX attach.
+        if (elements.once('drupal-validator-rules-error').length > 0) {
+          Drupal.throwError(error);
+        }
+        return;
+      }
+    }
+
+    // Recover an error field when a user clicks back into the field.
+    handlers['focus'] = function () {
+      Drupal.drupalValidator.recoverErrorState(this);
+    };
+    handlers[(field_settings.events || Drupal.drupalValidator.settingsEvents(elements)).join(' ')] = function () {
+      Drupal.drupalValidator.handleSettingsField(this, field_settings);
+    };
+
+    // Check the field again when a field one of its rules depends on changes.
+    jQuery.each(jQuery.isArray(field_settings.rules) ? field_settings.rules : [], function (i, rule) {
+      if (rule.condition) {
+        conditions.push(rule.condition);
+      }
+    });
+
+    Drupal.drupalValidator.bindFields(elements, {
+      once: 'drupal-validator-settings',
+      events: handlers,
+      mask: field_settings.mask,
+      conditions: conditions,
+      // Validate the field again when its form is submitted.
+      validate: function (element) {
+        return Drupal.drupalValidator.handleSettingsField(element, field_settings);
+      }
+    });
+  };
+
+
+
+  /**
+   * Layer 2:
+   *
+   *    Bound Field Master Definitions
+   *    ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+   *
+   *    Error message copy is not defined in this file. It is passed in by the
+   *    module declaring the field, under the field's 'messages' key, or the
+   *    rule's own 'message' key.
+   *
+   *    settingsRules maps each rule name which may be used in settings to the
+   *    layer 3 function it calls.
+   */
+
+
+  /**
+   * Rule names available to Drupal.settings.drupalValidator.
+   *
+   * Each callback receives the element, the rule's settings, the resolved
+   * error message and the field's error_on_blank flag. Sites may add their
+   * own rules to this object.
+   */
+  Drupal.drupalValidator.settingsRules = {
+
+    email: function (element, rule, message, error_on_blank) {
+      return Drupal.drupalValidator.validateEmailField(element, message, error_on_blank);
+    },
+
+    phone: function (element, rule, message, error_on_blank) {
+      return Drupal.drupalValidator.validatePhoneField(element, message, error_on_blank, Drupal.drupalValidator.settingsCountry(element, rule));
+    },
+
+    ssn: function (element, rule, message, error_on_blank) {
+      return Drupal.drupalValidator.validateSSNField(element, message, error_on_blank);
+    },
+
+    zip: function (element, rule, message, error_on_blank) {
+      var country = Drupal.drupalValidator.settingsCountry(element, rule);
+
+      if (country === undefined && rule.zip_plus_four) {
+        country = {countries: ['US'], zip_plus_four: true};
+      }
+
+      // Tidy the code's case and spacing before checking it, if asked to.
+      if (rule.normalize && country !== undefined) {
+        var options = Drupal.drupalValidator.countryOptions(country);
+
+        if (options !== null && options.countries.length == 1) {
+          Drupal.drupalValidatorBasics.PostalCodeAutoFormatBehavior(element, options.countries[0]);
+        }
+      }
+
+      return Drupal.drupalValidator.validateZipField(element, message, error_on_blank, country);
+    },
+
+    company_id: function (element, rule, message, error_on_blank) {
+      return Drupal.drupalValidator.validateCompanyIdField(element, message, error_on_blank);
+    },
+
+    password: function (element, rule, message, error_on_blank) {
+      return Drupal.drupalValidator.validatePasswordField(element, Drupal.drupalValidator.settingsLinkedElement(element, rule), message);
+    },
+
+    security: function (element, rule, message, error_on_blank) {
+      return Drupal.drupalValidator.validateSecurityField(element, Drupal.drupalValidator.settingsLinkedElement(element, rule), message, error_on_blank);
+    },
+
+    date: function (element, rule, message, error_on_blank) {
+      return Drupal.drupalValidator.validateDateField(element, message, error_on_blank, rule);
+    },
+
+    date_range: function (element, rule, message, error_on_blank) {
+      return Drupal.drupalValidator.validateDateRangeField(Drupal.drupalValidator.settingsLinkedElement(element, rule), element, message, rule);
+    },
+
+    card_number: function (element, rule, message, error_on_blank) {
+      return Drupal.drupalValidator.validateCardNumberField(element, message, error_on_blank, rule.brands);
+    },
+
+    card_expiry: function (element, rule, message, error_on_blank) {
+      return Drupal.drupalValidator.validateCardExpiryField(element, Drupal.drupalValidator.settingsLinkedElement(element, rule), message, error_on_blank);
+    },
+
+    cvv: function (element, rule, message, error_on_blank) {
+      return Drupal.drupalValidator.validateCvvField(element, Drupal.drupalValidator.settingsLinkedElement(element, rule), message, error_on_blank);
+    },
+
+    iban: function (element, rule, message, error_on_blank) {
+      return Drupal.drupalValidator.validateIbanField(element, message, error_on_blank);
+    },
+
+    routing_number: function (element, rule, message, error_on_blank) {
+      return Drupal.drupalValidator.validateRoutingNumberField(element, message, error_on_blank);
+    },
+
+    confirm: function (element, rule, message, error_on_blank) {
+      return Drupal.drupalValidator.validateConfirmField(Drupal.drupalValidator.settingsLinkedElement(element, rule), element, error_on_blank, message);
+    },
+
+    required: function (element, rule, message, error_on_blank) {
+      return Drupal.drupalValidator.validateRequiredField(element, message);
+    },
+
+    radios: function (element, rule, message, error_on_blank) {
+      return Drupal.drupalValidator.validateRadiosField(element, message);
+    },
+
+    checkboxes: function (element, rule, message, error_on_blank) {
+      return Drupal.drupalValidator.validateCheckboxesField(element, message, rule.min, rule.max);
+    },
+
+    select: function (element, rule, message, error_on_blank) {
+      return Drupal.drupalValidator.validateSelectField(element, message, rule.placeholders);
+    },
+
+    file: function (element, rule, message, error_on_blank) {
+      return Drupal.drupalValidator.validateFileField(element, message, rule);
+    },
+
+    required_one_for_all: function (element, rule, message, error_on_blank) {
+      return Drupal.drupalValidator.validateRequiredOneForAllField(element, Drupal.drupalValidator.settingsLinkedElement(element, rule).get(), message);
+    }
+  };
+
+
+  /**
+   * Execute all settings-defined rules against a field.
+   *
+   * Rules run in the order they were declared, and stop at the first failure,
+   * so only one error message is set at a time. If the field is required,
+   * that check runs last, and will only display if no other rule failed.
+   * Rules whose condition isn't met are skipped.
+   * A rule string is run as a whole, ahead of the required check.
+   *
+   * @param {element} element
+   *   The field we are validating.
+   * @param {object} field_settings
+   *   The field's entry from Drupal.settings.drupalValidator.
+   *
+   * @return {boolean|promise}
+   *   TRUE on success. Otherwise, FALSE. A promise of the same while a rule
+   *   is still being checked.
+   */
+  Drupal.drupalValidator.handleSettingsField = function (element, field_settings) {
+    // The form hears how the field did once every rule has run, not after
+    // each of them.
+    return Drupal.drupalValidator.runValidation(element, function () {
+      var rules = field_settings.rules || [],
+          messages = field_settings.messages || {},
+          error_on_blank = field_settings.error_on_blank === true;
+
+      if (typeof rules === 'string') {
+        var string_result = Drupal.drupalValidator.validateRuleString(element, rules, messages);
+
+        if (string_result === false || Drupal.drupalValidator.isPromise(string_result)) {
+          return string_result;
+        }
+
+        rules = [];
+      }
+
+      for (var i = 0; i < rules.length; i++) {
+        var rule = (typeof rules[i] === 'string') ? {rule: rules[i]} : rules[i],
+            callback = Drupal.drupalValidator.settingsRules[rule.rule];
+
+        // Unknown rules are skipped, so one bad entry can't break attachment
+        // of every other behavior on the page.
+        if (typeof callback !== 'function') {
+          continue;
+        }
+
+        if (rule.condition && !Drupal.drupalValidator.conditionMet(rule.condition, element)) {
+          continue;
+        }
+
+        var result = callback(element, rule, rule.message || messages[rule.rule] || '', error_on_blank);
+
+        // A rule still being checked, such as an image's dimensions, has the
+        // last word until it is done.
+        if (result === false || Drupal.drupalValidator.isPromise(result)) {
+          return result;
+        }
+      }
+
+      if (field_settings.required === true) {
+        return Drupal.drupalValidator.validateRequiredField(element, messages.required || '');
+      }
+
+      return true;
+    });
+  };
+
+
+  /**
+   * The events a settings-defined field is validated on, unless it declares
+   * its own.
+   *
+   * @param {jQuery} elements
+   *   The elements matched by the field's selector.
+   *
+   * @return {array}
+   *   'blur' for fields, or 'change' for a group of radios or checkboxes,
+   *   which has no blur of its own, and for file fields, which should be
+   *   checked as soon as a file is chosen.
+   */
+  Drupal.drupalValidator.settingsEvents = function (elements) {
+    return (elements.is(':input') && !elements.is(':file')) ? ['blur'] : ['change'];
+  };
+
+
+  /**
+   * Find the field named by a rule's 'linked' selector, within element's form.
+   *
+   * @param {element} element
+   *   The field being validated.
+   * @param {object} rule
+   *   The rule's settings.
+   *
+   * @return {jQuery}
+   *   The linked element(s). Empty if none was declared or found.
+   */
+  Drupal.drupalValidator.settingsLinkedElement = function (element, rule) {
+    if (!rule.linked) {
+      return $();
+    }
+
+    return $(rule.linked, $(element).closest('form'));
+  };
+
+
+  /**
+   * Build the country setting for a country-aware rule.
+   *
+   * @param {element} element
+   *   The field being validated.
+   * @param {object} rule
+   *   The rule's settings. Its 'countries' and other options are passed
+   *   along, and its 'country_field' selector is matched in the closest
+   *   ancestor of element containing one, up to the form.
+   *
+   * @return {object|undefined}
+   *   Options for Drupal.drupalValidator.countryOptions(). Undefined if the
+   *   rule declared no country.
+   */
+  Drupal.drupalValidator.settingsCountry = function (element, rule) {
+    if (!rule.countries && !rule.country_field) {
+      return undefined;
+    }
+
+    var options = $.extend({}, rule);
+    delete options.rule;
+    delete options.message;
+
+    // Use the nearest country field, so each address group in a form follows
+    // its own country.
+    if (rule.country_field) {
+      var country_field = $();
+
+      $(element).parents().each(function () {
+        country_field = $(rule.country_field, this);
+        return country_field.length <= 0 && !$(this).is('form');
+      });
+
+      options.country_field = country_field.first();
+    }
+
+    return options;
+  };
+
+})(jQuery);
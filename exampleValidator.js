@@ -4,7 +4,12 @@
 *   drupalValidator.
 *
 *   Note how you find and bind the fields on Level 1, and then bind those events
-*   to error messages on level 2.
+*   to error messages on level 2. Fields are found within the behavior's
+*   context, so AJAX rebuilt parts of a form are bound, and released, too.
+*
+*   Error message copy is wrapped in Drupal.t(), so it can be translated. Any
+*   placeholders, such as @label, @min or @max, are left for the library to
+*   fill in from the field and rule when the message is displayed.
 */
 
 (function ($) {
@@ -18,84 +23,161 @@
   //
   Drupal.behaviors.drupalValidator = {
     attach: function (context, settings) {
+      var find = Drupal.drupalValidator.findFields,
+          bind = Drupal.drupalValidator.bindFields;
+
+      // Fields other fields are checked against are looked up in the whole
+      // document, as an AJAX response may only rebuild part of the form.
+      var start_date = jQuery("#edit-start-date"),
+          user_id = jQuery("#edit-name");
 
-      // Define element variables here from your custom form/page.
-      var email = jQuery("#edit-email-address, #edit-another-email-address"),
-          ssn_field = jQuery("#edit-personal-id"),
-          zip = jQuery(".field-zip"),
-          phone = jQuery("#edit-office-phone, #edit-cell-phone"),
-          address = jQuery("#edit-address, #edit-city, #edit-state"),
-          names = jQuery("#edit-first-name, #edit-last-name"),
-          start_date = jQuery("#edit-start-date"),
-          end_date = jQuery("#edit-end-date");
+      // Recover an error field when a user clicks back into the field.
+      // Obviously not ideal if the field is auto-focus.
+      var recover = function () {
+        Drupal.drupalValidator.recoverErrorState(this);
+      };
 
 
       //
-      // Bind logic to definied element variables here.
+      // Find fields in the context and bind logic to them here. Each field is
+      // bound once, and validated again when its form is submitted.
       //
 
       // First and last name fields.
-      name.on('focus', function() {
-        Drupal.drupalValidator.recoverErrorState($(this));
-      });
-      name.on('blur', function() {
-        Drupal.drupalValidator.handleRequiredField(this);
+      bind(find(context, "#edit-first-name, #edit-last-name"), {
+        events: {
+          'focus': recover,
+          'blur': function () {
+            Drupal.drupalValidator.handleRequiredField(this);
+          }
+        },
+        validate: Drupal.drupalValidator.handleRequiredField
       });
 
 
       // Date fields.
-      start_date.on('focus', function() {
-        Drupal.drupalValidator.recoverErrorState($(this));
+      bind(find(context, "#edit-start-date"), {
+        events: {
+          'focus': recover,
+          'blur': function () {
+            Drupal.drupalValidator.handleDateField(this, true);
+          }
+        },
+        validate: function (element) {
+          return Drupal.drupalValidator.handleDateField(element, true);
+        }
       });
-      start_date.on('blur', function() {
-        Drupal.drupalValidator.handleRequiredField(this);
+      bind(find(context, "#edit-end-date"), {
+        events: {
+          'focus': recover,
+          'blur': function () {
+            Drupal.drupalValidator.handleEndDateField(this, start_date);
+          }
+        },
+        validate: function (element) {
+          return Drupal.drupalValidator.handleEndDateField(element, start_date);
+        }
       });
 
 
       // Validate a seocial security number is the proper format,
-      // and is required. Recover an error field when a user clicks
-      // back into the field. Obviously not ideal if the field is auto-focus.
-      ssn_field.on('focus', function() {
-        Drupal.drupalValidator.recoverErrorState(this);
-      });
-      ssn_field.on('keyup', function() {
-        Drupal.drupalValidatorBasics.NumericOnlyAutoFormatBehavior(this);
-      });
-      ssn_field.on('blur', function() {
-        Drupal.drupalValidator.handleSSNField(this, false);
+      // and is required.
+      bind(find(context, "#edit-personal-id"), {
+        mask: '###-##-####',
+        events: {
+          'focus': recover,
+          'blur': function () {
+            Drupal.drupalValidator.handleSSNField(this, false);
+          }
+        },
+        validate: function (element) {
+          return Drupal.drupalValidator.handleSSNField(element, false);
+        }
       });
 
 
       // Validate a user's email.
-      email.on('focus', function() {
-        Drupal.drupalValidator.recoverErrorState(this);
-      });
-      email.on('blur', function() {
-        Drupal.drupalValidator.handleEmailField(this, false);
+      bind(find(context, "#edit-email-address, #edit-another-email-address"), {
+        events: {
+          'focus': recover,
+          'blur': function () {
+            Drupal.drupalValidator.handleEmailField(this, false);
+          }
+        },
+        validate: function (element) {
+          return Drupal.drupalValidator.handleEmailField(element, false);
+        }
       });
 
 
       // Zip Code validation.
-      zip.on('focus', function() {
-        Drupal.drupalValidator.recoverErrorState(this);
+      bind(find(context, ".field-zip"), {
+        events: {
+          'focus': recover,
+          'blur': function () {
+            Drupal.drupalValidator.handleZipField(this, false, true);
+          }
+        },
+        validate: function (element) {
+          return Drupal.drupalValidator.handleZipField(element, false, true);
+        }
       });
-      zip.on('blur', function() {
-        Drupal.drupalValidator.handleZipField(this, false, true);
+
+
+      // Phone validation, including every item of a multi-value phone field,
+      // as "Add another item" adds them.
+      bind(find(context, "#edit-office-phone, #edit-cell-phone").add(find(context, "field_phone[und][*][value]")), {
+        mask: '(###) ###-####',
+        events: {
+          'focus': recover,
+          'blur': function () {
+            Drupal.drupalValidator.handlePhoneField(this, false);
+          }
+        },
+        validate: function (element) {
+          return Drupal.drupalValidator.handlePhoneField(element, false);
+        }
       });
 
 
-      // Phone validation.
-      phone.on('focus', function() {
-        Drupal.drupalValidator.recoverErrorState(this);
+      // Password validation, with a live checklist of the password rules
+      // while the user types, and every rule the password fails on blur.
+      bind(find(context, "#edit-pass"), {
+        events: {
+          'focus': function () {
+            Drupal.drupalValidator.recoverErrorState(this);
+            Drupal.drupalValidator.handlePasswordPopup(this, user_id);
+          },
+          'keyup': function () {
+            Drupal.drupalValidator.handlePasswordPopup(this, user_id);
+          },
+          'blur': function () {
+            Drupal.drupalValidator.hidePopupState(this);
+            Drupal.drupalValidator.handlePasswordField(this, user_id);
+          }
+        },
+        validate: function (element) {
+          return Drupal.drupalValidator.handlePasswordField(element, user_id);
+        }
       });
-      phone.on('blur', function() {
-        Drupal.drupalValidator.handlePhoneField(this, false);
+
+
+      // Check the user ID is still available, once the user stops typing.
+      bind(find(context, "#edit-name"), {
+        events: {
+          'focus': recover,
+          'keyup blur': function (event) {
+            Drupal.drupalValidator.handleUserIdField(this, event.type === 'keyup' ? 500 : 0);
+          }
+        },
+        validate: function (element) {
+          return Drupal.drupalValidator.handleUserIdField(element, 0);
+        }
       });
     }
   };
 
 
-
   /**
    * Layer 2:
    *
@@ -137,8 +219,10 @@
    */
   Drupal.drupalValidator.handleSSNField = function(element, error_on_blank) {
     return Drupal.drupalValidator.bindFieldValidationArray(element, [
-      Drupal.drupalValidator.validateSSNField(element, 'You entered the incorrect format', error_on_blank)
-    ], true);
+      function () {
+        return Drupal.drupalValidator.validateSSNField(element, Drupal.t('You entered the incorrect format'), error_on_blank);
+      }
+    ], true, 'first');
   }
 
 
@@ -156,16 +240,20 @@
    */
   Drupal.drupalValidator.handleZipField = function (field, error_on_blank, required) {
     var validation_array = [
-      Drupal.drupalValidator.validateZipField(field, 'Incorrect Format', error_on_blank)
+      function () {
+        return Drupal.drupalValidator.validateZipField(field, Drupal.t('Incorrect Format'), error_on_blank);
+      }
     ];
 
     if (required === true) {
       // Error if field should be required/error on front end.
       // This will only display if previous error validation did not fail.
-      validation_array.push(Drupal.drupalValidator.validateRequiredField(field, 'This field is required'));
+      validation_array.push(function () {
+        return Drupal.drupalValidator.validateRequiredField(field, Drupal.t('This field is required'));
+      });
     }
 
-    return Drupal.drupalValidator.bindFieldValidationArray(field, validation_array, true);
+    return Drupal.drupalValidator.bindFieldValidationArray(field, validation_array, true, 'first');
   }
 
 
@@ -180,7 +268,63 @@
    *   The result of the validation.
    */
   Drupal.drupalValidator.handleRequiredField = function (field) {
-    return Drupal.drupalValidator.validateRequiredField(field, 'Field is required');
+    return Drupal.drupalValidator.validateRequiredField(field, Drupal.t('@label is required'));
+  }
+
+
+  /**
+   * Execute rules for date field validation.
+   *
+   * @param  {element} field
+   *   The date field we are validating. This should be a field, not a value.
+   * @param  {boolean} required
+   *   Should the field be required?
+   *
+   * @return {boolean}
+   *   The result of the validation.
+   */
+  Drupal.drupalValidator.handleDateField = function (field, required) {
+    var validation_array = [
+      function () {
+        return Drupal.drupalValidator.validateDateField(field, {
+          format: Drupal.t('Enter a date like @example'),
+          min: Drupal.t('Must be on or after @min')
+        }, false, {format: 'm/d/Y', min: 'today'});
+      }
+    ];
+
+    if (required === true) {
+      validation_array.push(function () {
+        return Drupal.drupalValidator.validateRequiredField(field, Drupal.t('@label is required'));
+      });
+    }
+
+    return Drupal.drupalValidator.bindFieldValidationArray(field, validation_array, true, 'first');
+  }
+
+
+  /**
+   * Execute rules for an end date, which must follow its start date.
+   *
+   * @param  {element} field
+   *   The end date field. This should be a field, not a value.
+   * @param  {element} start_field
+   *   The start date field.
+   *
+   * @return {boolean}
+   *   The result of the validation.
+   */
+  Drupal.drupalValidator.handleEndDateField = function (field, start_field) {
+    var validation_array = [
+      function () {
+        return Drupal.drupalValidator.validateDateField(field, Drupal.t('Enter a date like @example'), false, {format: 'm/d/Y'});
+      },
+      function () {
+        return Drupal.drupalValidator.validateDateRangeField(start_field, field, Drupal.t('Must be after @start'), {format: 'm/d/Y'});
+      }
+    ];
+
+    return Drupal.drupalValidator.bindFieldValidationArray(field, validation_array, true, 'first');
   }
 
 
@@ -200,7 +344,7 @@
    *   The result of the validation.
    */
   Drupal.drupalValidator.handleRequiredOneForAllField = function (field, all_fields) {
-    return Drupal.drupalValidator.validateRequiredOneForAllField(field, all_fields, 'Required to complete address');
+    return Drupal.drupalValidator.validateRequiredOneForAllField(field, all_fields, Drupal.t('Required to complete address'));
   }
 
 
@@ -221,14 +365,18 @@
    */
   Drupal.drupalValidator.handleZipAllForOneField = function (field, all_fields) {
     var validation_array = [
-      Drupal.drupalValidator.validateZipField(field, 'Incorrect Format', false),
+      function () {
+        return Drupal.drupalValidator.validateZipField(field, Drupal.t('Incorrect Format'), false);
+      },
 
       // Error if field should be required/error on front end.
       // This will only display if previous error validation did not fail.
-      Drupal.drupalValidator.validateRequiredOneForAllField(field, all_fields, 'Required to complete address')
+      function () {
+        return Drupal.drupalValidator.validateRequiredOneForAllField(field, all_fields, Drupal.t('Required to complete address'));
+      }
     ]
 
-    return Drupal.drupalValidator.bindFieldValidationArray(field, validation_array, true);
+    return Drupal.drupalValidator.bindFieldValidationArray(field, validation_array, true, 'first');
   }
 
 
@@ -246,16 +394,20 @@
    */
   Drupal.drupalValidator.handlePhoneField = function (field, error_on_blank, required) {
     var validation_array = [
-      Drupal.drupalValidator.validatePhoneField(field, 'Incorrect Format', error_on_blank)
+      function () {
+        return Drupal.drupalValidator.validatePhoneField(field, Drupal.t('Incorrect Format'), error_on_blank);
+      }
     ];
 
     if (required === true) {
       // Error if field should be required/error on front end.
       // This will only display if previous error validation did not fail.
-      validation_array.push(Drupal.drupalValidator.validateRequiredField(field, 'Field is required'));
+      validation_array.push(function () {
+        return Drupal.drupalValidator.validateRequiredField(field, Drupal.t('@label is required'));
+      });
     }
 
-    return Drupal.drupalValidator.bindFieldValidationArray(field, validation_array, true);
+    return Drupal.drupalValidator.bindFieldValidationArray(field, validation_array, true, 'first');
   }
 
 
@@ -272,14 +424,87 @@
    *   The result of the validation.
    */
   Drupal.drupalValidator.handleEmailField = function (field, error_on_blank) {
-    var error_message = 'Incorrect Format';
+    var error_message = Drupal.t('Incorrect Format');
     return Drupal.drupalValidator.bindFieldValidationArray(field, [
-      Drupal.drupalValidator.validateEmailField(field, 'Incorrect Format', error_on_blank),
+      function () {
+        return Drupal.drupalValidator.validateEmailField(field, Drupal.t('Incorrect Format'), error_on_blank);
+      },
 
       // Error if field should be required/error on front end.
       // This will only display if previous error validation did not fail.
-      Drupal.drupalValidator.validateRequiredField(field, 'Field is required')
-    ], true);
+      function () {
+        return Drupal.drupalValidator.validateRequiredField(field, Drupal.t('@label is required'));
+      }
+    ], true, 'first');
+  }
+
+
+  /**
+   * Execute rules for password validation.
+   *
+   * Each password rule carries its own message, so the user sees every
+   * requirement their password is missing.
+   *
+   * @param {element} field
+   *   The password field we are validating.
+   * @param {element} user_id_field
+   *   The user ID field, which the password may not contain.
+   *
+   * @return {boolean}
+   *   The result of the validation.
+   */
+  Drupal.drupalValidator.handlePasswordField = function (field, user_id_field) {
+    return Drupal.drupalValidator.validatePasswordField(field, user_id_field, {
+      length: Drupal.t('Must be at least @min characters'),
+      mixed_case: Drupal.t('Must contain an upper and lower case letter'),
+      number: Drupal.t('Must contain a number'),
+      user_id: Drupal.t('Cannot contain your user ID')
+    });
+  }
+
+
+  /**
+   * Update the password requirements checklist.
+   *
+   * @param {element} field
+   *   The password field we are validating.
+   * @param {element} user_id_field
+   *   The user ID field, which the password may not contain.
+   *
+   * @return {boolean}
+   *   TRUE if every requirement is met.
+   */
+  Drupal.drupalValidator.handlePasswordPopup = function (field, user_id_field) {
+    return Drupal.drupalValidator.validatePasswordPopup(field, user_id_field, {
+      length: Drupal.t('At least @min characters'),
+      mixed_case: Drupal.t('An upper and lower case letter'),
+      number: Drupal.t('A number'),
+      user_id: Drupal.t('Does not contain your user ID')
+    });
+  }
+
+
+  /**
+   * Execute rules for user ID validation, including a server-side check that
+   * the user ID isn't already taken.
+   *
+   * @param {element} field
+   *   The user ID field we are validating.
+   * @param {integer} delay
+   *   Milliseconds to wait for the user to stop typing.
+   *
+   * @return {boolean|promise}
+   *   The result of the validation, or a promise of it.
+   */
+  Drupal.drupalValidator.handleUserIdField = function (field, delay) {
+    return Drupal.drupalValidator.bindFieldValidationArray(field, [
+      function () {
+        return Drupal.drupalValidator.validateRequiredField(field, Drupal.t('@label is required'));
+      },
+      function () {
+        return Drupal.drupalValidator.validateRemoteField(field, Drupal.settings.basePath + 'user/validate/name', Drupal.t('This user ID is already taken'), false, Drupal.t('Checking...'), delay);
+      }
+    ], true, 'first');
   }
 
-})(jQuery);
\ No newline at end of file
+})(jQuery);
@@ -0,0 +1,167 @@
+/**
+ * @file
+ *   Tests for analytics reporters, batching and the dataLayer transport.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers/drupal');
+
+var markup = [
+  '<form id="user-register-form--2">',
+  '  <input type="hidden" name="form_id" value="user_register_form" />',
+  '  <div class="form-item"><label for="edit-name">Username</label><input type="text" id="edit-name" name="name" value="bob" /></div>',
+  '  <div class="form-item"><label for="edit-pass">Password</label><input type="password" id="edit-pass" name="pass" /></div>',
+  '  <input type="submit" id="edit-submit" value="Create" />',
+  '</form>'
+].join('');
+
+/**
+ * Load a fresh page with a registration form.
+ */
+function page() {
+  var window = helpers.load(markup);
+
+  return {
+    $: window.jQuery,
+    window: window,
+    Drupal: window.Drupal,
+    validator: window.Drupal.drupalValidator
+  };
+}
+
+/**
+ * Wait for the window's timers.
+ */
+function wait(window, ms) {
+  return new Promise(function (resolve) {
+    window.setTimeout(resolve, ms);
+  });
+}
+
+test('reporters hear the outcome of each rule, without the value', function () {
+  var p = page(), $ = p.$, events = [];
+
+  p.validator.addReporter(function (event) {
+    events.push(event);
+  });
+
+  $('#edit-pass').val('bobcat');
+  p.validator.validatePasswordField($('#edit-pass')[0], $('#edit-name')[0], {
+    length: 'Too short',
+    mixed_case: 'Mix cases',
+    number: 'Add a number',
+    user_id: 'Leave out your username'
+  });
+
+  assert.strictEqual(events.map(function (event) { return event.rule + ':' + event.outcome; }).join(' '), 'length:failed mixed_case:failed number:failed user_id:failed');
+  assert.strictEqual(events[0].type, 'validate');
+  assert.strictEqual(events[0].form, 'user_register_form');
+  assert.strictEqual(events[0].field, 'pass');
+  assert.strictEqual(events[0].count, 1);
+  assert.deepStrictEqual(Object.keys(events[0]).sort(), ['count', 'field', 'form', 'outcome', 'rule', 'time', 'type']);
+  assert.ok(JSON.stringify(events).indexOf('bobcat') === -1);
+});
+
+test('submit attempts are reported with their outcome', function () {
+  var p = page(), $ = p.$, events = [];
+
+  p.validator.addReporter(function (event) {
+    events.push(event);
+  });
+  p.validator.registerField($('#edit-pass'), function (element) {
+    return p.validator.validateRuleString(element, 'required', 'Enter a password');
+  });
+
+  $('#edit-submit').trigger('click');
+  $('#edit-pass').val('Secret123');
+  $('#edit-submit').trigger('click');
+
+  var submits = events.filter(function (event) { return event.type === 'submit'; });
+
+  assert.strictEqual(submits.map(function (event) { return event.outcome; }).join(' '), 'failed passed');
+  assert.strictEqual(submits[0].form, 'user_register_form');
+  assert.strictEqual(submits[0].field, null);
+  assert.strictEqual(submits[0].rule, null);
+});
+
+test('a Reporter sends full batches, and counts repeated events', function () {
+  var p = page(), batches = [];
+  var reporter = new p.validator.Reporter(function (events) {
+    batches.push(events);
+  }, {batch_size: 2, delay: 60000});
+
+  var failed = p.validator.analyticsEvent('validate', p.$('#edit-pass')[0], 'length', false);
+  var passed = p.validator.analyticsEvent('validate', p.$('#edit-pass')[0], 'length', true);
+
+  reporter.report(failed);
+  reporter.report(failed);
+  reporter.report(failed);
+  assert.strictEqual(batches.length, 0);
+
+  reporter.report(passed);
+  assert.strictEqual(batches.length, 1);
+  assert.strictEqual(batches[0].map(function (event) { return event.outcome + ' x' + event.count; }).join(', '), 'failed x3, passed x1');
+  assert.strictEqual(failed.count, 1);
+  assert.strictEqual(reporter.timer, null);
+});
+
+test('a Reporter sends what it has after its delay, or when the page is hidden', async function () {
+  var p = page(), batches = [];
+
+  p.validator.addReporter(new p.validator.Reporter(function (events) {
+    batches.push(events);
+  }, {delay: 10}));
+
+  p.validator.validateRuleString(p.$('#edit-pass')[0], 'required', 'Enter a password');
+  assert.strictEqual(batches.length, 0);
+
+  await wait(p.window, 30);
+  assert.strictEqual(batches.length, 1);
+
+  var reporter = p.validator.addReporter(new p.validator.Reporter(function (events) {
+    batches.push(events);
+  }, {delay: 60000}));
+
+  reporter.report(p.validator.analyticsEvent('submit', p.$('form')[0], null, false));
+  p.$(p.window).trigger('pagehide');
+  assert.strictEqual(batches.length, 2);
+  assert.strictEqual(reporter.buffer.length, 0);
+});
+
+test('the dataLayer transport pushes one GTM event per event', function () {
+  var p = page(), $ = p.$;
+
+  p.window.dataLayer = [{'gtm.start': 1}];
+  p.Drupal.settings.drupalValidator = {analytics: {transport: 'dataLayer', batch_size: 1}};
+  p.Drupal.attachBehaviors(p.window.document);
+  p.Drupal.attachBehaviors(p.window.document);
+  assert.strictEqual(p.validator.reporters.length, 1);
+
+  $('#edit-pass').val('x');
+  p.validator.validateRuleString($('#edit-pass')[0], 'length:8', 'Too short');
+
+  assert.strictEqual(p.window.dataLayer.length, 2);
+  assert.strictEqual(p.window.dataLayer[1].event, 'drupalValidator.validate');
+  assert.strictEqual(p.window.dataLayer[1].drupalValidator.rule, 'length');
+  assert.strictEqual(p.window.dataLayer[1].drupalValidator.outcome, 'failed');
+});
+
+test('a failing reporter does not break validation', function () {
+  var p = page(), $ = p.$, errors = [], events = [];
+
+  p.Drupal.throwError = function (error) {
+    errors.push(error.message);
+  };
+  p.validator.addReporter(function () {
+    throw new Error('Broken reporter');
+  });
+  p.validator.addReporter(function (event) {
+    events.push(event);
+  });
+
+  assert.strictEqual(p.validator.validateRuleString($('#edit-pass')[0], 'required', 'Enter a password'), false);
+  assert.ok($('#edit-pass').hasClass('error'));
+  assert.strictEqual(errors[0], 'Broken reporter');
+  assert.strictEqual(events.length, 1);
+});
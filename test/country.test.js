@@ -0,0 +1,177 @@
+/**
+ * @file
+ *   Tests for the country-aware field validators.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers/drupal');
+
+var markup = [
+  '<form id="address-form">',
+  '  <div class="form-item">',
+  '    <label for="edit-country">Country</label>',
+  '    <select id="edit-country"><option value="">- None -</option><option value="US">United States</option><option value="GB">United Kingdom</option></select>',
+  '  </div>',
+  '  <div class="form-item">',
+  '    <div class="form-item-label"><label for="edit-phone">Phone</label></div>',
+  '    <input type="text" id="edit-phone" />',
+  '  </div>',
+  '</form>'
+].join('');
+
+/**
+ * Load a fresh page with an address form.
+ */
+function page() {
+  var window = helpers.load(markup);
+
+  return {
+    $: window.jQuery,
+    window: window,
+    validator: window.Drupal.drupalValidator
+  };
+}
+
+test('validatePhoneField keeps the US format without a country', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-phone')[0];
+
+  $(field).val('+44 20 7946 0000');
+  assert.strictEqual(p.validator.validatePhoneField(field, 'Incorrect Format', true), false);
+
+  $(field).val('212-555-1234');
+  assert.strictEqual(p.validator.validatePhoneField(field, 'Incorrect Format', true), true);
+});
+
+test('validatePhoneField accepts any of the configured countries', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-phone')[0];
+
+  $(field).val('+44 20 7946 0000');
+  assert.strictEqual(p.validator.validatePhoneField(field, 'Incorrect Format', true, ['US', 'GB']), true);
+  assert.strictEqual(p.validator.validatePhoneField(field, 'Incorrect Format', true, 'US'), false);
+  assert.ok($(field).hasClass('error'));
+});
+
+test('validatePhoneField fails, and reports, a country it has no format for', function () {
+  var p = page(), $ = p.$, errors = [];
+  var field = $('#edit-phone')[0];
+
+  p.window.Drupal.throwError = function (error) {
+    errors.push(error.message);
+  };
+
+  $(field).val('212-555-1234');
+  assert.strictEqual(p.validator.validatePhoneField(field, 'Incorrect Format', true, 'XX'), false);
+  assert.strictEqual(p.validator.validatePhoneField(field, 'Incorrect Format', true, ['US', 'XX']), true);
+
+  assert.strictEqual(errors.length, 1);
+  assert.match(errors[0], /The phone rule has no format for country "XX"/);
+});
+
+test('a country select narrows the configured countries', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-phone')[0];
+  var options = {countries: ['US', 'GB'], country_field: '#edit-country'};
+
+  $(field).val('020 7946 0000');
+  assert.strictEqual(p.validator.validatePhoneField(field, 'Incorrect Format', true, options), true);
+
+  $('#edit-country').val('US');
+  assert.strictEqual(p.validator.validatePhoneField(field, 'Incorrect Format', true, options), false);
+
+  $('#edit-country').val('GB');
+  assert.strictEqual(p.validator.validatePhoneField(field, 'Incorrect Format', true, options), true);
+});
+
+test('the settings phone rule passes its countries along', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-phone')[0];
+
+  p.window.Drupal.settings.drupalValidator = {
+    forms: {
+      'address-form': {
+        fields: {
+          '#edit-phone': {
+            rules: [{rule: 'phone', countries: ['US'], country_field: '#edit-country'}],
+            messages: {phone: 'Incorrect Format'}
+          }
+        }
+      }
+    }
+  };
+  p.window.Drupal.attachBehaviors(p.window.document);
+
+  $('#edit-country').val('GB');
+  $(field).val('020 7946 0000').trigger('blur');
+  assert.ok(!$(field).hasClass('error'));
+
+  $('#edit-country').val('');
+  $(field).trigger('blur');
+  assert.ok($(field).hasClass('error'));
+});
+
+test('validateZipField keeps the 5 digit ZIP without a country', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-phone')[0];
+
+  $(field).val('1234-');
+  assert.strictEqual(p.validator.validateZipField(field, {numeric: 'Numbers only', length: '5 digits'}, true), false);
+  assert.strictEqual($('.messages').text(), 'Numbers only');
+
+  $(field).val('12345');
+  assert.strictEqual(p.validator.validateZipField(field, 'Incorrect Format', true), true);
+});
+
+test('validateZipField accepts ZIP+4 and postal codes of the configured countries', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-phone')[0];
+
+  $(field).val('12345-6789');
+  assert.strictEqual(p.validator.validateZipField(field, 'Incorrect Format', true, {countries: 'US', zip_plus_four: true}), true);
+
+  $(field).val('SW1A 1AA');
+  assert.strictEqual(p.validator.validateZipField(field, {postal_code: 'Not a postal code'}, true, ['US', 'CA']), false);
+  assert.strictEqual($('.messages').text(), 'Not a postal code');
+  assert.strictEqual(p.validator.validateZipField(field, 'Incorrect Format', true, ['US', 'GB']), true);
+});
+
+test('each address group follows its own country field', function () {
+  var window = helpers.load([
+    '<form id="checkout-form">',
+    '  <fieldset id="billing">',
+    '    <select class="country"><option value="US">US</option><option value="CA">CA</option></select>',
+    '    <div class="form-item"><input type="text" class="postal-code" id="edit-billing-zip" /></div>',
+    '  </fieldset>',
+    '  <fieldset id="shipping">',
+    '    <select class="country"><option value="US">US</option><option value="CA">CA</option></select>',
+    '    <div class="form-item"><input type="text" class="postal-code" id="edit-shipping-zip" /></div>',
+    '  </fieldset>',
+    '</form>'
+  ].join(''));
+  var $ = window.jQuery;
+
+  window.Drupal.settings.drupalValidator = {
+    forms: {
+      'checkout-form': {
+        fields: {
+          '.postal-code': {
+            rules: [{rule: 'zip', countries: ['US', 'CA'], country_field: 'select.country', normalize: true}],
+            messages: {zip: 'Incorrect Format'}
+          }
+        }
+      }
+    }
+  };
+  window.Drupal.attachBehaviors(window.document);
+
+  $('#shipping select').val('CA');
+  $('#edit-billing-zip').val('k1a0b1').trigger('blur');
+  $('#edit-shipping-zip').val('k1a0b1').trigger('blur');
+
+  assert.ok($('#edit-billing-zip').hasClass('error'));
+  assert.strictEqual($('#edit-billing-zip').val(), 'K1A0B1');
+  assert.ok(!$('#edit-shipping-zip').hasClass('error'));
+  assert.strictEqual($('#edit-shipping-zip').val(), 'K1A 0B1');
+});
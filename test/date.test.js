@@ -0,0 +1,168 @@
+/**
+ * @file
+ *   Tests for the date and date range field validators.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers/drupal');
+
+var markup = [
+  '<form id="event-form">',
+  '  <div class="form-item">',
+  '    <div class="form-item-label"><label for="edit-start-date">Start date</label></div>',
+  '    <input type="text" id="edit-start-date" />',
+  '  </div>',
+  '  <div class="form-item">',
+  '    <div class="form-item-label"><label for="edit-end-date">End date</label></div>',
+  '    <input type="text" id="edit-end-date" />',
+  '  </div>',
+  '</form>'
+].join('');
+
+/**
+ * Load a fresh page with a start and end date.
+ */
+function page() {
+  var window = helpers.load(markup);
+
+  return {
+    $: window.jQuery,
+    window: window,
+    validator: window.Drupal.drupalValidator
+  };
+}
+
+test('validateDateField checks the format, then the bounds', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-start-date')[0];
+  var messages = {
+    format: 'Enter a date like @format',
+    min: 'On or after @min',
+    max: 'On or before @max'
+  };
+  var options = {format: 'd.m.Y', min: '2015-10-01', max: '31.10.2015'};
+
+  $(field).val('10/19/2015');
+  assert.strictEqual(p.validator.validateDateField(field, messages, true, options), false);
+  assert.strictEqual($('.messages').text(), 'Enter a date like d.m.Y');
+
+  $(field).val('30.09.2015');
+  assert.strictEqual(p.validator.validateDateField(field, messages, true, options), false);
+  assert.strictEqual($('.messages').text(), 'On or after 01.10.2015');
+
+  $(field).val('01.11.2015');
+  assert.strictEqual(p.validator.validateDateField(field, messages, true, options), false);
+  assert.strictEqual($('.messages').text(), 'On or before 31.10.2015');
+
+  $(field).val('19.10.2015');
+  assert.strictEqual(p.validator.validateDateField(field, messages, true, options), true);
+  assert.ok(!$(field).hasClass('error'));
+});
+
+test('validateDateField defaults to the popup format', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-start-date')[0];
+
+  $(field).val('10/19/2015');
+  assert.strictEqual(p.validator.validateDateField(field, 'Invalid date', true), true);
+
+  $(field).val('');
+  assert.strictEqual(p.validator.validateDateField(field, 'Invalid date', false), true);
+  assert.strictEqual(p.validator.validateDateField(field, 'Invalid date', true), false);
+});
+
+test('validateDateField checks age bounds', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-start-date')[0];
+  var year = new Date().getFullYear();
+
+  $(field).val('01/01/' + (year - 10));
+  assert.strictEqual(p.validator.validateDateField(field, {age: 'You must be @min_age or older'}, true, {min_age: 18}), false);
+  assert.strictEqual($('.messages').text(), 'You must be 18 or older');
+
+  $(field).val('01/01/' + (year - 30));
+  assert.strictEqual(p.validator.validateDateField(field, {age: 'You must be @min_age or older'}, true, {min_age: 18}), true);
+});
+
+test('validateDateField falls back to a default message for a rule without one', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-start-date')[0];
+  var year = new Date().getFullYear();
+
+  $(field).val('01/01/' + (year - 10));
+  assert.strictEqual(p.validator.validateDateField(field, {format: 'Enter a date like @format'}, true, {min_age: 18}), false);
+  assert.strictEqual($('.messages').text(), p.validator.dateMessages.age);
+
+  assert.strictEqual(p.validator.validateDateField(field, {'default': 'Too young'}, true, {min_age: 18}), false);
+  assert.strictEqual($('.messages').text(), 'Too young');
+});
+
+test('a date rule from settings without a message shows the default', function () {
+  var p = page(), $ = p.$;
+
+  p.window.Drupal.settings.drupalValidator = {forms: {'event-form': {fields: {
+    '#edit-start-date': {rules: [{rule: 'date', format: 'Y-m-d'}]}
+  }}}};
+  p.window.Drupal.attachBehaviors(p.window.document);
+
+  $('#edit-start-date').val('19/10/2015').trigger('blur');
+  assert.match($('.messages').text(), /^Enter a date like \d{4}-\d{2}-\d{2}\.$/);
+});
+
+test('a date and time later on the last day allowed is within the bounds', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-start-date')[0];
+  var now = new Date();
+  var today = p.window.Drupal.drupalValidatorBasics.formatDate(now, 'Y-m-d');
+
+  $(field).val(today + ' 23:59');
+  assert.strictEqual(p.validator.validateDateField(field, 'Not in the future', true, {format: 'Y-m-d H:i', max: 'today'}), true);
+  assert.strictEqual(p.validator.validateDateField(field, 'Too late', true, {format: 'Y-m-d H:i', max: new Date(now.getFullYear(), now.getMonth(), now.getDate(), 8)}), true);
+
+  $(field).val('2015-10-20 00:00');
+  assert.strictEqual(p.validator.validateDateField(field, 'Too late', true, {format: 'Y-m-d H:i', max: '2015-10-19'}), false);
+});
+
+test('validateDateRangeField sets its error on the end date', function () {
+  var p = page(), $ = p.$;
+  var start = $('#edit-start-date')[0], end = $('#edit-end-date')[0];
+
+  $(start).val('10/19/2015');
+  $(end).val('10/18/2015');
+  assert.strictEqual(p.validator.validateDateRangeField(start, end, 'Must be after @start'), false);
+  assert.ok($(end).hasClass('error'));
+  assert.ok(!$(start).hasClass('error'));
+  assert.strictEqual($('.messages').text(), 'Must be after 10/19/2015');
+
+  $(end).val('10/19/2015');
+  assert.strictEqual(p.validator.validateDateRangeField(start, end, 'Must be after @start', {allow_same: true}), true);
+});
+
+test('the settings date_range rule reads the linked start date', function () {
+  var p = page(), $ = p.$;
+
+  p.window.Drupal.settings.drupalValidator = {
+    forms: {
+      'event-form': {
+        fields: {
+          '#edit-end-date': {
+            rules: [
+              {rule: 'date', format: 'Y-m-d'},
+              {rule: 'date_range', linked: '#edit-start-date', format: 'Y-m-d'}
+            ],
+            messages: {date: 'Invalid date', date_range: 'Must be after @start'}
+          }
+        }
+      }
+    }
+  };
+  p.window.Drupal.attachBehaviors(p.window.document);
+
+  $('#edit-start-date').val('2015-10-19');
+  $('#edit-end-date').val('2015-10-01').trigger('blur');
+  assert.strictEqual($('.messages').text(), 'Must be after 2015-10-19');
+
+  $('#edit-end-date').val('2015-13-01').trigger('blur');
+  assert.strictEqual($('.messages').text(), 'Invalid date');
+});
@@ -0,0 +1,214 @@
+/**
+ * @file
+ *   Tests for the layer 4 error state functions, on a Drupal 7 form.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers/drupal');
+
+/**
+ * Load a fresh page with the Drupal 7 form fixture.
+ */
+function page() {
+  var window = helpers.load(helpers.fixture('drupal7Form.html'));
+
+  return {
+    window: window,
+    $: window.jQuery,
+    validator: window.Drupal.drupalValidator
+  };
+}
+
+test('setErrorState marks the field, label and form', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-name')[0];
+
+  p.validator.setErrorState(field, 'Username is required');
+
+  assert.ok($(field).hasClass('error'));
+  assert.ok($('label[for="edit-name"]').closest('.form-item-label').hasClass('error'));
+  assert.ok($('#user-register-form').hasClass('form-error-state'));
+});
+
+test('setErrorState inserts an inline message after the form item', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-name')[0];
+
+  p.validator.setErrorState(field, 'Username is required');
+
+  var message = $(field).closest('.form-item').next();
+  assert.ok(message.is('div.messages.error.messages-inline'));
+  assert.strictEqual(message.html(), 'Username is required');
+  assert.strictEqual(message.attr('id'), 'edit-name--error-message');
+});
+
+test('setErrorState replaces the message instead of adding another', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-name')[0];
+
+  p.validator.setErrorState(field, 'First');
+  p.validator.setErrorState(field, 'Second');
+
+  assert.strictEqual($('.messages').length, 1);
+  assert.strictEqual($('.messages').html(), 'Second');
+});
+
+test('each field keeps its own message', function () {
+  var p = page(), $ = p.$;
+
+  p.validator.setErrorState($('#edit-name')[0], 'Name message');
+  p.validator.setErrorState($('#edit-mail')[0], 'Mail message');
+
+  assert.strictEqual($('#edit-name--error-message').html(), 'Name message');
+  assert.strictEqual($('#edit-mail--error-message').html(), 'Mail message');
+});
+
+test('setErrorState describes the field for assistive technology', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-mail')[0];
+
+  $(field).attr('aria-describedby', 'edit-mail--description');
+  p.validator.setErrorState(field, 'Incorrect Format');
+
+  assert.strictEqual($(field).attr('aria-invalid'), 'true');
+  assert.strictEqual($(field).attr('aria-describedby'), 'edit-mail--description edit-mail--error-message');
+  assert.strictEqual($('#drupal-validator-announce').text(), 'E-mail address: Incorrect Format');
+});
+
+test('every error set in one pass is announced', async function () {
+  var p = page(), $ = p.$;
+
+  p.validator.setErrorState($('#edit-name')[0], 'Name message');
+  p.validator.setErrorState($('#edit-mail')[0], 'Mail message');
+  assert.match($('#drupal-validator-announce').text(), /Name message.*Mail message/);
+
+  await new Promise(function (resolve) { p.window.setTimeout(resolve, 5); });
+  p.validator.setErrorState($('#edit-mail')[0], 'Later message');
+  assert.strictEqual($('#drupal-validator-announce').text(), 'E-mail address: Later message');
+});
+
+test('an error without a message does not describe the field', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-mail')[0];
+
+  p.validator.setErrorState(field, '');
+
+  assert.strictEqual($(field).attr('aria-invalid'), 'true');
+  assert.strictEqual($(field).attr('aria-describedby'), undefined);
+});
+
+test('recoverErrorState clears the field, label and message', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-name')[0];
+
+  p.validator.setErrorState(field, 'Username is required');
+  p.validator.recoverErrorState(field);
+
+  assert.ok(!$(field).hasClass('error'));
+  assert.ok(!$('label[for="edit-name"]').closest('.form-item-label').hasClass('error'));
+  assert.strictEqual($('#edit-name--error-message').html(), '');
+  assert.strictEqual($(field).attr('aria-invalid'), undefined);
+  assert.strictEqual($(field).attr('aria-describedby'), undefined);
+});
+
+test('recoverErrorState only clears the form once no errors remain', function () {
+  var p = page(), $ = p.$;
+  var name = $('#edit-name')[0];
+  var mail = $('#edit-mail')[0];
+
+  p.validator.setErrorState(name, 'Username is required');
+  p.validator.setErrorState(mail, 'Incorrect Format');
+
+  p.validator.recoverErrorState(name);
+  assert.ok($('#user-register-form').hasClass('form-error-state'));
+
+  p.validator.recoverErrorState(mail);
+  assert.ok(!$('#user-register-form').hasClass('form-error-state'));
+});
+
+test('otherErrorsExist ignores the passed field', function () {
+  var p = page(), $ = p.$;
+  var name = $('#edit-name')[0];
+  var mail = $('#edit-mail')[0];
+
+  assert.strictEqual(p.validator.otherErrorsExist(name), false);
+
+  p.validator.setErrorState(name, 'Username is required');
+  assert.strictEqual(p.validator.otherErrorsExist(name), false);
+  assert.strictEqual(p.validator.otherErrorsExist($(name)), false);
+  assert.strictEqual(p.validator.otherErrorsExist(mail), true);
+});
+
+/**
+ * Load a page with a form marked up for a renderer, and switch to it.
+ */
+function themed(renderer, markup) {
+  var window = helpers.load('<form id="themed-form">' + markup + '</form>');
+
+  window.Drupal.drupalValidator.setRenderer(renderer);
+
+  return {
+    window: window,
+    $: window.jQuery,
+    validator: window.Drupal.drupalValidator
+  };
+}
+
+test('the bootstrap3 renderer marks the form group, with a help block', function () {
+  var p = themed('bootstrap3', '<div class="form-group" id="mail-group"><label for="edit-mail">Email</label><input id="edit-mail" class="form-control" /></div>');
+  var $ = p.$, field = $('#edit-mail')[0], renderer = p.validator.getRenderer();
+
+  assert.strictEqual(renderer.wrapper(field)[0], $('#mail-group')[0]);
+
+  p.validator.setErrorState(field, 'Incorrect Format');
+  assert.ok($('#mail-group').hasClass('has-error'));
+  assert.strictEqual($('#mail-group > .help-block#edit-mail--error-message').html(), 'Incorrect Format');
+  assert.strictEqual(renderer.invalidFields($('#themed-form')).length, 1);
+  assert.strictEqual(renderer.invalidFields($('#themed-form'))[0], field);
+
+  p.validator.recoverErrorState(field);
+  assert.ok(!$('#mail-group').hasClass('has-error'));
+  assert.strictEqual($('#edit-mail--error-message').length, 0);
+  assert.strictEqual(renderer.invalidFields($('#themed-form')).length, 0);
+});
+
+test('the bootstrap4 renderer marks the field, with invalid feedback after it', function () {
+  var p = themed('bootstrap4', '<div class="form-group" id="mail-group"><label for="edit-mail">Email</label><input id="edit-mail" class="form-control" /></div>');
+  var $ = p.$, field = $('#edit-mail')[0], renderer = p.validator.getRenderer();
+
+  assert.strictEqual(renderer.wrapper(field)[0], $('#mail-group')[0]);
+
+  p.validator.setErrorState(field, 'Incorrect Format');
+  assert.ok($(field).hasClass('is-invalid'));
+  assert.strictEqual($(field).next('.invalid-feedback').attr('id'), 'edit-mail--error-message');
+  assert.strictEqual($('#edit-mail--error-message').html(), 'Incorrect Format');
+  assert.strictEqual(renderer.invalidFields($('#themed-form')).length, 1);
+  assert.strictEqual(renderer.invalidFields($('#themed-form'))[0], field);
+
+  p.validator.recoverErrorState(field);
+  assert.ok(!$(field).hasClass('is-invalid'));
+  assert.strictEqual($('#edit-mail--error-message').length, 0);
+  assert.strictEqual(renderer.invalidFields($('#themed-form')).length, 0);
+});
+
+test('the claro renderer marks the form item, with a message inside it', function () {
+  var p = themed('claro', '<div class="form-item" id="mail-item"><label for="edit-mail">Email</label><input id="edit-mail" class="form-element" /></div>');
+  var $ = p.$, field = $('#edit-mail')[0], renderer = p.validator.getRenderer();
+
+  assert.strictEqual(renderer.wrapper(field)[0], $('#mail-item')[0]);
+
+  p.validator.setErrorState(field, 'Incorrect Format');
+  assert.ok($(field).hasClass('error'));
+  assert.ok($('#mail-item').hasClass('form-item--error'));
+  assert.ok($('label[for="edit-mail"]').hasClass('has-error'));
+  assert.strictEqual($('#mail-item > .form-item__error-message#edit-mail--error-message').html(), 'Incorrect Format');
+  assert.strictEqual(renderer.invalidFields($('#themed-form')).length, 1);
+  assert.strictEqual(renderer.invalidFields($('#themed-form'))[0], field);
+
+  p.validator.recoverErrorState(field);
+  assert.ok(!$('#mail-item').hasClass('form-item--error'));
+  assert.ok(!$('label[for="edit-mail"]').hasClass('has-error'));
+  assert.strictEqual($('#edit-mail--error-message').length, 0);
+  assert.strictEqual(renderer.invalidFields($('#themed-form')).length, 0);
+});
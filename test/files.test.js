@@ -0,0 +1,165 @@
+/**
+ * @file
+ *   Tests for checking file fields before their files are uploaded.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers/drupal');
+
+var markup = [
+  '<form id="photo-form">',
+  '  <div class="form-item form-type-managed-file">',
+  '    <div class="form-item-label"><label for="edit-photo-upload">Photo</label></div>',
+  '    <div id="edit-photo-ajax-wrapper" class="form-managed-file">',
+  '      <input type="file" id="edit-photo-upload" name="files[photo]" class="form-file" />',
+  '      <input type="submit" id="edit-photo-upload-button" name="photo_upload_button" value="Upload" class="form-submit" />',
+  '      <input type="hidden" name="photo[fid]" value="0" />',
+  '    </div>',
+  '  </div>',
+  '  <div class="form-item">',
+  '    <div class="form-item-label"><label for="edit-title">Title</label></div>',
+  '    <input type="text" id="edit-title" name="title" />',
+  '  </div>',
+  '  <input type="submit" id="edit-save" name="op" value="Save" />',
+  '</form>'
+].join('');
+
+/**
+ * Load a fresh page with a managed file field.
+ */
+function page() {
+  var window = helpers.load(markup);
+
+  window.Drupal.settings.file = {elements: {'#edit-photo-upload': 'png jpg jpeg'}};
+
+  return {
+    $: window.jQuery,
+    window: window,
+    Drupal: window.Drupal,
+    validator: window.Drupal.drupalValidator,
+    basics: window.Drupal.drupalValidatorBasics
+  };
+}
+
+/**
+ * Choose files in a file field.
+ */
+function choose(window, field, files) {
+  Object.defineProperty(field, 'files', {value: files.map(function (file) {
+    return new window.File([new Array((file.size || 0) + 1).join('x')], file.name, {type: file.type || ''});
+  }), configurable: true});
+}
+
+test('fileExtensions reads Drupal\'s settings, or the accept attribute', function () {
+  var p = page(), $ = p.$;
+
+  assert.strictEqual(p.validator.fileExtensions($('#edit-photo-upload')[0]), 'png jpg jpeg');
+
+  var other = $('<input type="file" accept=".pdf, image/*, .txt" />')[0];
+  assert.strictEqual(p.validator.fileExtensions(other), 'pdf txt');
+});
+
+test('a file of the wrong type fails before it is uploaded', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-photo-upload')[0];
+
+  assert.strictEqual(p.validator.validateFileField(field, {extensions: 'Only @extensions files'}), true);
+
+  choose(p.window, field, [{name: 'notes.txt', size: 10}]);
+  assert.strictEqual(p.validator.validateFileField(field, {extensions: '@filename: only @extensions files'}), false);
+  assert.ok($(field).hasClass('error'));
+  assert.strictEqual($('#edit-photo-upload--error-message').text(), 'notes.txt: only png jpg jpeg files');
+});
+
+test('a file over the size limit fails', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-photo-upload')[0];
+  var messages = {size: 'The file is @size exceeding the maximum file size of @max_size.'};
+
+  choose(p.window, field, [{name: 'photo.png', size: 1536}]);
+  assert.strictEqual(p.validator.validateFileField(field, messages, {max_size: '1 KB'}), false);
+  assert.strictEqual($('#edit-photo-upload--error-message').text(), 'The file is 1.5 KB exceeding the maximum file size of 1 KB.');
+
+  assert.strictEqual(p.validator.validateFileField(field, messages, {max_size: '2 KB'}), true);
+  assert.ok(!$(field).hasClass('error'));
+});
+
+test('image dimensions are checked once they are read', async function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-photo-upload')[0];
+  var read = $.Deferred();
+
+  p.basics.imageDimensions = function () {
+    return read.promise();
+  };
+
+  choose(p.window, field, [{name: 'photo.png', size: 10, type: 'image/png'}]);
+
+  var pending = p.validator.validateFileField(field, {min_resolution: 'At least @min'}, {min_resolution: '640x480', checking: 'Checking...'});
+  assert.ok(p.validator.isPromise(pending));
+  assert.ok($(field).hasClass('checking'));
+
+  read.resolve({width: 320, height: 240});
+  assert.strictEqual(await pending, false);
+  assert.strictEqual($('#edit-photo-upload--error-message').text(), 'At least 640x480');
+
+  // The file has already been read, so the next check is immediate.
+  assert.strictEqual(p.validator.validateFileField(field, 'Too small', {min_resolution: '200x200'}), true);
+});
+
+test('files which aren\'t images skip the dimension checks', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-photo-upload')[0];
+
+  p.basics.imageDimensions = function () {
+    throw new Error('Should not read a file which is not an image.');
+  };
+
+  choose(p.window, field, [{name: 'photo.png', size: 10, type: 'text/plain'}]);
+  assert.strictEqual(p.validator.validateFileField(field, 'Too small', {min_resolution: '640x480'}), true);
+});
+
+test('an upload button only validates its own file', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-photo-upload')[0];
+  var serialized = 0;
+
+  p.Drupal.ajax = function () {};
+  p.Drupal.ajax.prototype.beforeSerialize = function () {
+    serialized++;
+  };
+
+  p.Drupal.settings.drupalValidator = {
+    forms: {
+      'photo-form': {
+        fields: {
+          '#edit-photo-upload': {rules: [{rule: 'file', max_size: '1 KB'}], messages: {file: 'Too big'}},
+          '#edit-title': {required: true, messages: {required: 'Required'}}
+        }
+      }
+    }
+  };
+  p.Drupal.attachBehaviors(p.window.document);
+
+  var upload = {form: $('#photo-form')[0], element: $('#edit-photo-upload-button')[0]};
+  var save = {form: $('#photo-form')[0], element: $('#edit-save')[0]};
+
+  // The empty title doesn't hold up the upload.
+  choose(p.window, field, [{name: 'photo.png', size: 10}]);
+  $(field).trigger('change');
+  assert.notStrictEqual(p.Drupal.ajax.prototype.beforeSerialize.call(upload), false);
+  assert.strictEqual(serialized, 1);
+  assert.ok(!$('#edit-title').hasClass('error'));
+
+  // But a file too large does.
+  choose(p.window, field, [{name: 'photo.png', size: 2048}]);
+  $(field).trigger('change');
+  assert.strictEqual($('#edit-photo-upload--error-message').text(), 'Too big');
+  assert.strictEqual(p.Drupal.ajax.prototype.beforeSerialize.call(upload), false);
+  assert.strictEqual(serialized, 1);
+
+  // Other AJAX buttons still validate the whole form.
+  assert.strictEqual(p.Drupal.ajax.prototype.beforeSerialize.call(save), false);
+  assert.ok($('#edit-title').hasClass('error'));
+});
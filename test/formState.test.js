@@ -0,0 +1,195 @@
+/**
+ * @file
+ *   Tests for the per-form validation state, and its events.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers/drupal');
+
+/**
+ * Load a fresh page with the Drupal 7 form fixture.
+ */
+function page() {
+  var window = helpers.load(helpers.fixture('drupal7Form.html'));
+
+  return {
+    window: window,
+    $: window.jQuery,
+    validator: window.Drupal.drupalValidator
+  };
+}
+
+/**
+ * Record the validator events triggered on a form.
+ */
+function listen($, form) {
+  var events = new Array();
+
+  $(form).on('drupalValidator:valid drupalValidator:invalid drupalValidator:formvalid', function (event, state) {
+    events.push(event.type + ':' + (event.target.id || ''));
+    assert.strictEqual(state, $(form).data('drupalValidatorState'));
+  });
+
+  return events;
+}
+
+test('a form starts valid, with no fields', function () {
+  var p = page(), $ = p.$;
+  var state = p.validator.formState($('#edit-name')[0]);
+
+  assert.strictEqual(state, p.validator.formState($('#user-register-form')[0]));
+  assert.strictEqual(state.isValid(), true);
+  assert.strictEqual(state.getFields().length, 0);
+  assert.strictEqual(state.getErrors().length, 0);
+  assert.strictEqual(p.validator.formState($('<input type="text" />')[0]), null);
+});
+
+test('failed rules are recorded with their messages', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-name')[0];
+  var state = p.validator.formState(field);
+
+  p.validator.validateRequiredField(field, '@label is required');
+
+  assert.strictEqual(state.isValid(), false);
+  assert.strictEqual(state.isValid(field), false);
+  assert.strictEqual(state.isValid($('#edit-mail')[0]), true);
+
+  var errors = state.getErrors();
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].field, field);
+  assert.strictEqual(errors[0].name, 'name');
+  assert.strictEqual(errors[0].rule, 'required');
+  assert.strictEqual(errors[0].message, 'Username is required');
+
+  $(field).val('someone');
+  p.validator.validateRequiredField(field, '@label is required');
+  assert.strictEqual(state.isValid(), true);
+  assert.strictEqual(state.getField(field).results[0].passed, true);
+});
+
+test('nested validation lists the rules of every level', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-name')[0];
+  var state = p.validator.formState(field);
+
+  $(field).val('1234');
+  p.validator.bindFieldValidationArray(field, [
+    function () {
+      return p.validator.validateZipField(field, {numeric: 'Numbers only', length: 'Must be @min digits'}, false);
+    },
+    {id: 'other', callback: false, message: 'Other'}
+  ], true);
+
+  assert.strictEqual(state.getErrors().map(function (error) { return error.rule; }).join(','), 'length,other');
+  assert.strictEqual(state.getErrors(field)[0].message, 'Must be 5 digits');
+});
+
+test('a generic message is recorded for the failing rule', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-name')[0];
+
+  p.validator.bindFieldValidationArray(field, [{id: 'first', callback: false}], 'Fix @label');
+
+  var errors = p.validator.formState(field).getErrors();
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].rule, 'first');
+  assert.strictEqual(errors[0].message, 'Fix Username');
+});
+
+test('events fire when a field or the form changes state', function () {
+  var p = page(), $ = p.$;
+  var name = $('#edit-name')[0], mail = $('#edit-mail')[0];
+  var events = listen($, '#user-register-form');
+
+  p.validator.validateRequiredField(name, 'Required');
+  p.validator.validateRequiredField(mail, 'Required');
+
+  // Failing the same rule again is no change.
+  p.validator.validateRequiredField(name, 'Required');
+
+  $(name).val('someone');
+  p.validator.validateRequiredField(name, 'Required');
+  $(mail).val('someone@example.com');
+  p.validator.validateRequiredField(mail, 'Required');
+
+  assert.strictEqual(events.join(' '), [
+    'drupalValidator:invalid:edit-name',
+    'drupalValidator:invalid:edit-mail',
+    'drupalValidator:valid:edit-name',
+    'drupalValidator:valid:edit-mail',
+    'drupalValidator:formvalid:user-register-form'
+  ].join(' '));
+});
+
+test('a change in failing rules is a change of state', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-name')[0];
+  var events = listen($, '#user-register-form');
+
+  p.validator.bindFieldValidationArray(field, [{id: 'a', callback: false, message: 'A'}], true);
+  p.validator.bindFieldValidationArray(field, [{id: 'b', callback: false, message: 'B'}], true);
+
+  assert.strictEqual(events.length, 2);
+  assert.strictEqual(p.validator.formState(field).getErrors()[0].rule, 'b');
+});
+
+test('released fields are forgotten, and may make the form valid', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-name')[0];
+  var state = p.validator.formState(field);
+  var events = listen($, '#user-register-form');
+
+  p.validator.validateRequiredField(field, 'Required');
+  $(field).prop('disabled', true);
+  p.validator.validateRequiredField(field, 'Required');
+
+  assert.strictEqual(state.getField(field), null);
+  assert.strictEqual(state.isValid(), true);
+  assert.strictEqual(events[events.length - 1], 'drupalValidator:formvalid:user-register-form');
+});
+
+test('asynchronous rules are recorded once they settle', async function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-name')[0];
+  var state = p.validator.formState(field);
+  var check = $.Deferred();
+
+  var pending = p.validator.bindValidationError(field, check.promise(), 'Taken', 'Checking', 'remote');
+  assert.strictEqual(state.getField(field), null);
+
+  check.resolve(false);
+  assert.strictEqual(await pending, false);
+  assert.strictEqual(state.getErrors()[0].rule, 'remote');
+  assert.strictEqual(state.getErrors()[0].message, 'Taken');
+});
+
+test('submitting records every registered field', function () {
+  var p = page(), $ = p.$;
+  var form = $('#user-register-form')[0];
+
+  p.validator.registerField($('#edit-name, #edit-mail'), function (element) {
+    return p.validator.validateRequiredField(element, '@label is required');
+  });
+
+  assert.strictEqual(p.validator.validateForm(form), false);
+  assert.strictEqual(p.validator.formState(form).getErrors().map(function (error) { return error.name; }).join(','), 'name,mail');
+});
+
+test('a field which fails again never passes along the way', function () {
+  var p = page(), $ = p.$;
+  var events = listen($, '#user-register-form');
+
+  p.window.Drupal.settings.drupalValidator = {forms: {'user-register-form': {fields: {
+    '#edit-mail': {rules: ['email'], required: true, messages: {email: 'Invalid e-mail', required: 'Required'}}
+  }}}};
+  p.window.Drupal.attachBehaviors(p.window.document);
+
+  $('#edit-mail').trigger('blur');
+  $('#edit-mail').trigger('blur');
+  assert.strictEqual(p.validator.validateForm($('#user-register-form')[0]), false);
+
+  assert.strictEqual(events.join(' '), 'drupalValidator:invalid:edit-mail');
+  assert.strictEqual(p.validator.errorRules(p.validator.formState($('#edit-mail')[0]).getErrors()), 'required');
+});
@@ -0,0 +1,191 @@
+/**
+ * @file
+ *   Tests for selects, textareas, and groups of radios and checkboxes.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers/drupal');
+
+var markup = [
+  '<form id="order-form">',
+  '  <div class="form-item form-type-radios">',
+  '    <div class="form-item-label"><label for="edit-size">Size <span class="form-required">*</span></label></div>',
+  '    <div id="edit-size" class="form-radios">',
+  '      <div class="form-item form-type-radio"><input type="radio" id="edit-size-s" name="size" value="s" class="form-radio" /> <label class="option" for="edit-size-s">Small</label></div>',
+  '      <div class="form-item form-type-radio"><input type="radio" id="edit-size-l" name="size" value="l" class="form-radio" /> <label class="option" for="edit-size-l">Large</label></div>',
+  '    </div>',
+  '  </div>',
+  '  <fieldset id="edit-toppings--wrapper" class="fieldgroup form-composite">',
+  '    <legend><span class="fieldset-legend">Toppings</span></legend>',
+  '    <div class="fieldset-wrapper">',
+  '      <div id="edit-toppings" class="form-checkboxes">',
+  '        <div class="form-item"><input type="checkbox" id="edit-toppings-ham" name="toppings[ham]" value="ham" /> <label class="option" for="edit-toppings-ham">Ham</label></div>',
+  '        <div class="form-item"><input type="checkbox" id="edit-toppings-olive" name="toppings[olive]" value="olive" /> <label class="option" for="edit-toppings-olive">Olive</label></div>',
+  '        <div class="form-item"><input type="checkbox" id="edit-toppings-onion" name="toppings[onion]" value="onion" /> <label class="option" for="edit-toppings-onion">Onion</label></div>',
+  '      </div>',
+  '    </div>',
+  '  </fieldset>',
+  '  <div class="form-item">',
+  '    <div class="form-item-label"><label for="edit-crust">Crust</label></div>',
+  '    <select id="edit-crust" name="crust"><option value="_none">- None -</option><option value="thin">Thin</option></select>',
+  '  </div>',
+  '  <div class="form-item">',
+  '    <div class="form-item-label"><label for="edit-notes">Notes</label></div>',
+  '    <textarea id="edit-notes" name="notes"></textarea>',
+  '  </div>',
+  '  <input type="submit" id="edit-submit" value="Order" />',
+  '</form>'
+].join('');
+
+/**
+ * Load a fresh page with an order form.
+ */
+function page() {
+  var window = helpers.load(markup);
+
+  return {
+    $: window.jQuery,
+    window: window,
+    Drupal: window.Drupal,
+    validator: window.Drupal.drupalValidator
+  };
+}
+
+test('groupElement finds the container, or a fieldset holding only the group', function () {
+  var p = page(), $ = p.$;
+
+  assert.strictEqual(p.validator.groupElement($('#edit-size-s')[0]), $('#edit-size')[0]);
+  assert.strictEqual(p.validator.groupElement($('#edit-size')[0]), $('#edit-size')[0]);
+  assert.strictEqual(p.validator.groupElement($('#edit-toppings-ham')[0]), $('#edit-toppings--wrapper')[0]);
+  assert.strictEqual(p.validator.groupElement($('#edit-notes')[0]), $('#edit-notes')[0]);
+});
+
+test('fieldValue reads the values chosen in a group', function () {
+  var p = page(), $ = p.$;
+
+  assert.strictEqual(p.validator.fieldValue($('#edit-toppings')[0]), '');
+  $('#edit-toppings-ham, #edit-toppings-onion').prop('checked', true);
+  assert.strictEqual(p.validator.fieldValue($('#edit-toppings')[0]), 'ham,onion');
+  assert.strictEqual(p.validator.fieldValue($('#edit-notes')[0]), '');
+});
+
+test('radios fail until one is picked, with the error on the group', function () {
+  var p = page(), $ = p.$;
+  var group = $('#edit-size');
+
+  assert.strictEqual(p.validator.validateRadiosField($('#edit-size-l')[0], '@label is required'), false);
+  assert.ok(group.hasClass('error'));
+  assert.ok($('label[for="edit-size"]').closest('.form-item-label').hasClass('error'));
+  assert.strictEqual($('#edit-size--error-message').text(), 'Size is required');
+  assert.strictEqual(group.closest('.form-item').next().attr('id'), 'edit-size--error-message');
+
+  $('#edit-size-l').prop('checked', true);
+  assert.strictEqual(p.validator.validateRadiosField(group[0], '@label is required'), true);
+});
+
+test('checkboxes check their bounds, and report on the fieldset', function () {
+  var p = page(), $ = p.$;
+  var fieldset = $('#edit-toppings--wrapper');
+  var messages = {min: 'Pick at least @min', max: 'Pick at most @max'};
+
+  assert.strictEqual(p.validator.validateCheckboxesField($('#edit-toppings')[0], messages, 1, 2), false);
+  assert.ok(fieldset.hasClass('error'));
+  assert.strictEqual($('#edit-toppings--wrapper--error-message').text(), 'Pick at least 1');
+  assert.strictEqual(fieldset.next().attr('id'), 'edit-toppings--wrapper--error-message');
+
+  $('#edit-toppings :checkbox').prop('checked', true);
+  assert.strictEqual(p.validator.validateCheckboxesField($('#edit-toppings')[0], messages, 1, 2), false);
+  assert.strictEqual($('#edit-toppings--wrapper--error-message').text(), 'Pick at most 2');
+
+  $('#edit-toppings-ham').prop('checked', false);
+  assert.strictEqual(p.validator.validateCheckboxesField($('#edit-toppings')[0], messages, 1, 2), true);
+  assert.ok(!fieldset.hasClass('error'));
+});
+
+test('a fieldset is labelled by its legend', function () {
+  var p = page(), $ = p.$;
+
+  assert.strictEqual(p.validator.fieldLabel($('#edit-toppings--wrapper')[0]), 'Toppings');
+});
+
+test('a select left on its placeholder fails', function () {
+  var p = page(), $ = p.$;
+  var select = $('#edit-crust')[0];
+
+  assert.strictEqual(p.validator.validateSelectField(select, '@label is required'), false);
+  assert.ok($(select).hasClass('error'));
+
+  $(select).val('thin');
+  assert.strictEqual(p.validator.validateSelectField(select, '@label is required'), true);
+  assert.strictEqual(p.validator.validateSelectField(select, 'Required', ['thin']), false);
+});
+
+test('selects, textareas and groups keep the form in its error state', function () {
+  var p = page(), $ = p.$;
+  var form = $('#order-form');
+
+  p.validator.validateSelectField($('#edit-crust')[0], 'Required');
+  p.validator.validateRequiredField($('#edit-notes')[0], 'Required');
+  p.validator.validateRadiosField($('#edit-size')[0], 'Required');
+
+  p.validator.recoverErrorState($('#edit-notes')[0]);
+  assert.ok(form.hasClass('form-error-state'));
+  assert.strictEqual(p.validator.otherErrorsExist($('#edit-size')[0]), true);
+
+  p.validator.recoverErrorState($('#edit-crust')[0]);
+  assert.ok(form.hasClass('form-error-state'));
+
+  p.validator.recoverErrorState($('#edit-size')[0]);
+  assert.ok(!form.hasClass('form-error-state'));
+});
+
+test('a group counts once, not again for its own inputs', function () {
+  var p = page(), $ = p.$;
+
+  $('#edit-size, #edit-size-s, #edit-size-l').addClass('error');
+
+  var invalid = p.validator.getRenderer().invalidFields($('#order-form'));
+  assert.strictEqual(invalid.length, 1);
+  assert.strictEqual(invalid[0], $('#edit-size')[0]);
+  assert.strictEqual(p.validator.otherErrorsExist($('#edit-size')[0]), false);
+});
+
+test('a group whose inputs are all disabled is skipped', function () {
+  var p = page(), $ = p.$;
+
+  $('#edit-size :radio').prop('disabled', true);
+  assert.strictEqual(p.validator.validateRadiosField($('#edit-size')[0], 'Required'), true);
+  assert.ok(!$('#edit-size').hasClass('error'));
+});
+
+test('settings validate groups on change', function () {
+  var p = page(), $ = p.$;
+
+  p.Drupal.settings.drupalValidator = {
+    forms: {
+      'order-form': {
+        fields: {
+          '#edit-toppings': {
+            rules: [{rule: 'checkboxes', min: 2}],
+            messages: {checkboxes: 'Pick @min'}
+          },
+          '#edit-size': {
+            rules: ['radios'],
+            messages: {radios: 'Pick a size'}
+          }
+        }
+      }
+    }
+  };
+  p.Drupal.attachBehaviors(p.window.document);
+
+  $('#edit-toppings-ham').prop('checked', true).trigger('change');
+  assert.strictEqual($('#edit-toppings--wrapper--error-message').text(), 'Pick 2');
+
+  $('#edit-toppings-olive').prop('checked', true).trigger('change');
+  assert.ok(!$('#edit-toppings--wrapper').hasClass('error'));
+
+  assert.strictEqual(p.validator.validateForm($('#order-form')[0]), false);
+  assert.strictEqual($('#edit-size--error-message').text(), 'Pick a size');
+});
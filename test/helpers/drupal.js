@@ -0,0 +1,99 @@
+/**
+ * @file
+ *   Loads the drupalValidator into jsdom, with jQuery and a Drupal stub.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var root = path.join(__dirname, '..', '..');
+
+// Library files, in the order Drupal should add them to the page.
+var files = [
+  'drupalValidatorRules.js',
+  'drupalValidatorBasics.js',
+  'drupalValidator.js',
+  'drupalValidatorSettings.js'
+];
+
+// The parts of Drupal 7's drupal.js the library relies on.
+var drupalStub = [
+  'window.Drupal = {',
+  '  behaviors: {},',
+  '  settings: {basePath: "/"},',
+  '  locale: {},',
+  '  checkPlain: function (str) {',
+  '    return String(str).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;").replace(/>/g, "&gt;");',
+  '  },',
+  '  formatString: function (str, args) {',
+  '    for (var key in args) {',
+  '      var value = args[key];',
+  '      if (key.charAt(0) === "@") { value = Drupal.checkPlain(value); }',
+  '      else if (key.charAt(0) === "%") { value = "<em class=\\"placeholder\\">" + Drupal.checkPlain(value) + "</em>"; }',
+  '      str = str.split(key).join(value);',
+  '    }',
+  '    return str;',
+  '  },',
+  '  t: function (str, args) {',
+  '    if (Drupal.locale.strings && Drupal.locale.strings[str]) { str = Drupal.locale.strings[str]; }',
+  '    return args ? Drupal.formatString(str, args) : str;',
+  '  },',
+  '  attachBehaviors: function (context, settings) {',
+  '    context = context || document;',
+  '    settings = settings || Drupal.settings;',
+  '    jQuery.each(Drupal.behaviors, function () {',
+  '      if (jQuery.isFunction(this.attach)) { this.attach(context, settings); }',
+  '    });',
+  '  },',
+  '  throwError: function (error) {',
+  '    setTimeout(function () { throw error; }, 0);',
+  '  },',
+  '  detachBehaviors: function (context, settings, trigger) {',
+  '    context = context || document;',
+  '    settings = settings || Drupal.settings;',
+  '    jQuery.each(Drupal.behaviors, function () {',
+  '      if (jQuery.isFunction(this.detach)) { this.detach(context, settings, trigger || "unload"); }',
+  '    });',
+  '  }',
+  '};'
+].join('\n');
+
+/**
+ * Read a fixture from test/fixtures.
+ *
+ * @param {string} name
+ *   The fixture's file name.
+ *
+ * @return {string}
+ *   Its markup.
+ */
+exports.fixture = function (name) {
+  return fs.readFileSync(path.join(__dirname, '..', 'fixtures', name), 'utf8');
+};
+
+/**
+ * Build a window with the library loaded.
+ *
+ * @param {string} body
+ *   (optional) Markup for the page's body.
+ *
+ * @return {Window}
+ *   The jsdom window, with jQuery, Drupal and the library on it.
+ */
+exports.load = function (body) {
+  var dom = new JSDOM('<!DOCTYPE html><html><body>' + (body || '') + '</body></html>', {
+    runScripts: 'outside-only'
+  });
+  var window = dom.window;
+
+  window.eval(fs.readFileSync(require.resolve('jquery'), 'utf8'));
+  window.eval(fs.readFileSync(require.resolve('jquery-once'), 'utf8'));
+  window.eval(drupalStub);
+
+  files.forEach(function (file) {
+    window.eval(fs.readFileSync(path.join(root, file), 'utf8'));
+  });
+
+  return window;
+};
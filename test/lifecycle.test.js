@@ -0,0 +1,180 @@
+/**
+ * @file
+ *   Tests for binding fields once, following multi-value deltas, and
+ *   releasing fields on detach.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers/drupal');
+
+var markup = [
+  '<form id="profile-form">',
+  '  <div class="form-item">',
+  '    <label for="edit-name">Name</label>',
+  '    <input type="text" id="edit-name" name="name" />',
+  '  </div>',
+  '  <div id="phone-wrapper">',
+  '    <div class="form-item">',
+  '      <label for="edit-field-phone-und-0-value">Phone</label>',
+  '      <input type="text" id="edit-field-phone-und-0-value" name="field_phone[und][0][value]" />',
+  '    </div>',
+  '  </div>',
+  '  <input type="submit" id="edit-submit" value="Save" />',
+  '</form>'
+].join('');
+
+/**
+ * Load a fresh page with a profile form, validated by settings.
+ */
+function page() {
+  var window = helpers.load(markup);
+
+  window.Drupal.settings.drupalValidator = {
+    forms: {
+      'profile-form': {
+        fields: {
+          '#edit-name': {
+            rules: ['required'],
+            messages: {required: '@label is required'}
+          },
+          'field_phone[und][*][value]': {
+            rules: ['phone'],
+            mask: '(###) ###-####',
+            messages: {phone: 'Incorrect Format'}
+          }
+        }
+      }
+    }
+  };
+  window.Drupal.attachBehaviors(window.document);
+
+  return {
+    $: window.jQuery,
+    window: window,
+    Drupal: window.Drupal,
+    validator: window.Drupal.drupalValidator
+  };
+}
+
+test('findFields matches every delta of a name pattern', function () {
+  var p = page(), $ = p.$;
+
+  $('#phone-wrapper').append('<input type="text" name="field_phone[und][12][value]" />');
+  $('#phone-wrapper').append('<input type="text" name="field_phone[und][x][value]" />');
+
+  var names = p.validator.findFields($('#profile-form'), 'field_phone[und][*][value]').map(function () {
+    return this.name;
+  }).get();
+
+  assert.strictEqual(names.join(','), 'field_phone[und][0][value],field_phone[und][12][value]');
+  assert.strictEqual(p.validator.findFields($('#edit-name'), '#edit-name').length, 1);
+});
+
+test('fields are bound once, however often behaviors attach', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-name');
+  var calls = 0;
+
+  p.Drupal.attachBehaviors(p.window.document);
+  p.Drupal.attachBehaviors($('#profile-form')[0]);
+
+  assert.strictEqual(field.data('drupalValidatorCallbacks').length, 1);
+
+  var original = p.validator.handleSettingsField;
+  p.validator.handleSettingsField = function () {
+    calls++;
+    return original.apply(this, arguments);
+  };
+  field.trigger('blur');
+  assert.strictEqual(calls, 1);
+});
+
+test('registering a callback again does not validate the field twice', function () {
+  var p = page(), $ = p.$, calls = 0;
+  var callback = function () {
+    calls++;
+    return true;
+  };
+
+  $('#edit-name').val('Ada');
+  p.validator.registerField($('#edit-name'), callback);
+  p.validator.registerField($('#edit-name'), callback);
+  p.validator.validateRegisteredField($('#edit-name')[0]);
+
+  assert.strictEqual(calls, 1);
+});
+
+test('a delta added by AJAX is bound when behaviors attach to it', function () {
+  var p = page(), $ = p.$;
+  var item = $('<div class="form-item"><label for="edit-field-phone-und-1-value">Phone</label><input type="text" id="edit-field-phone-und-1-value" name="field_phone[und][1][value]" /></div>');
+
+  $('#phone-wrapper').append(item);
+  p.Drupal.attachBehaviors(item[0]);
+
+  var field = $('#edit-field-phone-und-1-value');
+  assert.ok(field.hasClass('drupal-validator-bound'));
+  assert.ok(field.hasClass('drupal-validator-masked'));
+
+  field.val('123').trigger('blur');
+  assert.ok(field.hasClass('error'));
+  assert.strictEqual(p.validator.validateForm($('#profile-form')[0]), false);
+});
+
+test('detach releases handlers, messages, registration and mask', function () {
+  var p = page(), $ = p.$;
+  var wrapper = $('#phone-wrapper');
+  var field = $('#edit-field-phone-und-0-value');
+
+  field.val('123').trigger('blur');
+  assert.ok(field.hasClass('error'));
+  assert.strictEqual($('#' + p.validator.errorMessageId(field[0])).length, 1);
+
+  p.Drupal.detachBehaviors(wrapper[0]);
+
+  assert.ok(!field.hasClass('error'));
+  assert.ok(!field.hasClass('drupal-validator-field'));
+  assert.ok(!field.hasClass('drupal-validator-bound'));
+  assert.ok(!field.hasClass('drupal-validator-masked'));
+  assert.strictEqual(field.data('drupalValidatorCallbacks'), undefined);
+  assert.strictEqual(field.data('drupalValidatorMask'), undefined);
+  assert.strictEqual($('#' + p.validator.errorMessageId(field[0])).length, 0);
+
+  // Nothing fires once released.
+  field.val('1').trigger('blur');
+  assert.ok(!field.hasClass('error'));
+
+  // And the field is bound again from scratch on the next attach.
+  p.Drupal.attachBehaviors(wrapper[0]);
+  assert.strictEqual(field.data('drupalValidatorCallbacks').length, 1);
+  field.trigger('blur');
+  assert.ok(field.hasClass('error'));
+});
+
+test('serializing the form does not release its fields', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-name');
+
+  p.Drupal.detachBehaviors($('#profile-form')[0], p.Drupal.settings, 'serialize');
+
+  assert.ok(field.hasClass('drupal-validator-bound'));
+  field.trigger('blur');
+  assert.ok(field.hasClass('error'));
+});
+
+test('detach removes condition watchers', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-name');
+  var checks = 0;
+
+  p.validator.watchCondition(field[0], {'#edit-submit': {filled: true}}, function () {
+    checks++;
+  });
+  field.data('drupalValidatorChecked', true);
+  $('#edit-submit').trigger('change');
+  assert.strictEqual(checks, 1);
+
+  p.validator.detachField(field[0]);
+  $('#edit-submit').trigger('change');
+  assert.strictEqual(checks, 1);
+});
@@ -0,0 +1,145 @@
+/**
+ * @file
+ *   Tests for input masks.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers/drupal');
+
+var markup = [
+  '<form id="person-form">',
+  '  <div class="form-item">',
+  '    <div class="form-item-label"><label for="edit-ssn">SSN</label></div>',
+  '    <input type="text" id="edit-ssn" />',
+  '  </div>',
+  '  <div class="form-item">',
+  '    <div class="form-item-label"><label for="edit-phone">Phone</label></div>',
+  '    <input type="text" id="edit-phone" />',
+  '  </div>',
+  '</form>'
+].join('');
+
+/**
+ * Load a fresh page with masked fields.
+ */
+function page() {
+  var window = helpers.load(markup);
+
+  return {
+    $: window.jQuery,
+    window: window,
+    basics: window.Drupal.drupalValidatorBasics,
+    validator: window.Drupal.drupalValidator
+  };
+}
+
+/**
+ * Replace a field's value and selection, then fire the events a browser would.
+ */
+function type(field, value, caret, events) {
+  field.value = value;
+  field.setSelectionRange(caret, caret);
+  (events || ['input']).forEach(function (name) {
+    field.dispatchEvent(new field.ownerDocument.defaultView.Event(name, {bubbles: true}));
+  });
+}
+
+test('applyMask and unmask', function () {
+  var p = page();
+  var cases = [
+    ['123456789', '###-##-####', '123-45-6789', '123456789'],
+    ['123-45-6789', '###-##-####', '123-45-6789', '123456789'],
+    ['1234', '###-##-####', '123-4', '1234'],
+    ['123', '###-##-####', '123', '123'],
+    ['2125551234', '(###) ###-####', '(212) 555-1234', '2125551234'],
+    ['212-555-1234 ext', '(###) ###-####', '(212) 555-1234', '2125551234'],
+    ['a1b2c3d4', 'A#A #A#', 'a1b 2c3', 'a1b2c3'],
+    ['', '###-##-####', '', '']
+  ];
+
+  cases.forEach(function (row) {
+    assert.strictEqual(p.basics.applyMask(row[0], row[1]), row[2], row[0]);
+    assert.strictEqual(p.basics.unmask(row[0], row[1]), row[3], row[0]);
+  });
+});
+
+test('separators are inserted as the user types', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-ssn')[0];
+
+  p.basics.bindMask(field, '###-##-####');
+  field.focus();
+
+  type(field, '1234', 4);
+  assert.strictEqual(field.value, '123-4');
+  assert.strictEqual(field.selectionEnd, 5);
+});
+
+test('editing in the middle keeps the caret in place', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-phone')[0];
+
+  p.basics.bindMask(field, '(###) ###-####');
+  field.focus();
+
+  // Type a 9 after "(212) 5", in the middle of the number.
+  type(field, '(212) 5955-1234', 8);
+  assert.strictEqual(field.value, '(212) 595-5123');
+  assert.strictEqual(field.selectionEnd, 8);
+
+  // Delete the 9 again.
+  type(field, '(212) 55-5123', 7);
+  assert.strictEqual(field.value, '(212) 555-123');
+  assert.strictEqual(field.selectionEnd, 7);
+});
+
+test('pasted values are masked, and input methods are left to finish', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-ssn')[0];
+
+  p.basics.bindMask(field, '###-##-####');
+  field.focus();
+
+  type(field, '123 45 6789', 11);
+  assert.strictEqual(field.value, '123-45-6789');
+  assert.strictEqual(field.selectionEnd, 11);
+
+  type(field, '', 0);
+  type(field, '１２', 2, ['compositionstart', 'input']);
+  assert.strictEqual(field.value, '１２');
+
+  type(field, '12', 2, ['compositionend']);
+  assert.strictEqual(field.value, '12');
+});
+
+test('rules check the unmasked value', function () {
+  var p = page(), $ = p.$;
+  var phone = $('#edit-phone')[0], ssn = $('#edit-ssn')[0];
+
+  phone.value = '2125551234';
+  ssn.value = '123456789';
+  p.basics.bindMask(phone, '(###) ###-####');
+  p.basics.bindMask(ssn, '###-##-####');
+
+  assert.strictEqual(phone.value, '(212) 555-1234');
+  assert.strictEqual(p.validator.fieldValue(phone), '2125551234');
+  assert.strictEqual(p.validator.validatePhoneField(phone, 'Incorrect Format', true), true);
+  assert.strictEqual(p.validator.validateSSNField(ssn, 'Incorrect Format', true), true);
+
+  phone.value = '(212) 555-12';
+  assert.strictEqual(p.validator.validatePhoneField(phone, 'Incorrect Format', true), false);
+});
+
+test('NumericOnlyAutoFormatBehavior keeps the caret in place', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-ssn')[0];
+
+  field.focus();
+  field.value = '12a34';
+  field.setSelectionRange(3, 3);
+  p.basics.NumericOnlyAutoFormatBehavior(field);
+
+  assert.strictEqual(field.value, '1234');
+  assert.strictEqual(field.selectionEnd, 2);
+});
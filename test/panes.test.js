@@ -0,0 +1,148 @@
+/**
+ * @file
+ *   Tests for validating part of a form, and for fields in tabs and
+ *   collapsed fieldsets.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers/drupal');
+
+var markup = [
+  '<form id="wizard-form">',
+  '  <div class="vertical-tabs">',
+  '    <ul class="vertical-tabs-list">',
+  '      <li class="vertical-tab-button" id="tab-account"><a href="#">Account</a></li>',
+  '      <li class="vertical-tab-button" id="tab-profile"><a href="#">Profile</a></li>',
+  '    </ul>',
+  '    <div class="vertical-tabs-panes">',
+  '      <fieldset id="edit-account" class="vertical-tabs-pane">',
+  '        <div class="form-item"><label for="edit-mail">Email</label><input type="text" id="edit-mail" name="mail" /></div>',
+  '      </fieldset>',
+  '      <fieldset id="edit-profile" class="vertical-tabs-pane" style="display: none">',
+  '        <div class="form-item"><label for="edit-city">City</label><input type="text" id="edit-city" name="city" /></div>',
+  '      </fieldset>',
+  '    </div>',
+  '  </div>',
+  '  <fieldset id="edit-extra" class="collapsible collapsed">',
+  '    <legend><span class="fieldset-legend">Extra</span></legend>',
+  '    <div class="fieldset-wrapper">',
+  '      <div class="form-item"><label for="edit-note">Note</label><input type="text" id="edit-note" name="note" /></div>',
+  '    </div>',
+  '  </fieldset>',
+  '  <input type="submit" id="edit-submit" value="Save" />',
+  '</form>'
+].join('');
+
+/**
+ * Load a fresh page, with vertical tabs set up as Drupal's vertical-tabs.js
+ * would, and every field required.
+ */
+function page() {
+  var window = helpers.load(markup);
+  var $ = window.jQuery;
+
+  $('.vertical-tabs-pane').each(function () {
+    var pane = this;
+
+    $(pane).data('verticalTab', {
+      item: $('#tab-' + pane.id.replace('edit-', '')),
+      focus: function () {
+        $('.vertical-tabs-pane').hide();
+        $(pane).show();
+        $('.vertical-tab-button').removeClass('selected');
+        this.item.addClass('selected');
+      }
+    });
+  });
+
+  window.Drupal.settings.drupalValidator = {forms: {'wizard-form': {fields: {
+    '#edit-mail': {rules: 'required|email', messages: {'default': 'Enter your email'}},
+    '#edit-city': {rules: 'required', messages: {'default': 'Enter your city'}},
+    '#edit-note': {rules: 'required', messages: {'default': 'Enter a note'}}
+  }}}};
+  window.Drupal.attachBehaviors(window.document);
+
+  return {
+    $: $,
+    window: window,
+    Drupal: window.Drupal,
+    validator: window.Drupal.drupalValidator
+  };
+}
+
+test('validateContainer validates only the fields inside it', function () {
+  var p = page(), $ = p.$;
+
+  assert.strictEqual(p.validator.validateContainer($('#edit-account')), false);
+  assert.ok($('#edit-mail').hasClass('error'));
+  assert.ok(!$('#edit-city').hasClass('error'));
+  assert.ok(!$('#edit-note').hasClass('error'));
+
+  $('#edit-mail').val('someone@example.com');
+  assert.strictEqual(p.validator.validateContainer($('#edit-account')[0]), true);
+  assert.ok(!$('#edit-mail').hasClass('error'));
+});
+
+test('fields in a closed tab are still validated, and their tab marked', function () {
+  var p = page(), $ = p.$;
+
+  assert.strictEqual(p.validator.fieldIsActive($('#edit-city')[0]), true);
+
+  $('#edit-mail').val('someone@example.com');
+  assert.strictEqual(p.validator.validateForm($('#wizard-form')[0]), false);
+
+  assert.ok($('#edit-city').hasClass('error'));
+  assert.ok($('#tab-profile').hasClass('error'));
+  assert.ok($('#tab-profile').hasClass('drupal-validator-pane-error'));
+  assert.ok(!$('#tab-account').hasClass('error'));
+});
+
+test('the first failing tab is opened, and its field focused', function () {
+  var p = page(), $ = p.$;
+
+  $('#edit-mail').val('someone@example.com');
+  $('#edit-note').val('Hello');
+  p.validator.validateForm($('#wizard-form')[0]);
+
+  assert.ok($('#tab-profile').hasClass('selected'));
+  assert.strictEqual($('#edit-profile').css('display'), 'block');
+  assert.strictEqual($('#edit-account').css('display'), 'none');
+  assert.strictEqual(p.window.document.activeElement, $('#edit-city')[0]);
+});
+
+test('a tab loses its error once its last field is fixed', function () {
+  var p = page(), $ = p.$;
+
+  p.validator.validateForm($('#wizard-form')[0]);
+  assert.ok($('#tab-account').hasClass('error'));
+
+  $('#edit-mail').val('someone@example.com').trigger('blur');
+  assert.ok(!$('#tab-account').hasClass('error'));
+  assert.ok($('#tab-profile').hasClass('error'));
+});
+
+test('a collapsed fieldset is opened to show its failing field', function () {
+  var p = page(), $ = p.$;
+
+  $('#edit-mail').val('someone@example.com');
+  $('#edit-city').val('Paris');
+
+  assert.strictEqual(p.validator.validateForm($('#wizard-form')[0]), false);
+  assert.ok(!$('#edit-extra').hasClass('collapsed'));
+  assert.ok($('#edit-extra > legend').hasClass('error'));
+  assert.strictEqual(p.window.document.activeElement, $('#edit-note')[0]);
+});
+
+test('a pane hidden along with its tab is skipped', function () {
+  var p = page(), $ = p.$;
+
+  // Such as by #states, or verticalTab.tabHide().
+  $('#tab-profile').hide();
+
+  $('#edit-mail').val('someone@example.com');
+  $('#edit-note').val('Hello');
+
+  assert.strictEqual(p.validator.fieldIsActive($('#edit-city')[0]), false);
+  assert.strictEqual(p.validator.validateForm($('#wizard-form')[0]), true);
+});
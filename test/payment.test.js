@@ -0,0 +1,127 @@
+/**
+ * @file
+ *   Tests for the payment field validators and digit grouping formatters.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers/drupal');
+
+var markup = [
+  '<form id="commerce-checkout-form">',
+  '  <div class="form-item"><input type="text" id="edit-number" /></div>',
+  '  <div class="form-item"><input type="text" id="edit-exp-month" /></div>',
+  '  <div class="form-item"><input type="text" id="edit-exp-year" /></div>',
+  '  <div class="form-item"><input type="text" id="edit-code" /></div>',
+  '</form>'
+].join('');
+
+/**
+ * Load a fresh page with a card form.
+ */
+function page() {
+  var window = helpers.load(markup);
+
+  return {
+    $: window.jQuery,
+    window: window,
+    basics: window.Drupal.drupalValidatorBasics,
+    validator: window.Drupal.drupalValidator
+  };
+}
+
+test('validateCardNumberField reports the brand before the checksum', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-number')[0];
+  var messages = {brand: 'We only take Visa', number: 'Check the card number'};
+
+  $(field).val('5555 5555 5555 4444');
+  assert.strictEqual(p.validator.validateCardNumberField(field, messages, true, ['visa']), false);
+  assert.strictEqual($('.messages').text(), 'We only take Visa');
+
+  $(field).val('4111 1111 1111 1112');
+  assert.strictEqual(p.validator.validateCardNumberField(field, messages, true, ['visa']), false);
+  assert.strictEqual($('.messages').text(), 'Check the card number');
+
+  $(field).val('4111 1111 1111 1111');
+  assert.strictEqual(p.validator.validateCardNumberField(field, messages, true, ['visa']), true);
+});
+
+test('validateCardExpiryField reads two fields, or one', function () {
+  var p = page(), $ = p.$;
+  var month = $('#edit-exp-month')[0], year = $('#edit-exp-year')[0];
+
+  $(month).val('01');
+  $(year).val('2001');
+  assert.strictEqual(p.validator.validateCardExpiryField(month, year, 'Expired', true), false);
+  assert.ok($(year).hasClass('error'));
+  assert.ok(!$(month).hasClass('error'));
+
+  p.validator.setErrorState(month, 'Expired');
+  $(year).val(String(new Date().getFullYear() + 1));
+  assert.strictEqual(p.validator.validateCardExpiryField(month, year, 'Expired', true), true);
+  assert.ok(!$(year).hasClass('error'));
+  assert.ok(!$(month).hasClass('error'));
+
+  $(month).val('12 / 01');
+  assert.strictEqual(p.validator.validateCardExpiryField(month, null, 'Expired', true), false);
+  $(month).val('12/' + (new Date().getFullYear() + 1));
+  assert.strictEqual(p.validator.validateCardExpiryField(month, null, 'Expired', true), true);
+});
+
+test('validateCvvField expects the brand\'s number of digits', function () {
+  var p = page(), $ = p.$;
+  var card = $('#edit-number')[0], code = $('#edit-code')[0];
+
+  $(card).val('3782 822463 10005');
+  $(code).val('123');
+  assert.strictEqual(p.validator.validateCvvField(code, card, 'Enter @digits digits', true), false);
+  assert.strictEqual($('.messages').text(), 'Enter 4 digits');
+
+  $(code).val('1234');
+  assert.strictEqual(p.validator.validateCvvField(code, card, 'Enter @digits digits', true), true);
+});
+
+test('card numbers are grouped by brand as the user types', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-number')[0];
+
+  field.value = '378282246310005';
+  p.basics.CardNumberAutoFormatBehavior(field);
+  assert.strictEqual(field.value, '3782 822463 10005');
+
+  field.value = '4111-1111-1111-1111';
+  p.basics.CardNumberAutoFormatBehavior(field);
+  assert.strictEqual(field.value, '4111 1111 1111 1111');
+});
+
+test('the grouping formatter keeps the caret after the same digit', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-number')[0];
+
+  field.focus();
+
+  // Typing a 5 after "4111 1" pushes the digits along a group.
+  field.value = '4111 15111 1111 111';
+  field.setSelectionRange(7, 7);
+  p.basics.CardNumberAutoFormatBehavior(field);
+
+  assert.strictEqual(field.value, '4111 1511 1111 1111');
+  assert.strictEqual(field.selectionEnd, 7);
+
+  field.value = '4111';
+  field.setSelectionRange(4, 4);
+  p.basics.CardNumberAutoFormatBehavior(field);
+  assert.strictEqual(field.selectionEnd, 4);
+});
+
+test('IBANs are grouped in fours, in upper case', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-number')[0];
+
+  field.value = 'gb82west12345698765432';
+  p.basics.IbanAutoFormatBehavior(field);
+  assert.strictEqual(field.value, 'GB82 WEST 1234 5698 7654 32');
+
+  assert.strictEqual(p.validator.validateIbanField(field, 'Invalid IBAN', true), true);
+});
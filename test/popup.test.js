@@ -0,0 +1,70 @@
+/**
+ * @file
+ *   Tests for the checklist popup validator.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers/drupal');
+
+var labels = {
+  length: 'At least @min characters',
+  mixed_case: 'An upper and lower case letter',
+  number: 'A number',
+  user_id: 'Does not contain your user ID'
+};
+
+/**
+ * Load a fresh page with the Drupal 7 form fixture.
+ */
+function page() {
+  var window = helpers.load(helpers.fixture('drupal7Form.html'));
+
+  return {
+    $: window.jQuery,
+    validator: window.Drupal.drupalValidator
+  };
+}
+
+test('the password popup ticks off each rule as it passes', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-pass')[0];
+
+  $('#edit-name').val('admin');
+  $(field).val('admin1');
+
+  assert.strictEqual(p.validator.validatePasswordPopup(field, $('#edit-name')[0], labels), false);
+
+  var rows = $('#edit-pass--popup-message li');
+  assert.strictEqual(rows.map(function () { return this.className; }).get().join(' '), 'failed failed passed failed');
+  assert.strictEqual(rows.first().text(), 'At least 8 characters');
+  assert.ok($(field).attr('aria-describedby').indexOf('edit-pass--popup-message') !== -1);
+
+  $(field).val('Secret123');
+  assert.strictEqual(p.validator.validatePasswordPopup(field, $('#edit-name')[0], labels), true);
+  assert.strictEqual($('#edit-pass--popup-message li.failed').length, 0);
+  assert.strictEqual($('.drupal-validator-popup').length, 1);
+});
+
+test('the popup leaves the field error state alone', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-pass')[0];
+
+  $(field).val('a');
+  p.validator.validatePasswordPopup(field, $('#edit-name')[0], labels);
+
+  assert.ok(!$(field).hasClass('error'));
+  assert.strictEqual($('.messages').length, 0);
+});
+
+test('hidePopupState removes the popup', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-pass')[0];
+
+  p.validator.validatePasswordPopup(field, $('#edit-name')[0], {number: 'A number'});
+  assert.strictEqual($('#edit-pass--popup-message li').length, 1);
+
+  p.validator.hidePopupState(field);
+  assert.strictEqual($('#edit-pass--popup-message').length, 0);
+  assert.strictEqual($(field).attr('aria-describedby'), undefined);
+});
@@ -0,0 +1,192 @@
+/**
+ * @file
+ *   Tests for compact rule strings, from settings and data-validate.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers/drupal');
+
+var markup = [
+  '<form id="user-register-form">',
+  '  <div class="form-item">',
+  '    <label for="edit-name">Username</label>',
+  '    <input type="text" id="edit-name" name="name" value="bob" />',
+  '  </div>',
+  '  <div class="form-item">',
+  '    <label for="edit-pass">Password</label>',
+  '    <input type="password" id="edit-pass" name="pass" />',
+  '  </div>',
+  '  <div class="form-item">',
+  '    <label for="edit-code">Code</label>',
+  '    <input type="text" id="edit-code" name="code" data-validate="required|length:4|numeric"',
+  '      data-validate-message="Enter the code" data-validate-messages=\'{"length": "At least @min digits"}\' />',
+  '  </div>',
+  '  <div class="form-item">',
+  '    <label for="edit-broken">Broken</label>',
+  '    <input type="text" id="edit-broken" name="broken" data-validate="required|lenght:4" />',
+  '  </div>',
+  '</form>'
+].join('');
+
+/**
+ * Load a fresh page with a registration form.
+ */
+function page() {
+  var window = helpers.load(markup);
+
+  return {
+    $: window.jQuery,
+    window: window,
+    Drupal: window.Drupal,
+    validator: window.Drupal.drupalValidator
+  };
+}
+
+/**
+ * The message of the error a function throws.
+ */
+function thrown(callback) {
+  try {
+    callback();
+  }
+  catch (error) {
+    return error.message;
+  }
+
+  return null;
+}
+
+test('parseRuleString splits rules and their arguments', function () {
+  var rules = require('../drupalValidatorRules.js');
+
+  assert.deepStrictEqual(rules.parseRuleString(' required | length: 8, 128 |notContains:#edit-name'), [
+    {name: 'required', args: []},
+    {name: 'length', args: ['8', '128']},
+    {name: 'notContains', args: ['#edit-name']}
+  ]);
+  assert.deepStrictEqual(rules.parseRuleString(''), []);
+  assert.match(thrown(function () { rules.parseRuleString('required||email'); }), /Empty rule 2 in "required\|\|email"/);
+  assert.match(thrown(function () { rules.parseRuleString('length:8,'); }), /Empty argument 2 for rule "length"/);
+  assert.match(thrown(function () { rules.parseRuleString('max-length:8'); }), /Invalid rule name "max-length"/);
+});
+
+test('parseRules builds a ruleset, with params from the arguments', function () {
+  var p = page(), $ = p.$;
+  var rules = p.validator.parseRules('required|length:8,128|upper|notContains:#edit-name', $('#edit-pass')[0]);
+
+  assert.strictEqual(rules.map(function (rule) { return rule.id; }).join(' '), 'required length upper notContains');
+  assert.strictEqual(rules[1].params.min, 8);
+  assert.strictEqual(rules[1].params.max, 128);
+  assert.strictEqual(rules[3].params.other, 'Username');
+
+  $('#edit-pass').val('Abobcat123');
+  assert.strictEqual(p.validator.runValidationRuleset(rules, true, false).map(function (result) { return result.passed; }).join(' '), 'true true true false');
+});
+
+test('parseRules explains what is wrong with a bad string', function () {
+  var p = page();
+
+  assert.match(thrown(function () { p.validator.parseRules('required|lenght:8'); }), /Unknown rule "lenght" in "required\|lenght:8"\. Known rules are: required, length, /);
+  assert.match(thrown(function () { p.validator.parseRules('length:eight'); }), /Argument 1 of rule "length" must be an integer, not "eight", in "length:eight"/);
+  assert.match(thrown(function () { p.validator.parseRules('length'); }), /Rule "length" takes 1 to 2 arguments, but was given 0/);
+  assert.match(thrown(function () { p.validator.parseRules('upper:1'); }), /Rule "upper" takes no arguments, but was given 1/);
+  assert.match(thrown(function () { p.validator.parseRules('matches:input[name='); }), /must be a valid selector/);
+  assert.match(thrown(function () { p.validator.parseRules('notContains:<img src=x id=injected>'); }), /must be a valid selector/);
+  assert.strictEqual(p.window.document.getElementById('injected'), null);
+  assert.match(thrown(function () { p.validator.parseRules('phone:US,Canada'); }), /Argument 2 of rule "phone" must be a two letter country code/);
+  assert.match(thrown(function () { p.validator.parseRules('toString'); }), /Unknown rule "toString"/);
+});
+
+test('every rule but required passes a blank field', function () {
+  var p = page(), $ = p.$;
+  var rules = p.validator.parseRules('length:8|upper|email|phone:GB|zip|date', $('#edit-pass')[0]);
+
+  assert.ok(p.validator.runValidationRuleset(rules, true, false).every(function (result) { return result.passed; }));
+  assert.strictEqual(p.validator.runValidationRuleset(p.validator.parseRules('required', $('#edit-pass')[0]), true, false)[0].passed, false);
+});
+
+test('validateRuleString displays messages by rule name, or the default', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-pass').val('short');
+  var messages = {length: 'At least @min characters', 'default': 'Choose a stronger password'};
+
+  assert.strictEqual(p.validator.validateRuleString(field[0], 'length:8|number', messages), false);
+  assert.match($('#edit-pass--error-message').text(), /At least 8 characters/);
+  assert.match($('#edit-pass--error-message').text(), /Choose a stronger password/);
+  assert.strictEqual(p.validator.errorRules(p.validator.formState(field[0]).getErrors(field[0])), 'length number');
+
+  field.val('longer123');
+  assert.strictEqual(p.validator.validateRuleString(field[0], 'length:8|number', messages), true);
+  assert.ok(!field.hasClass('error'));
+});
+
+test('settings accept a rule string in place of a rules array', function () {
+  var p = page(), $ = p.$;
+
+  p.Drupal.settings.drupalValidator = {forms: {'user-register-form': {fields: {
+    '#edit-pass': {
+      rules: 'required|length:8,128|notContains:#edit-name',
+      messages: {notContains: 'Must not contain your @other', 'default': 'Invalid password'}
+    }
+  }}}};
+  p.Drupal.attachBehaviors(p.window.document);
+
+  $('#edit-pass').val('bobby1234').trigger('blur');
+  assert.ok($('#edit-pass').hasClass('error'));
+  assert.match($('#edit-pass--error-message').text(), /Must not contain your Username/);
+
+  $('#edit-pass').val('').trigger('blur');
+  assert.match($('#edit-pass--error-message').text(), /Invalid password/);
+});
+
+test('data-validate binds a field without settings, and reports a bad string', function () {
+  var p = page(), $ = p.$, errors = [];
+
+  p.Drupal.throwError = function (error) {
+    errors.push(error.message);
+  };
+  p.Drupal.attachBehaviors(p.window.document);
+
+  assert.deepStrictEqual(errors.slice(), ['Unknown rule "lenght" in "required|lenght:4". Known rules are: ' + Object.keys(p.validator.ruleTypes).join(', ') + '.']);
+
+  $('#edit-code').val('12').trigger('blur');
+  assert.match($('#edit-code--error-message').text(), /At least 4 digits/);
+
+  $('#edit-code').val('12ab').trigger('blur');
+  assert.match($('#edit-code--error-message').text(), /Enter the code/);
+
+  $('#edit-code').val('1234').trigger('blur');
+  assert.ok(!$('#edit-code').hasClass('error'));
+
+  // The broken field is left alone.
+  $('#edit-broken').trigger('blur');
+  assert.ok(!$('#edit-broken').hasClass('error'));
+});
+
+test('a bad data-validate string is only reported once, however often behaviors attach', function () {
+  var p = page(), errors = [];
+
+  p.Drupal.throwError = function (error) {
+    errors.push(error.message);
+  };
+  p.Drupal.attachBehaviors(p.window.document);
+  p.Drupal.attachBehaviors(p.window.document);
+
+  assert.strictEqual(errors.length, 1);
+});
+
+test('data-validate fields are released when behaviors detach', function () {
+  var p = page(), $ = p.$;
+
+  p.Drupal.attachBehaviors(p.window.document);
+  p.Drupal.behaviors.drupalValidatorAttributes.detach($('form')[0], p.Drupal.settings, 'unload');
+  assert.ok(!$('#edit-code').hasClass('drupal-validator-bound'));
+
+  $('#edit-code').val('12').trigger('blur');
+  assert.ok(!$('#edit-code').hasClass('error'));
+
+  p.Drupal.attachBehaviors(p.window.document);
+  $('#edit-code').trigger('blur');
+  assert.match($('#edit-code--error-message').text(), /At least 4 digits/);
+});
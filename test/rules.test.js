@@ -0,0 +1,465 @@
+/**
+ * @file
+ *   Table-driven tests for every Drupal.drupalValidatorBasics rule.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers/drupal');
+
+var window = helpers.load();
+var basics = window.Drupal.drupalValidatorBasics;
+
+/**
+ * Run a table of cases against a rule.
+ *
+ * @param {string} rule
+ *   The rule's name on Drupal.drupalValidatorBasics.
+ * @param {array} cases
+ *   Each case is [arguments, expected result].
+ */
+function table(rule, cases) {
+  test(rule, function () {
+    cases.forEach(function (row) {
+      assert.strictEqual(basics[rule].apply(null, row[0]), row[1], rule + '(' + JSON.stringify(row[0]) + ')');
+    });
+  });
+}
+
+table('ssnValid', [
+  [['123-45-6789', true], true],
+  [['123456789', true], true],
+  [['123-456789', true], true],
+  [['12345678', true], false],
+  [['1234567890', true], false],
+  [['123-45-678a', true], false],
+  [['123 45 6789', true], false],
+  [['', false], true],
+  [['', true], false]
+]);
+
+table('emailValid', [
+  [['someone@example.com', true], true],
+  [['some.one+tag@mail.example.co.uk', true], true],
+  [['someone@example', true], true],
+  [['someone', true], false],
+  [['someone@', true], false],
+  [['@example.com', true], false],
+  [['someone@-example.com', true], false],
+  [['', false], true],
+  [['', true], false]
+]);
+
+table('phoneValid', [
+  [['212-555-1234', true], true],
+  [['2125551234', true], true],
+  [['212-5551234', true], true],
+  [['212 555 1234', true], false],
+  [['(212) 555-1234', true], false],
+  [['212-555-123', true], false],
+  [['111-111-1111', true], false],
+  [['1111111111', true], false],
+  [['', false], true],
+  [['', true], false]
+]);
+
+table('phoneValidInternational', [
+  [['(212) 555-1234', true, {countries: ['US']}], true],
+  [['1-212-555-1234', true, {countries: 'US'}], true],
+  [['+1 212 555 1234 ext. 12', true, {countries: ['US']}], true],
+  [['212-555-1234', true], true],
+  [['123-555-1234', true, {countries: ['US']}], false],
+  [['111-111-1111', true, {countries: ['US']}], false],
+  [['111-111-1111', true, {countries: ['US'], reject_repeated: false}], false],
+  [['222-222-2222', true, {countries: ['US'], reject_repeated: false}], true],
+  [['222-222-2222', true, {countries: ['US']}], false],
+  [['+44 20 7946 0000', true, {countries: ['GB']}], true],
+  [['020 7946 0000', true, {countries: ['GB']}], true],
+  [['0044 20 7946 0000', true, {countries: ['GB']}], true],
+  [['011 44 20 7946 0000', true, {countries: ['GB']}], true],
+  [['0114 496 0000', true, {countries: ['GB']}], true],
+  [['0114 496 0000', true, {countries: ['US']}], false],
+  [['+44 20 7946 0000', true, {countries: ['US']}], false],
+  [['+33 1 23 45 67 89', true, {countries: ['US', 'FR']}], true],
+  [['06 1234 5678', true, {countries: ['IT']}], true],
+  [['02 9876 5432', true, {countries: ['AU']}], true],
+  [['212-555-abcd', true, {countries: ['US']}], false],
+  [['212-555-1234', true, {countries: ['XX']}], false],
+  [['212-555-1234', true, {countries: ['XX', 'US']}], true],
+  [['+358 9 1234 5678', true, {countries: ['FI']}], true],
+  [['12345', true, {countries: ['FI']}], false],
+  [['', false, {countries: ['GB']}], true],
+  [['', true, {countries: ['GB']}], false]
+]);
+
+table('postalCodeValid', [
+  [['12345', true], true],
+  [['12345-6789', true, {countries: ['US']}], false],
+  [['12345-6789', true, {countries: ['US'], zip_plus_four: true}], true],
+  [['12345', true, {countries: ['US'], zip_plus_four: true}], true],
+  [['1234', true, {countries: 'US'}], false],
+  [['K1A 0B1', true, {countries: ['CA']}], true],
+  [['k1a0b1', true, {countries: ['CA']}], true],
+  [['D1A 0B1', true, {countries: ['CA']}], false],
+  [['SW1A 1AA', true, {countries: ['GB']}], true],
+  [[' ec1a1bb ', true, {countries: ['GB']}], true],
+  [['1012 AB', true, {countries: ['NL']}], true],
+  [['10115', true, {countries: ['US', 'DE']}], true],
+  [['00-950', true, {countries: ['PL']}], true],
+  [['K1A 0B1', true, {countries: ['US']}], false],
+  [['12345', true, {countries: ['XX']}], true],
+  [['K1A 0B1', true, {countries: ['US', 'XX']}], false],
+  [['K1A 0B1', true, {countries: ['US', 'ZA']}], false],
+  [['#!?', true, {countries: ['US', 'ZA']}], false],
+  [['0001', true, {countries: ['US', 'ZA']}], true],
+  [['', false, {countries: ['CA']}], true],
+  [['', true, {countries: ['CA']}], false]
+]);
+
+test('PostalCodeAutoFormatBehavior', function () {
+  var cases = [
+    ['k1a0b1', 'CA', 'K1A 0B1'],
+    ['  sw1a   1aa ', 'GB', 'SW1A 1AA'],
+    ['ec1a1bb', 'GB', 'EC1A 1BB'],
+    ['1012ab', 'NL', '1012 AB'],
+    ['12345-6789', 'US', '12345-6789'],
+    [' 10115 ', 'DE', '10115']
+  ];
+
+  cases.forEach(function (row) {
+    var element = {value: row[0]};
+    basics.PostalCodeAutoFormatBehavior(element, row[1]);
+    assert.strictEqual(element.value, row[2], row[0]);
+  });
+});
+
+table('dateValid', [
+  [['10/19/2015', 'm/d/Y', true], true],
+  [['02/29/2016', 'm/d/Y', true], true],
+  [['02/29/2015', 'm/d/Y', true], false],
+  [['13/01/2015', 'm/d/Y', true], false],
+  [['2015-10-19', 'm/d/Y', true], false],
+  [['19.10.2015', 'd.m.Y', true], true],
+  [['Oct 19 2015', 'M j Y', true], true],
+  [['19 October 2015', 'j F Y', true], true],
+  [['19 Octember 2015', 'j F Y', true], false],
+  [['2015-10-19 1:30 pm', 'Y-m-d g:i a', true], true],
+  [['2015-10-19 13:30 pm', 'Y-m-d g:i a', true], false],
+  [['2015-10-19 24:00', 'Y-m-d H:i', true], false],
+  [['', 'm/d/Y', false], true],
+  [['', 'm/d/Y', true], false]
+]);
+
+table('dateInRange', [
+  [['10/19/2015', 'm/d/Y', '2015-10-19', '2015-10-31'], true],
+  [['10/18/2015', 'm/d/Y', '2015-10-19', null], false],
+  [['11/01/2015', 'm/d/Y', null, '10/31/2015'], false],
+  [['11/01/2015', 'm/d/Y', new Date(2015, 10, 1), undefined], true],
+  [['not a date', 'm/d/Y', '2015-10-19', null], true]
+]);
+
+table('ageValid', [
+  [['06/15/2000', 'm/d/Y', 18, null, new Date(2018, 5, 14)], false],
+  [['06/15/2000', 'm/d/Y', 18, null, new Date(2018, 5, 15)], true],
+  [['06/15/1900', 'm/d/Y', 18, 120, new Date(2018, 5, 15)], true],
+  [['06/15/1890', 'm/d/Y', 18, 120, new Date(2018, 5, 15)], false],
+  [['', 'm/d/Y', 18, null], true]
+]);
+
+table('dateRangeValid', [
+  [['10/19/2015', '10/20/2015', 'm/d/Y'], true],
+  [['10/19/2015', '10/19/2015', 'm/d/Y'], false],
+  [['10/19/2015', '10/19/2015', 'm/d/Y', true], true],
+  [['10/19/2015', '10/18/2015', 'm/d/Y', true], false],
+  [['10/19/2015', '', 'm/d/Y'], true]
+]);
+
+test('formatDate reverses parseDate', function () {
+  var formats = ['m/d/Y', 'd.m.y', 'j F Y', 'M j, Y \\a\\t g:i A', 'Y-m-d H:i:s'];
+
+  formats.forEach(function (format) {
+    var date = new Date(2015, 9, 9, 13, 5, 7);
+    var text = basics.formatDate(date, format);
+    var parsed = basics.parseDate(text, format);
+
+    assert.strictEqual(basics.formatDate(parsed, format), text, format);
+  });
+
+  assert.strictEqual(basics.formatDate(new Date(2015, 9, 9, 13, 5), 'M j, Y \\a\\t g:i A'), 'Oct 9, 2015 at 1:05 PM');
+});
+
+table('luhnValid', [
+  [['4111111111111111'], true],
+  [['4111 1111 1111 1111'], true],
+  [['4111111111111112'], false],
+  [['79927398713'], true],
+  [['4111-1111-1111-111a'], false]
+]);
+
+table('cardNumberValid', [
+  [['4111 1111 1111 1111', true], true],
+  [['378282246310005', true], true],
+  [['5555555555554444', true], true],
+  [['2221000000000009', true], true],
+  [['2720990000000007', true], true],
+  [['2721000000000004', true], false],
+  [['2200000000000004', true], false],
+  [['6221260000000000', true, ['unionpay']], true],
+  [['6229250000000003', true, ['discover']], false],
+  [['6011111111111117', true], true],
+  [['3530111333300000', true], true],
+  [['30569309025904', true], true],
+  [['5555555555554444', true, ['visa', 'amex']], false],
+  [['4111111111111112', true], false],
+  [['411111111111111', true], false],
+  [['9111111111111111', true], false],
+  [['', false], true],
+  [['', true], false]
+]);
+
+table('cardExpiryValid', [
+  [['10', '2015', new Date(2015, 9, 19)], true],
+  [['9', '2015', new Date(2015, 9, 19)], false],
+  [['01', '16', new Date(2015, 9, 19)], true],
+  [['13', '2016', new Date(2015, 9, 19)], false],
+  [['1', '201', new Date(2015, 9, 19)], false]
+]);
+
+table('cvvValid', [
+  [['1234', 'amex', true], true],
+  [['123', 'amex', true], false],
+  [['123', 'visa', true], true],
+  [['1234', 'visa', true], false],
+  [['1234', null, true], true],
+  [['12a', null, true], false],
+  [['', 'visa', false], true]
+]);
+
+table('ibanValid', [
+  [['GB82 WEST 1234 5698 7654 32', true], true],
+  [['gb82west12345698765432', true], true],
+  [['DE89 3704 0044 0532 0130 00', true], true],
+  [['GB82 WEST 1234 5698 7654 33', true], false],
+  [['GB82 WEST 1234 5698 7654 3', true], false],
+  [['', false], true],
+  [['', true], false]
+]);
+
+table('routingNumberValid', [
+  [['011000015', true], true],
+  [['021000021', true], true],
+  [['011000016', true], false],
+  [['991000015', true], false],
+  [['01100001', true], false],
+  [['', false], true]
+]);
+
+table('checkedCountValid', [
+  [[1], true],
+  [[0], false],
+  [[0, 0], true],
+  [[2, 2, 3], true],
+  [[1, 2, 3], false],
+  [[4, 2, 3], false],
+  [[9, 1, null], true]
+]);
+
+table('optionChosen', [
+  [['red'], true],
+  [[''], false],
+  [['_none'], false],
+  [['0'], true],
+  [[['', 'red']], true],
+  [[[]], false],
+  [['All', ['All']], false],
+  [['', ['All']], true]
+]);
+
+table('parseSize', [
+  [['2 MB'], 2097152],
+  [['512K'], 524288],
+  [['1.5 KB'], 1536],
+  [['100'], 100],
+  [[0], 0]
+]);
+
+table('formatSize', [
+  [[1], '1 byte'],
+  [[512], '512 bytes'],
+  [[1536], '1.5 KB'],
+  [[2097152], '2 MB']
+]);
+
+table('fileExtensionValid', [
+  [['photo.png', 'png gif jpg'], true],
+  [['PHOTO.JPG', 'png gif jpg'], true],
+  [['photo.png.exe', 'png gif jpg'], false],
+  [['photo', 'png'], false],
+  [['archive.tar.gz', ['gz']], true],
+  [['anything.exe', ''], true]
+]);
+
+table('fileSizeValid', [
+  [[1024, '1 KB'], true],
+  [[1025, '1 KB'], false],
+  [[5000000, 0], true],
+  [[5000000, ''], true]
+]);
+
+table('imageResolutionValid', [
+  [[800, 600, '640x480', '1024x768'], true],
+  [[600, 600, '640x480'], false],
+  [[800, 400, '640x480'], false],
+  [[2000, 600, null, '1024x768'], false],
+  [[2000, 600, '0', '0'], true],
+  [[640, 480, {width: 640, height: 480}], true]
+]);
+
+table('lengthValid', [
+  [['abc', 1, 5, true], true],
+  [['abcde', 5, 5, true], true],
+  [['abcdef', 1, 5, true], false],
+  [['ab', 3, 5, true], false],
+  [['', 1, 5, false], true],
+  [['', 1, 5, true], false],
+  [['anything', undefined, undefined, true], true],
+  [['abc', undefined, 2, true], false],
+  [['ab', undefined, 2, true], true],
+  [['a', 2, undefined, true], false],
+  [['ab', 2, undefined, true], true]
+]);
+
+table('fieldNotEmpty', [
+  [['a'], true],
+  [[' '], true],
+  [[''], false]
+]);
+
+table('doesNotContainDoubleCharacters', [
+  [['abcabc'], true],
+  [['aabbcc'], true],
+  [['aaabc'], false],
+  [['abccc'], false]
+]);
+
+table('doesNotContainValue', [
+  [['bob', 'alice123', false], true],
+  [['bob', 'xbobx', false], false],
+  [['bob', 'bob', true], false],
+  [['', 'alice123', false], true],
+  [['', 'alice123', true], false]
+]);
+
+table('containsSpecialCharacters', [
+  [['abc!'], true],
+  [['abc@'], true],
+  [['abc?'], true],
+  [['abc1'], true],
+  [['abc#'], false],
+  [['abc'], false]
+]);
+
+table('containsUppercase', [
+  [['abC'], true],
+  [['abc'], false],
+  [['123'], false]
+]);
+
+table('containsLowercase', [
+  [['ABc'], true],
+  [['ABC'], false],
+  [['123'], false]
+]);
+
+table('containsNumber', [
+  [['abc1'], true],
+  [['abc'], false]
+]);
+
+table('containsOnlyAlphaNumeric', [
+  [['abc123'], true],
+  [['ABC'], true],
+  [[''], true],
+  [['abc 123'], false],
+  [['abc-123'], false]
+]);
+
+table('containsOnlyNumeric', [
+  [['12345'], true],
+  [[''], true],
+  [['1234a'], false],
+  [['12-34'], false]
+]);
+
+table('containsAtLeastOneAlpha', [
+  [['123a'], true],
+  [['123A'], true],
+  [['123'], false]
+]);
+
+table('containsLowerAndUppercase', [
+  [['aB'], true],
+  [['ab'], false],
+  [['AB'], false]
+]);
+
+test('field-based rules', function () {
+  var $ = window.jQuery;
+  var fields = $('<input value="one" /><input value="one" /><input value="" /><input value="" />').get();
+
+  var cases = [
+    ['fieldsMatch', [fields[0], fields[1], true], true],
+    ['fieldsMatch', [fields[0], fields[2], true], false],
+    ['fieldsMatch', [fields[0], fields[2], false], true],
+    ['fieldsMatch', [fields[2], fields[3], true], true],
+    ['allFieldsEmpty', [[fields[2], fields[3]]], true],
+    ['allFieldsEmpty', [[fields[0], fields[2]]], false],
+    ['allFieldsEmpty', [[]], true],
+    ['NotEmptyIfAnyFieldsNotEmpty', [fields[2], [fields[0], fields[2]]], false],
+    ['NotEmptyIfAnyFieldsNotEmpty', [fields[2], [fields[2], fields[3]]], true],
+    ['NotEmptyIfAnyFieldsNotEmpty', [fields[0], [fields[0], fields[2]]], true]
+  ];
+
+  cases.forEach(function (row) {
+    assert.strictEqual(basics[row[0]].apply(null, row[1]), row[2], row[0] + ' case ' + cases.indexOf(row));
+  });
+});
+
+test('the UMD build matches the browser rules', function () {
+  var rules = require('../drupalValidatorRules.js');
+
+  assert.strictEqual(rules.emailValid('someone@example.com', true), true);
+  assert.strictEqual(rules.fieldsMatch('one', 'two', true), false);
+  assert.strictEqual(rules.fieldsMatch('one', '', false), true);
+  assert.strictEqual(rules.allFieldsEmpty(['', '']), true);
+  assert.strictEqual(rules.NotEmptyIfAnyFieldsNotEmpty('', ['one']), false);
+  assert.strictEqual(basics.ssnValid, window.drupalValidatorRules.ssnValid);
+});
+
+test('the browser rules work without the UMD build, from their own copy', function () {
+  var fs = require('fs');
+  var path = require('path');
+  var page = new (require('jsdom').JSDOM)('', {runScripts: 'outside-only'}).window;
+
+  page.eval(fs.readFileSync(require.resolve('jquery'), 'utf8'));
+  page.eval('window.Drupal = {behaviors: {}};');
+  page.eval(fs.readFileSync(path.join(__dirname, '..', 'drupalValidatorBasics.js'), 'utf8'));
+
+  assert.strictEqual(page.Drupal.drupalValidatorBasics.emailValid('someone@example.com', true), true);
+  assert.strictEqual(page.Drupal.drupalValidatorBasics.phoneValidInternational('020 7946 0000', true, {countries: ['GB']}), true);
+  assert.strictEqual(page.Drupal.drupalValidatorBasics.ssnValid, page.drupalValidatorRules.ssnValid);
+});
+
+test('the browser rules\' copy matches the UMD build', function () {
+  var fs = require('fs');
+  var path = require('path');
+  var factory = function (file) {
+    var source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    var start = source.indexOf('}(this, function () {\n');
+
+    return source.slice(start, source.indexOf('\n}));', start));
+  };
+
+  assert.ok(factory('drupalValidatorRules.js').length > 1000);
+  assert.ok(factory('drupalValidatorBasics.js') === factory('drupalValidatorRules.js'), 'Copy the rules from drupalValidatorRules.js into drupalValidatorBasics.js.');
+});
@@ -0,0 +1,237 @@
+/**
+ * @file
+ *   Tests for the layer 3.B ruleset and binding functions.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers/drupal');
+
+/**
+ * Load a fresh page with the Drupal 7 form fixture.
+ */
+function page() {
+  var window = helpers.load(helpers.fixture('drupal7Form.html'));
+
+  return {
+    window: window,
+    $: window.jQuery,
+    validator: window.Drupal.drupalValidator
+  };
+}
+
+test('runValidationRuleset accepts booleans, functions and rule objects', function () {
+  var validator = page().validator;
+
+  assert.strictEqual(validator.runValidationRuleset([true, function () { return true; }, {id: 'a', callback: true}]), true);
+  assert.strictEqual(validator.runValidationRuleset([true, function () { return false; }]), false);
+  assert.strictEqual(validator.runValidationRuleset([]), true);
+});
+
+test('runValidationRuleset only calls deferred rules until the first failure', function () {
+  var validator = page().validator;
+  var called = false;
+
+  var result = validator.runValidationRuleset([false, function () { called = true; return true; }], false, true);
+
+  assert.strictEqual(result, false);
+  assert.strictEqual(called, false);
+});
+
+test('runValidationRuleset returns a result object per rule', function () {
+  var validator = page().validator;
+
+  var results = validator.runValidationRuleset([
+    {id: 'length', callback: function () { return false; }, message: 'Too short', params: {min: 8}},
+    true
+  ], true);
+
+  assert.strictEqual(results.length, 2);
+  assert.strictEqual(results[0].rule, 'length');
+  assert.strictEqual(results[0].passed, false);
+  assert.strictEqual(results[0].message, 'Too short');
+  assert.strictEqual(results[0].params.min, 8);
+  assert.strictEqual(results[1].rule, 1);
+  assert.strictEqual(results[1].passed, true);
+});
+
+test('bindFieldValidationArray displays every failing message, or the first', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-pass')[0];
+  var user = $('#edit-name')[0];
+  var messages = {length: 'At least @min characters', number: 'Must contain a number'};
+
+  $(field).val('abc');
+
+  assert.strictEqual(p.validator.validatePasswordField(field, user, messages), false);
+  assert.strictEqual($('#edit-pass--error-message').html(), '<ul><li>At least 8 characters</li><li>Must contain a number</li></ul>');
+
+  p.validator.messageMode = 'first';
+  p.validator.validatePasswordField(field, user, messages);
+  assert.strictEqual($('#edit-pass--error-message').html(), 'At least 8 characters');
+});
+
+test('bindFieldValidationArray recovers the field once every rule passes', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-pass')[0];
+
+  $(field).val('abc');
+  p.validator.validatePasswordField(field, $('#edit-name')[0], 'Invalid password');
+  assert.ok($(field).hasClass('error'));
+
+  $(field).val('Abcdefg1');
+  assert.strictEqual(p.validator.validatePasswordField(field, $('#edit-name')[0], 'Invalid password'), true);
+  assert.ok(!$(field).hasClass('error'));
+});
+
+test('messages are formatted with the field label', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-mail')[0];
+
+  p.validator.validateRequiredField(field, '@label is required');
+
+  assert.strictEqual($('#edit-mail--error-message').html(), 'E-mail address is required');
+});
+
+test('validateRemoteField checks the server once per value', async function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-name')[0];
+  var requests = [];
+
+  // A local mock of the Drupal AJAX callback.
+  $.ajax = function (options) {
+    var deferred = $.Deferred();
+    requests.push(options.data.value);
+    setTimeout(function () {
+      deferred.resolve({valid: options.data.value !== 'admin'});
+    }, 1);
+    return deferred.promise({abort: function () {
+      deferred.reject(null, 'abort');
+    }});
+  };
+
+  $(field).val('admin');
+  var pending = p.validator.validateRemoteField(field, '/user/validate/name', 'Taken', false, 'Checking...');
+
+  assert.ok($(field).hasClass('checking'));
+  assert.strictEqual($('#edit-name--checking-message').text(), 'Checking...');
+
+  assert.strictEqual(await pending, false);
+  assert.ok(!$(field).hasClass('checking'));
+  assert.strictEqual($('#edit-name--error-message').html(), 'Taken');
+
+  // The cached result is returned straight away.
+  assert.strictEqual(p.validator.validateRemoteField(field, '/user/validate/name', 'Taken', false, 'Checking...'), false);
+  assert.deepStrictEqual(requests, ['admin']);
+});
+
+test('a form with a delayed remote rule can be submitted', async function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-name')[0];
+  var requests = [];
+
+  $.ajax = function (options) {
+    var deferred = $.Deferred();
+    requests.push(options.data.value);
+    setTimeout(function () {
+      deferred.resolve({valid: true});
+    }, 1);
+    return deferred.promise({abort: function () {
+      deferred.reject(null, 'abort');
+    }});
+  };
+
+  var validate = function (element) {
+    return p.validator.validateRemoteField(element, '/check', 'Taken', false, 'Checking...', 60000);
+  };
+  p.validator.registerField(field, validate);
+
+  var form = $(field).closest('form')[0];
+  var wait = function () {
+    return new Promise(function (resolve) { setTimeout(resolve, 10); });
+  };
+
+  // The submit checks the value at once, rather than after the delay, and
+  // goes through once the server has answered.
+  $(field).val('ada');
+  assert.strictEqual(p.validator.validateForm(form), false);
+  assert.deepStrictEqual(requests, ['ada']);
+  await wait();
+  assert.strictEqual(p.validator.validateForm(form), true);
+
+  // A check still waiting on the user to stop typing doesn't hold it up.
+  $(field).val('grace');
+  validate(field);
+  assert.strictEqual(p.validator.validateForm(form), false);
+  await wait();
+  assert.strictEqual(p.validator.validateForm(form), true);
+  assert.deepStrictEqual(requests, ['ada', 'grace']);
+});
+
+test('a newer validation makes a pending check stale', async function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-name')[0];
+
+  $.ajax = function (options) {
+    var deferred = $.Deferred();
+    setTimeout(function () {
+      deferred.resolve({valid: true});
+    }, 1);
+    return deferred.promise({abort: function () {
+      deferred.reject(null, 'abort');
+    }});
+  };
+
+  $(field).val('first');
+  var first = p.validator.validateRemoteField(field, '/check', 'Taken', false, '', 0);
+  $(field).val('second');
+  var second = p.validator.validateRemoteField(field, '/check', 'Taken', false, '', 0);
+
+  await assert.rejects(Promise.resolve(first));
+  assert.strictEqual(await second, true);
+});
+
+test('a submit made while a field is being checked goes through once it passes', async function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-name')[0];
+  var answers = {ada: true, bob: false};
+  var submits = [];
+
+  $.ajax = function (options) {
+    var deferred = $.Deferred();
+    setTimeout(function () {
+      deferred.resolve({valid: answers[options.data.value]});
+    }, 1);
+    return deferred.promise({abort: function () {
+      deferred.reject(null, 'abort');
+    }});
+  };
+
+  p.validator.registerField(field, function (element) {
+    return p.validator.validateRemoteField(element, '/check', 'Taken', false, 'Checking...', 0);
+  });
+
+  // Count the submits which get past the validator, without leaving the page.
+  $('form').on('submit', function (event) {
+    submits.push($(field).val());
+    event.preventDefault();
+  });
+
+  var wait = function () {
+    return new Promise(function (resolve) { setTimeout(resolve, 50); });
+  };
+
+  $(field).val('ada');
+  $('#edit-submit').trigger('click');
+  assert.strictEqual(submits.length, 0);
+  assert.match($('#edit-name--checking-message').text(), /Checking\.\.\./);
+  await wait();
+  assert.deepStrictEqual(submits.slice(), ['ada']);
+
+  // A check which fails leaves the submit stopped, with its error.
+  $(field).val('bob');
+  $('#edit-submit').trigger('click');
+  await wait();
+  assert.deepStrictEqual(submits.slice(), ['ada']);
+  assert.ok($(field).hasClass('error'));
+});
@@ -0,0 +1,128 @@
+/**
+ * @file
+ *   Tests for reading server-rendered Form API errors.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers/drupal');
+
+var markup = [
+  '<div class="messages error">',
+  '  <h2 class="element-invisible">Error message</h2>',
+  '  <ul>',
+  '    <li>Password field is required.</li>',
+  '    <li>Confirm password field is required.</li>',
+  '    <li>The name <em>admin</em> is <a href="#edit-name">already taken</a>.</li>',
+  '  </ul>',
+  '</div>',
+  '<form id="user-register-form">',
+  '  <div class="form-item">',
+  '    <div class="form-item-label"><label for="edit-name">Username <span class="form-required">*</span></label></div>',
+  '    <input type="text" id="edit-name" class="error" value="admin" />',
+  '  </div>',
+  '  <div class="form-item">',
+  '    <div class="form-item-label"><label for="edit-pass">Password</label></div>',
+  '    <input type="password" id="edit-pass" class="error" />',
+  '  </div>',
+  '  <div class="form-item">',
+  '    <div class="form-item-label"><label for="edit-pass-confirm">Confirm password</label></div>',
+  '    <input type="password" id="edit-pass-confirm" class="error" />',
+  '  </div>',
+  '</form>'
+].join('');
+
+/**
+ * Load a fresh page, as Drupal renders a form which failed validation.
+ */
+function page() {
+  var window = helpers.load(markup);
+
+  window.Drupal.attachBehaviors(window.document);
+
+  return {
+    $: window.jQuery,
+    window: window,
+    validator: window.Drupal.drupalValidator
+  };
+}
+
+test('server errors are read into the error state on attach', function () {
+  var p = page(), $ = p.$;
+
+  assert.ok($('#user-register-form').hasClass('form-error-state'));
+  assert.strictEqual($('#edit-pass').attr('aria-invalid'), 'true');
+
+  var described = $('#' + $('#edit-pass-confirm').attr('aria-describedby'));
+  assert.strictEqual(described.text(), 'Confirm password field is required.');
+
+  described = $('#' + $('#edit-name').attr('aria-describedby'));
+  assert.strictEqual(described.text(), 'The name admin is already taken.');
+});
+
+test('server errors are recorded in the form state', function () {
+  var p = page(), $ = p.$;
+  var state = p.validator.formState($('#user-register-form')[0]);
+
+  assert.strictEqual(state.isValid(), false);
+  assert.strictEqual(state.getErrors($('#edit-pass')[0])[0].rule, 'server');
+  assert.strictEqual(state.getErrors($('#edit-pass')[0])[0].message, 'Password field is required.');
+});
+
+test('fixing a field clears its server message', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-pass')[0];
+
+  $(field).val('Secret123');
+  assert.strictEqual(p.validator.validateRequiredField(field, '@label is required'), true);
+
+  assert.strictEqual($('.messages.error li').length, 2);
+  assert.strictEqual($('.messages.error').text().indexOf('Password field'), -1);
+  assert.ok($('.messages.error').text().indexOf('Confirm password field') !== -1);
+  assert.strictEqual($(field).attr('aria-describedby') || '', '');
+});
+
+test('a field passing with the rejected value keeps its server message', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-name')[0];
+
+  assert.strictEqual(p.validator.bindFieldValidationArray(field, [true], 'Invalid'), true);
+  assert.strictEqual($('.messages.error li').length, 3);
+
+  $(field).val('someone');
+  assert.strictEqual(p.validator.bindFieldValidationArray(field, [true], 'Invalid'), true);
+  assert.strictEqual($('.messages.error li').length, 2);
+});
+
+test('a field keeps its server message until all of its rules pass', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-pass')[0];
+
+  $(field).val('short');
+  assert.strictEqual(p.validator.runValidation(field, function () {
+    return p.validator.bindValidationError(field, true, 'Required', null, 'required')
+      && p.validator.bindFieldValidationArray(field, [false], 'Too short');
+  }), false);
+  assert.strictEqual($('.messages.error li').length, 3);
+
+  $(field).val('Secret123');
+  assert.strictEqual(p.validator.runValidation(field, function () {
+    return p.validator.bindValidationError(field, true, 'Required', null, 'required')
+      && p.validator.bindFieldValidationArray(field, [true], 'Too short');
+  }), true);
+  assert.strictEqual($('.messages.error li').length, 2);
+});
+
+test('the message block goes with its last message', function () {
+  var p = page(), $ = p.$;
+
+  $('#edit-name').val('someone');
+  $('#edit-pass, #edit-pass-confirm').val('Secret123');
+  $('#edit-name, #edit-pass, #edit-pass-confirm').each(function () {
+    p.validator.recoverErrorState(this);
+    p.validator.validateRequiredField(this, '@label is required');
+  });
+
+  assert.strictEqual($('.messages.error').length, 0);
+  assert.ok(!$('#user-register-form').hasClass('form-error-state'));
+});
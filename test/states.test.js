@@ -0,0 +1,153 @@
+/**
+ * @file
+ *   Tests for skipping inactive fields, and conditional rules.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers/drupal');
+
+var markup = [
+  '<form id="contact-form">',
+  '  <div class="form-item">',
+  '    <label for="edit-contact-method">Contact method</label>',
+  '    <select id="edit-contact-method" name="contact_method"><option value="email">Email</option><option value="phone">Phone</option></select>',
+  '  </div>',
+  '  <div class="form-item" id="phone-wrapper">',
+  '    <div class="form-item-label"><label for="edit-phone">Phone</label></div>',
+  '    <input type="text" id="edit-phone" name="phone" />',
+  '  </div>',
+  '  <input type="submit" id="edit-submit" value="Send" />',
+  '</form>'
+].join('');
+
+/**
+ * Load a fresh page with a contact form.
+ */
+function page() {
+  var window = helpers.load(markup);
+
+  return {
+    $: window.jQuery,
+    window: window,
+    validator: window.Drupal.drupalValidator
+  };
+}
+
+test('fieldIsActive checks display, disabled and detached fields', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-phone')[0];
+
+  assert.strictEqual(p.validator.fieldIsActive(field), true);
+
+  $('#phone-wrapper').css('display', 'none');
+  assert.strictEqual(p.validator.fieldIsActive(field), false);
+
+  $('#phone-wrapper').css('display', '');
+  $(field).prop('disabled', true);
+  assert.strictEqual(p.validator.fieldIsActive(field), false);
+
+  $(field).prop('disabled', false);
+  assert.strictEqual(p.validator.fieldIsActive($('<input type="text" />')[0]), false);
+  assert.strictEqual(p.validator.fieldIsActive(field), true);
+});
+
+test('hidden fields pass, and lose their error', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-phone')[0];
+
+  assert.strictEqual(p.validator.validateRequiredField(field, '@label is required'), false);
+  assert.ok($(field).hasClass('error'));
+
+  $('#phone-wrapper').hide();
+  assert.strictEqual(p.validator.validateRequiredField(field, '@label is required'), true);
+  assert.strictEqual(p.validator.bindFieldValidationArray(field, [false], 'Invalid'), true);
+  assert.ok(!$(field).hasClass('error'));
+  assert.strictEqual($('.messages').text(), '');
+});
+
+test('disabled fields are skipped on submit', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-phone')[0];
+
+  p.validator.registerField(field, function (element) {
+    return p.validator.validateRequiredField(element, '@label is required');
+  });
+
+  assert.strictEqual(p.validator.validateForm($('#contact-form')), false);
+
+  $(field).prop('disabled', true);
+  assert.strictEqual(p.validator.validateForm($('#contact-form')), true);
+  assert.ok(!$(field).hasClass('error'));
+});
+
+test('#states releases the fields it hides or disables', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-phone')[0];
+
+  p.window.Drupal.attachBehaviors(p.window.document);
+  p.validator.validateRequiredField(field, '@label is required');
+
+  // Changes #states didn't trigger itself are ignored.
+  $('#phone-wrapper').trigger({type: 'state:visible', value: false});
+  assert.ok($(field).hasClass('error'));
+
+  $(field).trigger({type: 'state:visible', value: true, trigger: true});
+  assert.ok($(field).hasClass('error'));
+
+  $(field).trigger({type: 'state:disabled', value: true, trigger: true});
+  assert.ok(!$(field).hasClass('error'));
+  assert.ok(!$('#contact-form').hasClass('form-error-state'));
+});
+
+test('rules are skipped while their condition is not met', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-phone')[0];
+  var condition = {'#edit-contact-method': {value: 'phone'}};
+  var rules = [
+    {id: 'required', condition: condition, callback: function () {
+      return $(field).val() !== '';
+    }}
+  ];
+
+  assert.strictEqual(p.validator.bindFieldValidationArray(field, rules, {required: 'Required'}), true);
+
+  $('#edit-contact-method').val('phone');
+  assert.strictEqual(p.validator.bindFieldValidationArray(field, rules, {required: 'Required'}), false);
+
+  assert.strictEqual(p.validator.conditionMet({'#edit-contact-method': {value: ['sms', 'phone']}}), true);
+  assert.strictEqual(p.validator.conditionMet({'#edit-phone': {empty: true}, '#edit-contact-method': {value: 'email'}}), false);
+  assert.strictEqual(p.validator.conditionMet(function (element) { return element === field; }, field), true);
+});
+
+test('a settings rule is checked again when its condition changes', function () {
+  var p = page(), $ = p.$;
+  var field = $('#edit-phone');
+
+  p.window.Drupal.settings.drupalValidator = {
+    forms: {
+      'contact-form': {
+        fields: {
+          '#edit-phone': {
+            rules: [{rule: 'required', condition: {'#edit-contact-method': {value: 'phone'}}}],
+            messages: {required: '@label is required'}
+          }
+        }
+      }
+    }
+  };
+  p.window.Drupal.attachBehaviors(p.window.document);
+
+  // Not yet visited, so changing the method doesn't show an error.
+  $('#edit-contact-method').val('phone').trigger('change');
+  assert.ok(!field.hasClass('error'));
+
+  field.trigger('blur');
+  assert.ok(field.hasClass('error'));
+
+  $('#edit-contact-method').val('email').trigger('change');
+  assert.ok(!field.hasClass('error'));
+
+  $('#edit-contact-method').val('phone').trigger('change');
+  assert.strictEqual($('.messages').text(), 'Phone is required');
+});